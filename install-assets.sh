@@ -0,0 +1,75 @@
+#!/bin/bash
+set -e
+
+# Installs the offline engines under assets/ (see README, Offline File Conversion).
+# Packages come from the npm registry (npm and tar); the Whisper model from Hugging Face (curl):
+#   ./install-assets.sh                  all engines
+#   ./install-assets.sh ocr              only the named ones
+
+# Keep in line with Config.ocr.availableLanguages and Config.transcription.local.model
+OCR_LANGUAGES=${OCR_LANGUAGES:-"eng nld deu fra"}
+WHISPER_MODEL=${WHISPER_MODEL:-whisper-base}
+
+cd "$(dirname "$0")"
+TMP_DIR=$(mktemp -d)
+trap 'rm -rf "$TMP_DIR"' EXIT
+
+# fetch <package@version> <name>: unpack the package into $TMP_DIR/<name>
+fetch() {
+    echo "📦 Fetching $1..."
+    local tarball
+    tarball=$(cd "$TMP_DIR" && npm pack "$1" --silent | tail -n 1)
+    mkdir -p "$TMP_DIR/$2"
+    tar xzf "$TMP_DIR/$tarball" -C "$TMP_DIR/$2" --strip-components=1
+}
+
+install_ocr() {
+    echo "🔤 Installing OCR engine into assets/ocr/..."
+    fetch tesseract.js@5 tesseract
+    fetch tesseract.js-core@5 tesseract-core
+    mkdir -p assets/ocr/core assets/ocr/lang
+    cp "$TMP_DIR/tesseract/dist/tesseract.esm.min.js" "$TMP_DIR/tesseract/dist/worker.min.js" assets/ocr/
+    cp "$TMP_DIR"/tesseract-core/tesseract-core*.js "$TMP_DIR"/tesseract-core/tesseract-core*.wasm assets/ocr/core/
+
+    for language in $OCR_LANGUAGES; do
+        fetch "@tesseract.js-data/$language@1" "lang-$language"
+        cp "$TMP_DIR/lang-$language/4.0.0_best_int/$language.traineddata.gz" assets/ocr/lang/
+    done
+}
+
+install_transcription() {
+    echo "🎙️ Installing speech-to-text into assets/transcription/ and assets/models/..."
+    fetch @xenova/transformers@2 transformers
+    mkdir -p assets/transcription/wasm assets/models
+    cp "$TMP_DIR/transformers/dist/transformers.min.js" assets/transcription/
+    cp "$TMP_DIR"/transformers/dist/*.wasm assets/transcription/wasm/
+
+    # Downloaded in full before it is moved in place; the app looks for its config.json
+    echo "📦 Fetching Xenova/$WHISPER_MODEL from Hugging Face..."
+    mkdir -p "$TMP_DIR/$WHISPER_MODEL/onnx"
+    for file in config.json generation_config.json preprocessor_config.json tokenizer.json tokenizer_config.json \
+        onnx/encoder_model_quantized.onnx onnx/decoder_model_merged_quantized.onnx; do
+        curl -fsSL "https://huggingface.co/Xenova/$WHISPER_MODEL/resolve/main/$file" -o "$TMP_DIR/$WHISPER_MODEL/$file"
+    done
+    rm -rf "assets/models/$WHISPER_MODEL"
+    mv "$TMP_DIR/$WHISPER_MODEL" assets/models/
+}
+
+install_ffmpeg() {
+    echo "🎞️ Installing ffmpeg core into assets/ffmpeg/..."
+    fetch @ffmpeg/core@0.12 ffmpeg-core
+    mkdir -p assets/ffmpeg
+    cp "$TMP_DIR/ffmpeg-core/dist/esm/ffmpeg-core.js" "$TMP_DIR/ffmpeg-core/dist/esm/ffmpeg-core.wasm" assets/ffmpeg/
+}
+
+ENGINES=${*:-ocr transcription ffmpeg}
+for engine in $ENGINES; do
+    case "$engine" in
+        ocr) install_ocr ;;
+        transcription) install_transcription ;;
+        ffmpeg) install_ffmpeg ;;
+        *) echo "❌ Unknown engine: $engine (expected: ocr, transcription, ffmpeg)"; exit 1 ;;
+    esac
+done
+
+echo "✅ Engines installed: $ENGINES"
@@ -0,0 +1,117 @@
+import { UIUtils } from '../utils/UIUtils.js';
+
+class CostEstimatePanel {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * Show a CostEstimator estimate
+     *
+     * With confirmRun the modal asks whether to run anyway and resolves to the answer;
+     * otherwise it resolves to false when closed.
+     */
+    show(estimate, { confirmRun = false } = {}) {
+        return new Promise(resolve => {
+            const buttons = confirmRun
+                ? [
+                    {
+                        text: 'Cancel',
+                        action: 'cancel',
+                        className: 'background-color: #6b7280; color: white;',
+                        handler: (e, modal) => { UIUtils.removeModal(modal); resolve(false); }
+                    },
+                    {
+                        text: 'Run Anyway',
+                        action: 'run',
+                        className: 'background-color: #dc2626; color: white;',
+                        handler: (e, modal) => { UIUtils.removeModal(modal); resolve(true); }
+                    }
+                ]
+                : [
+                    {
+                        text: 'Close',
+                        action: 'close',
+                        className: 'background-color: #6b7280; color: white;',
+                        handler: (e, modal) => { UIUtils.removeModal(modal); resolve(false); }
+                    }
+                ];
+
+            let title = '💰 Workflow Estimate';
+            if (estimate.overBudget) title = '⚠️ Over Budget';
+            else if (estimate.budgetInconclusive) title = '⚠️ Budget Not Checked';
+            const modal = UIUtils.createModal(title, this.createContent(estimate, confirmRun), buttons);
+            modal.firstElementChild.style.maxWidth = '640px';
+        });
+    }
+
+    createContent(estimate, confirmRun) {
+        const { totals } = estimate;
+        const rows = estimate.actions.map(action => `
+            <tr style="border-bottom: 1px solid #e5e7eb;">
+                <td style="padding: 4px 6px;">${UIUtils.sanitizeHtml(action.outputFile)}</td>
+                <td style="padding: 4px 6px; color: #6b7280;">${UIUtils.sanitizeHtml(action.toolType)}</td>
+                <td style="padding: 4px 6px; text-align: right;">${action.requests}</td>
+                <td style="padding: 4px 6px; text-align: right;">${this.formatNumber(action.inputTokens + action.outputTokens)}</td>
+                <td style="padding: 4px 6px; text-align: right;">${this.formatCost(action.cost, estimate.currency)}</td>
+                <td style="padding: 4px 6px; text-align: right;">${this.formatDuration(action.seconds)}</td>
+            </tr>
+        `).join('');
+
+        const notes = [];
+        if (estimate.overBudget) {
+            notes.push(`<strong>The projected cost exceeds the budget of ${this.formatCost(estimate.budget, estimate.currency)}.</strong>${confirmRun ? ' Run the workflow anyway?' : ''}`);
+        }
+        if (estimate.budgetInconclusive) {
+            notes.push(`<strong>The cost of ${totals.unpricedModels.map(model => UIUtils.sanitizeHtml(model)).join(', ')} is unknown, so the run cannot be checked against the budget of ${this.formatCost(estimate.budget, estimate.currency)}.</strong>${confirmRun ? ' Run the workflow anyway?' : ''}`);
+        } else if (totals.unpricedModels.length > 0) {
+            notes.push(`No pricing configured for ${totals.unpricedModels.map(model => UIUtils.sanitizeHtml(model)).join(', ')}; their requests are not included in the cost.`);
+        }
+        estimate.warnings.forEach(warning => notes.push(UIUtils.sanitizeHtml(warning)));
+
+        return `
+            <div style="display: flex; gap: 24px; font-size: 14px; margin-bottom: 12px;">
+                <div><div style="color: #6b7280; font-size: 12px;">Projected cost</div><div style="font-size: 20px; font-weight: 600;">${this.formatCost(totals.cost, estimate.currency)}</div></div>
+                <div><div style="color: #6b7280; font-size: 12px;">LLM requests</div><div style="font-size: 20px; font-weight: 600;">${totals.requests}</div></div>
+                <div><div style="color: #6b7280; font-size: 12px;">Tokens in / out</div><div style="font-size: 20px; font-weight: 600;">${this.formatNumber(totals.inputTokens)} / ${this.formatNumber(totals.outputTokens)}</div></div>
+                <div><div style="color: #6b7280; font-size: 12px;">Expected duration</div><div style="font-size: 20px; font-weight: 600;">${this.formatDuration(estimate.durationSeconds)}</div></div>
+            </div>
+            ${notes.map(note => `<p style="font-size: 13px; color: ${estimate.overBudget ? '#b91c1c' : '#92400e'}; margin-bottom: 6px;">${note}</p>`).join('')}
+            <div style="max-height: 40vh; overflow-y: auto; margin-top: 8px;">
+                <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+                    <thead>
+                        <tr style="text-align: left; color: #6b7280; border-bottom: 1px solid #d1d5db;">
+                            <th style="padding: 4px 6px;">Output</th>
+                            <th style="padding: 4px 6px;">Tool</th>
+                            <th style="padding: 4px 6px; text-align: right;">Requests</th>
+                            <th style="padding: 4px 6px; text-align: right;">Tokens</th>
+                            <th style="padding: 4px 6px; text-align: right;">Cost</th>
+                            <th style="padding: 4px 6px; text-align: right;">Time</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <p style="font-size: 12px; color: #6b7280; margin-top: 8px;">
+                Estimates use file sizes where no text has been extracted yet. Cached results are reused at no cost, so a run can be cheaper.
+            </p>
+        `;
+    }
+
+    formatCost(cost, currency) {
+        if (cost === null) return 'n/a';
+        const digits = cost > 0 && cost < 0.01 ? 4 : 2;
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency, minimumFractionDigits: digits, maximumFractionDigits: digits }).format(cost);
+    }
+
+    formatNumber(value) {
+        return Math.round(value).toLocaleString();
+    }
+
+    formatDuration(seconds) {
+        if (seconds < 60) return `${Math.max(1, Math.round(seconds))} s`;
+        return `${Math.floor(seconds / 60)} min ${Math.round(seconds % 60)} s`;
+    }
+}
+
+export { CostEstimatePanel };
@@ -0,0 +1,325 @@
+import { UIUtils } from '../utils/UIUtils.js';
+import { ExecutionHistory } from '../services/ExecutionHistory.js';
+
+class HistoryPanel {
+    constructor(eventBus, executionHistory) {
+        this.eventBus = eventBus;
+        this.executionHistory = executionHistory;
+        this.modal = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const historyBtn = document.getElementById('historyBtn');
+        historyBtn?.addEventListener('click', () => this.show());
+    }
+
+    // List of past runs, newest first
+    async show() {
+        if (!this.executionHistory.isAvailable()) {
+            UIUtils.showError('Run history needs IndexedDB, which is not available in this browser window');
+            return;
+        }
+
+        let runs;
+        try {
+            runs = await this.executionHistory.getRuns();
+        } catch (error) {
+            console.error('HistoryPanel: could not load runs:', error);
+            UIUtils.showError(`Could not load the run history: ${error.message}`);
+            return;
+        }
+
+        const rows = runs.map(run => `
+            <div style="display: flex; align-items: center; gap: 12px; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
+                <span style="font-size: 16px; min-width: 20px;">${this.getStatusIcon(run.status)}</span>
+                <div style="flex: 1; font-size: 14px;">
+                    <div style="font-weight: 500;">${new Date(run.startedAt).toLocaleString()}</div>
+                    <div style="font-size: 12px; color: #6b7280;">
+                        ${run.status} · ${run.actions.length} action${run.actions.length === 1 ? '' : 's'} · ${this.formatDuration(run.durationMs)} · ${this.formatTokens(run.usage)}
+                    </div>
+                </div>
+                <button data-run-details="${run.id}" style="padding: 4px 10px; border-radius: 6px; border: 1px solid #d1d5db; background: white; cursor: pointer;">Details</button>
+                <button data-run-export="${run.id}" style="padding: 4px 10px; border-radius: 6px; border: none; background: #3b82f6; color: white; cursor: pointer;">Export</button>
+            </div>
+        `).join('');
+
+        const content = runs.length > 0
+            ? `<div style="max-height: 60vh; overflow-y: auto;">${rows}</div>`
+            : '<p style="color: #6b7280;">No runs recorded yet. Every workflow execution is logged here.</p>';
+
+        this.openModal('📜 Run History', content, [
+            {
+                text: 'Signing Key',
+                action: 'key',
+                className: 'background-color: #6b7280; color: white;',
+                handler: () => this.showSigningKey()
+            },
+            {
+                text: 'Verify Bundle',
+                action: 'verify',
+                className: 'background-color: #6b7280; color: white;',
+                handler: () => this.showVerifyForm()
+            },
+            {
+                text: 'Clear History',
+                action: 'clear',
+                className: 'background-color: #dc2626; color: white;',
+                handler: () => this.clearHistory()
+            },
+            {
+                text: 'Close',
+                action: 'close',
+                className: 'background-color: #6b7280; color: white;',
+                handler: () => this.close()
+            }
+        ]);
+
+        this.modal.querySelectorAll('[data-run-details]').forEach(button => {
+            button.addEventListener('click', () => this.showRun(button.dataset.runDetails));
+        });
+        this.modal.querySelectorAll('[data-run-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportRun(button.dataset.runExport));
+        });
+    }
+
+    // One run: what ran, with which model and prompts, how long it took and the content hashes
+    async showRun(id) {
+        const run = await this.executionHistory.getRun(id);
+        if (!run) {
+            UIUtils.showError('This run is no longer in the history');
+            return;
+        }
+
+        const prompts = new Map((run.actionJSON.actions || []).map(action => [action.outputFile, action]));
+        const actions = run.actions.map(action => {
+            const definition = prompts.get(action.outputFile) || {};
+            return `
+                <details style="padding: 6px 0; border-bottom: 1px solid #e5e7eb;">
+                    <summary style="cursor: pointer; font-size: 14px;">
+                        ${this.getStatusIcon(action.status)} <strong>${UIUtils.sanitizeHtml(action.outputFile)}</strong>
+                        <span style="color: #6b7280;">${UIUtils.sanitizeHtml(action.toolType)} · ${action.status}${action.cached ? ' (cached)' : ''} · ${this.formatDuration(action.durationMs)} · ${this.formatTokens(action.usage)}</span>
+                    </summary>
+                    <div style="font-size: 12px; color: #374151; padding: 6px 0 0 24px; line-height: 1.6;">
+                        <div><strong>Model:</strong> ${UIUtils.sanitizeHtml(action.model || 'n/a')}${action.attempts > 1 ? ` · ${action.attempts} attempts` : ''}</div>
+                        ${action.error ? `<div style="color: #dc2626;"><strong>Error:</strong> ${UIUtils.sanitizeHtml(action.error)}</div>` : ''}
+                        ${definition.toolUserPrompt ? `<div><strong>Custom instructions:</strong> ${UIUtils.sanitizeHtml(definition.toolUserPrompt)}</div>` : ''}
+                        ${action.inputHashes.map(input => `<div><strong>In ${UIUtils.sanitizeHtml(input.label)}:</strong> <code>${input.hash || 'n/a'}</code></div>`).join('')}
+                        <div><strong>Out:</strong> <code>${action.outputHash || 'n/a'}</code></div>
+                    </div>
+                </details>
+            `;
+        }).join('');
+
+        const content = `
+            <div style="max-height: 60vh; overflow-y: auto;">
+                <p style="font-size: 14px; color: #374151; margin-bottom: 12px;">
+                    <strong>Started:</strong> ${new Date(run.startedAt).toLocaleString()}<br>
+                    <strong>Status:</strong> ${run.status}${run.error ? ` - ${UIUtils.sanitizeHtml(run.error)}` : ''}<br>
+                    <strong>Duration:</strong> ${this.formatDuration(run.durationMs)} · <strong>Tokens:</strong> ${this.formatTokens(run.usage)}<br>
+                    <strong>LLM:</strong> ${UIUtils.sanitizeHtml(`${run.provider || 'n/a'} / ${run.model || 'n/a'}`)}<br>
+                    <strong>Inputs:</strong> ${run.inputFiles.map(file => `${UIUtils.sanitizeHtml(file.label)} = ${UIUtils.sanitizeHtml(file.name)}`).join(', ') || 'none'}
+                </p>
+                ${actions || '<p style="color: #6b7280;">No actions ran.</p>'}
+            </div>
+        `;
+
+        this.openModal('📜 Run Details', content, [
+            {
+                text: 'Back',
+                action: 'back',
+                className: 'background-color: #6b7280; color: white;',
+                handler: () => this.show()
+            },
+            {
+                text: 'Export Audit Bundle',
+                action: 'export',
+                className: 'background-color: #3b82f6; color: white;',
+                handler: () => this.exportRun(id)
+            }
+        ]);
+    }
+
+    async exportRun(id) {
+        try {
+            const bundle = await this.executionHistory.createAuditBundle(id);
+            const stamp = bundle.run.startedAt.slice(0, 19).replace(/:/g, '-');
+            UIUtils.downloadFile(JSON.stringify(bundle, null, 2), `toolflowbuilder-audit_${stamp}.json`, 'application/json');
+            this.eventBus.emit('status-update', '📜 Audit bundle exported');
+        } catch (error) {
+            console.error('HistoryPanel: export failed:', error);
+            UIUtils.showError(`Could not export the run: ${error.message}`);
+        }
+    }
+
+    // The fingerprint identifies this browser as signer; auditors pin it before trusting bundles
+    async showSigningKey() {
+        let fingerprint;
+        try {
+            fingerprint = await this.executionHistory.getPublicKeyFingerprint();
+        } catch (error) {
+            console.error('HistoryPanel: could not load the signing key:', error);
+            UIUtils.showError(`Could not load the signing key: ${error.message}`);
+            return;
+        }
+
+        const content = `
+            <p style="font-size: 14px; color: #374151; margin-bottom: 12px;">
+                Audit bundles exported from this browser are signed with its own key. Share this fingerprint
+                or the public key through a channel the auditor trusts; a bundle proves who made it only when
+                its signer matches the fingerprint the auditor pinned.
+            </p>
+            <code style="display: block; padding: 8px; background: #f3f4f6; border-radius: 6px; word-break: break-all;">${this.formatFingerprint(fingerprint)}</code>
+        `;
+
+        this.openModal('🔑 Signing Key', content, [
+            {
+                text: 'Back',
+                action: 'back',
+                className: 'background-color: #6b7280; color: white;',
+                handler: () => this.show()
+            },
+            {
+                text: 'Copy Fingerprint',
+                action: 'copy',
+                className: 'background-color: #6b7280; color: white;',
+                handler: async () => {
+                    await UIUtils.copyToClipboard(fingerprint);
+                    UIUtils.showSuccess('Fingerprint copied');
+                }
+            },
+            {
+                text: 'Export Public Key',
+                action: 'export',
+                className: 'background-color: #3b82f6; color: white;',
+                handler: () => this.exportPublicKey()
+            }
+        ]);
+    }
+
+    async exportPublicKey() {
+        try {
+            const publicKey = await this.executionHistory.getPublicKey();
+            UIUtils.downloadFile(JSON.stringify(publicKey, null, 2), 'toolflowbuilder-audit-key.jwk.json', 'application/json');
+        } catch (error) {
+            console.error('HistoryPanel: public key export failed:', error);
+            UIUtils.showError(`Could not export the public key: ${error.message}`);
+        }
+    }
+
+    // The expected signer defaults to this browser; paste another fingerprint to check bundles from elsewhere
+    async showVerifyForm() {
+        let ownFingerprint = '';
+        try {
+            ownFingerprint = await this.executionHistory.getPublicKeyFingerprint();
+        } catch (error) {
+            console.warn('HistoryPanel: could not load the signing key:', error);
+        }
+
+        const field = 'width: 100%; padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 6px; box-sizing: border-box; margin-bottom: 10px;';
+        const label = 'display: block; font-size: 13px; color: #374151; margin-bottom: 4px;';
+        const content = `
+            <label style="${label}">Audit bundle</label>
+            <input type="file" data-verify-bundle accept=".json,application/json" style="${field}">
+            <label style="${label}">Expected signer fingerprint</label>
+            <input type="text" data-verify-fingerprint value="${this.formatFingerprint(ownFingerprint)}" style="${field}">
+            <div data-verify-result style="font-size: 14px;"></div>
+        `;
+
+        this.openModal('🔍 Verify Audit Bundle', content, [
+            {
+                text: 'Back',
+                action: 'back',
+                className: 'background-color: #6b7280; color: white;',
+                handler: () => this.show()
+            },
+            {
+                text: 'Verify',
+                action: 'verify',
+                className: 'background-color: #3b82f6; color: white;',
+                handler: (e, modal) => this.verifyBundle(modal)
+            }
+        ]);
+    }
+
+    async verifyBundle(modal) {
+        const file = modal.querySelector('[data-verify-bundle]').files[0];
+        const pinnedFingerprint = modal.querySelector('[data-verify-fingerprint]').value.trim();
+        const output = modal.querySelector('[data-verify-result]');
+        if (!file) {
+            UIUtils.showError('Choose an audit bundle to verify');
+            return;
+        }
+
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch (error) {
+            output.innerHTML = `<p style="color: #dc2626;">❌ ${UIUtils.sanitizeHtml(file.name)} is not valid JSON</p>`;
+            return;
+        }
+
+        const result = await ExecutionHistory.verifyAuditBundle(bundle, pinnedFingerprint || null);
+        let message;
+        if (result.valid && result.signedByPinnedKey) {
+            message = '<p style="color: #16a34a;">✅ Signature valid and made with the expected key</p>';
+        } else if (result.valid && !pinnedFingerprint) {
+            message = '<p style="color: #d97706;">⚠️ Signature valid, but no expected signer given: the bundle is unchanged, its signer unknown</p>';
+        } else {
+            message = `<p style="color: #dc2626;">❌ ${UIUtils.sanitizeHtml(result.error)}</p>`;
+        }
+        const signer = result.fingerprint
+            ? `<p style="font-size: 12px; color: #6b7280;">Signed by <code style="word-break: break-all;">${this.formatFingerprint(result.fingerprint)}</code></p>`
+            : '';
+        output.innerHTML = message + signer;
+    }
+
+    async clearHistory() {
+        if (!confirm('Delete all recorded runs? Exported audit bundles stay valid.')) return;
+
+        await this.executionHistory.clear();
+        this.show();
+    }
+
+    openModal(title, content, buttons) {
+        this.close();
+        this.modal = UIUtils.createModal(title, content, buttons);
+        this.modal.firstElementChild.style.maxWidth = '720px';
+    }
+
+    close() {
+        UIUtils.removeModal(this.modal);
+        this.modal = null;
+    }
+
+    getStatusIcon(status) {
+        const icons = {
+            'completed': '✅',
+            'succeeded': '✅',
+            'retried': '🔁',
+            'fallback': '↪️',
+            'resumed': '⏭️',
+            'skipped': '⚠️',
+            'cancelled': '⏹️',
+            'failed': '❌'
+        };
+        return icons[status] || '⏳';
+    }
+
+    formatDuration(ms) {
+        if (ms === null || ms === undefined) return 'n/a';
+        if (ms < 1000) return `${ms} ms`;
+        const seconds = ms / 1000;
+        return seconds < 60 ? `${seconds.toFixed(1)} s` : `${Math.floor(seconds / 60)} min ${Math.round(seconds % 60)} s`;
+    }
+
+    formatFingerprint(fingerprint) {
+        return (fingerprint.match(/.{1,4}/g) || []).join(' ');
+    }
+
+    formatTokens(usage) {
+        return usage ? `${usage.total_tokens.toLocaleString()} tokens` : 'no token usage';
+    }
+}
+
+export { HistoryPanel };
@@ -0,0 +1,295 @@
+import { UIUtils } from '../utils/UIUtils.js';
+
+class LibraryPanel {
+    constructor(eventBus, workflowLibrary, workflowCanvas) {
+        this.eventBus = eventBus;
+        this.workflowLibrary = workflowLibrary;
+        this.workflowCanvas = workflowCanvas;
+        this.modal = null;
+        this.current = null; // { entry, version } of the library workflow on the canvas
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const libraryBtn = document.getElementById('libraryBtn');
+        libraryBtn?.addEventListener('click', () => this.show());
+
+        this.eventBus.on('workflow-cleared', () => {
+            this.current = null;
+        });
+        this.eventBus.on('library-workflow-opened', ({ entry, version }) => {
+            this.current = { entry, version };
+        });
+    }
+
+    // Metadata for exporting the canvas; empty when it did not come from the library
+    getCurrentMetadata() {
+        if (!this.current) return {};
+
+        const { entry } = this.current;
+        return { name: entry.name, description: entry.description, author: entry.author, tags: entry.tags };
+    }
+
+    // Saved workflows, newest change first, with a search box
+    async show(query = '') {
+        if (!this.workflowLibrary.isAvailable()) {
+            UIUtils.showError('The workflow library needs IndexedDB, which is not available in this browser window');
+            return;
+        }
+
+        const content = `
+            <input type="search" data-library-search value="${UIUtils.sanitizeHtml(query)}" placeholder="Search by name, description, author or tag"
+                style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 6px; margin-bottom: 12px; box-sizing: border-box;">
+            <div data-library-list style="max-height: 55vh; overflow-y: auto;"></div>
+        `;
+
+        this.openModal('📚 Workflow Library', content, [
+            {
+                text: 'Save Current Canvas',
+                action: 'save',
+                className: 'background-color: #3b82f6; color: white;',
+                handler: () => this.showSaveForm()
+            },
+            {
+                text: 'Close',
+                action: 'close',
+                className: 'background-color: #6b7280; color: white;',
+                handler: () => this.close()
+            }
+        ]);
+
+        const search = this.modal.querySelector('[data-library-search]');
+        search.addEventListener('input', UIUtils.debounce(() => this.renderList(search.value), 200));
+        search.focus();
+        await this.renderList(query);
+    }
+
+    async renderList(query) {
+        const list = this.modal?.querySelector('[data-library-list]');
+        if (!list) return;
+
+        let entries;
+        try {
+            entries = await this.workflowLibrary.list(query);
+        } catch (error) {
+            console.error('LibraryPanel: could not load workflows:', error);
+            UIUtils.showError(`Could not load the workflow library: ${error.message}`);
+            return;
+        }
+
+        if (entries.length === 0) {
+            list.innerHTML = query
+                ? '<p style="color: #6b7280;">No saved workflow matches this search.</p>'
+                : '<p style="color: #6b7280;">No saved workflows yet. Build a workflow and use Save Current Canvas to keep it here.</p>';
+            return;
+        }
+
+        list.innerHTML = entries.map(entry => `
+            <div style="display: flex; align-items: center; gap: 12px; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
+                <div style="flex: 1; font-size: 14px; min-width: 0;">
+                    <div style="font-weight: 500;">${UIUtils.sanitizeHtml(entry.name)}${this.isCurrent(entry) ? ' <span style="font-size: 11px; color: #10b981;">on canvas</span>' : ''}</div>
+                    ${entry.description ? `<div style="font-size: 12px; color: #374151;">${UIUtils.sanitizeHtml(entry.description)}</div>` : ''}
+                    <div style="font-size: 12px; color: #6b7280;">
+                        v${entry.latestVersion} · ${entry.nodeCount} node${entry.nodeCount === 1 ? '' : 's'} · ${new Date(entry.updatedAt).toLocaleString()}${entry.author ? ` · ${UIUtils.sanitizeHtml(entry.author)}` : ''}
+                    </div>
+                    ${entry.tags.length > 0 ? `<div style="margin-top: 2px;">${entry.tags.map(tag => `<span style="display: inline-block; font-size: 11px; background: #eef2ff; color: #4338ca; border-radius: 4px; padding: 0 6px; margin-right: 4px;">${UIUtils.sanitizeHtml(tag)}</span>`).join('')}</div>` : ''}
+                </div>
+                <button data-library-versions="${entry.id}" style="padding: 4px 10px; border-radius: 6px; border: 1px solid #d1d5db; background: white; cursor: pointer;">Versions</button>
+                <button data-library-open="${entry.id}" style="padding: 4px 10px; border-radius: 6px; border: none; background: #3b82f6; color: white; cursor: pointer;">Open</button>
+                <button data-library-delete="${entry.id}" title="Delete from library" style="padding: 4px 8px; border-radius: 6px; border: none; background: none; cursor: pointer;">🗑️</button>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('[data-library-open]').forEach(button => {
+            const entry = entries.find(e => e.id === button.dataset.libraryOpen);
+            button.addEventListener('click', () => this.open(entry, entry.latestVersion));
+        });
+        list.querySelectorAll('[data-library-versions]').forEach(button => {
+            button.addEventListener('click', () => this.showVersions(button.dataset.libraryVersions));
+        });
+        list.querySelectorAll('[data-library-delete]').forEach(button => {
+            const entry = entries.find(e => e.id === button.dataset.libraryDelete);
+            button.addEventListener('click', () => this.deleteWorkflow(entry, query));
+        });
+    }
+
+    // Saving under an existing name adds a version to that workflow
+    showSaveForm() {
+        if (this.workflowCanvas.exportWorkflow().actions.length === 0) {
+            UIUtils.showError('Add nodes to the canvas before saving it to the library');
+            return;
+        }
+
+        const entry = this.current ? this.current.entry : { name: '', description: '', author: '', tags: [] };
+        const field = 'width: 100%; padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 6px; box-sizing: border-box; margin-bottom: 10px;';
+        const label = 'display: block; font-size: 13px; color: #374151; margin-bottom: 4px;';
+        const content = `
+            <label style="${label}">Name</label>
+            <input type="text" data-library-field="name" value="${UIUtils.sanitizeHtml(entry.name)}" placeholder="Weekly claim processing" style="${field}">
+            <label style="${label}">Description</label>
+            <textarea data-library-field="description" rows="2" style="${field}">${UIUtils.sanitizeHtml(entry.description)}</textarea>
+            <label style="${label}">Author</label>
+            <input type="text" data-library-field="author" value="${UIUtils.sanitizeHtml(entry.author)}" style="${field}">
+            <label style="${label}">Tags (comma separated)</label>
+            <input type="text" data-library-field="tags" value="${UIUtils.sanitizeHtml(entry.tags.join(', '))}" placeholder="claims, weekly" style="${field}">
+            <label style="${label}">What changed in this version</label>
+            <input type="text" data-library-field="note" placeholder="Optional" style="${field}">
+            <p style="font-size: 12px; color: #6b7280;">Saving under the name of a saved workflow adds a new version to it.</p>
+        `;
+
+        this.openModal('💾 Save to Library', content, [
+            {
+                text: 'Back',
+                action: 'back',
+                className: 'background-color: #6b7280; color: white;',
+                handler: () => this.show()
+            },
+            {
+                text: 'Save',
+                action: 'save',
+                className: 'background-color: #3b82f6; color: white;',
+                handler: (e, modal) => {
+                    const details = {};
+                    modal.querySelectorAll('[data-library-field]').forEach(input => {
+                        details[input.dataset.libraryField] = input.value;
+                    });
+                    this.save(details);
+                }
+            }
+        ]);
+        this.modal.querySelector('[data-library-field="name"]').focus();
+    }
+
+    async save(details) {
+        try {
+            const tags = this.workflowLibrary.normalizeTags(details.tags);
+            const workflow = this.workflowCanvas.exportWorkflow({ ...details, tags });
+            const { entry, version } = await this.workflowLibrary.save({ ...details, tags }, workflow);
+
+            this.current = { entry, version: version.version };
+            UIUtils.showSuccess(`Saved "${entry.name}" as version ${version.version}`);
+            this.eventBus.emit('status-update', `📚 Saved "${entry.name}" v${version.version} to the library`);
+            this.show();
+        } catch (error) {
+            console.error('LibraryPanel: save failed:', error);
+            UIUtils.showError(`Could not save the workflow: ${error.message}`);
+        }
+    }
+
+    // Every saved version, newest first
+    async showVersions(id) {
+        const entry = await this.workflowLibrary.get(id);
+        if (!entry) {
+            UIUtils.showError('This workflow is no longer in the library');
+            return;
+        }
+        const versions = await this.workflowLibrary.getVersions(id);
+
+        const rows = versions.map(version => `
+            <div style="display: flex; align-items: center; gap: 12px; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
+                <div style="flex: 1; font-size: 14px;">
+                    <div style="font-weight: 500;">Version ${version.version}${version.version === entry.latestVersion ? ' <span style="font-size: 11px; color: #10b981;">latest</span>' : ''}</div>
+                    <div style="font-size: 12px; color: #6b7280;">
+                        ${new Date(version.savedAt).toLocaleString()} · ${version.nodeCount} node${version.nodeCount === 1 ? '' : 's'}${version.note ? ` · ${UIUtils.sanitizeHtml(version.note)}` : ''}
+                    </div>
+                </div>
+                ${versions.some(older => older.version < version.version)
+                    ? `<button data-version-changes="${version.version}" title="Changes since the version before" style="padding: 4px 10px; border-radius: 6px; border: 1px solid #d1d5db; background: white; cursor: pointer;">Changes</button>`
+                    : ''}
+                <button data-version-compare="${version.version}" title="Differences between this version and the canvas" style="padding: 4px 10px; border-radius: 6px; border: 1px solid #d1d5db; background: white; cursor: pointer;">vs Canvas</button>
+                <button data-version-open="${version.version}" style="padding: 4px 10px; border-radius: 6px; border: 1px solid #d1d5db; background: white; cursor: pointer;">Open</button>
+                ${version.version !== entry.latestVersion
+                    ? `<button data-version-revert="${version.version}" style="padding: 4px 10px; border-radius: 6px; border: none; background: #f59e0b; color: white; cursor: pointer;">Revert</button>`
+                    : ''}
+            </div>
+        `).join('');
+
+        this.openModal(`📚 ${UIUtils.sanitizeHtml(entry.name)} - Versions`, `<div style="max-height: 60vh; overflow-y: auto;">${rows}</div>`, [
+            {
+                text: 'Back',
+                action: 'back',
+                className: 'background-color: #6b7280; color: white;',
+                handler: () => this.show()
+            }
+        ]);
+
+        this.modal.querySelectorAll('[data-version-open]').forEach(button => {
+            button.addEventListener('click', () => this.open(entry, Number(button.dataset.versionOpen)));
+        });
+        this.modal.querySelectorAll('[data-version-revert]').forEach(button => {
+            button.addEventListener('click', () => this.revert(entry, Number(button.dataset.versionRevert)));
+        });
+        this.modal.querySelectorAll('[data-version-changes]').forEach(button => {
+            const version = versions.find(v => v.version === Number(button.dataset.versionChanges));
+            const previous = versions.find(v => v.version < version.version);
+            button.addEventListener('click', () => this.compare(previous, version, `v${previous.version}`, `v${version.version}`));
+        });
+        this.modal.querySelectorAll('[data-version-compare]').forEach(button => {
+            const version = versions.find(v => v.version === Number(button.dataset.versionCompare));
+            button.addEventListener('click', () => this.compare(version, null, `v${version.version}`, 'Canvas'));
+        });
+    }
+
+    // Shown by WorkflowDiffPanel; without an after version the canvas is compared
+    compare(before, after, beforeLabel, afterLabel) {
+        this.close();
+        this.eventBus.emit('workflow-diff-requested', {
+            before: before.workflow,
+            after: after ? after.workflow : this.workflowCanvas.exportWorkflow(),
+            beforeLabel: beforeLabel,
+            afterLabel: afterLabel,
+            onCanvas: !after
+        });
+    }
+
+    // The canvas is replaced by main.js, after the same confirmation as Clear
+    async open(entry, versionNumber) {
+        const version = await this.workflowLibrary.getVersion(entry.id, versionNumber);
+        if (!version) {
+            UIUtils.showError(`Version ${versionNumber} of "${entry.name}" is no longer in the library`);
+            return;
+        }
+
+        this.close();
+        this.eventBus.emit('library-workflow-open', { entry, version: versionNumber, workflow: version.workflow });
+    }
+
+    async revert(entry, versionNumber) {
+        if (!confirm(`Make version ${versionNumber} of "${entry.name}" the latest version and open it? Newer versions are kept.`)) return;
+
+        try {
+            const reverted = await this.workflowLibrary.revert(entry.id, versionNumber);
+            await this.open(reverted.entry, reverted.version.version);
+        } catch (error) {
+            console.error('LibraryPanel: revert failed:', error);
+            UIUtils.showError(`Could not revert the workflow: ${error.message}`);
+        }
+    }
+
+    async deleteWorkflow(entry, query) {
+        if (!confirm(`Delete "${entry.name}" and all of its versions from the library?`)) return;
+
+        await this.workflowLibrary.delete(entry.id);
+        if (this.isCurrent(entry)) {
+            this.current = null;
+        }
+        this.renderList(query);
+    }
+
+    isCurrent(entry) {
+        return !!this.current && this.current.entry.id === entry.id;
+    }
+
+    openModal(title, content, buttons) {
+        this.close();
+        this.modal = UIUtils.createModal(title, content, buttons);
+        this.modal.firstElementChild.style.maxWidth = '720px';
+    }
+
+    close() {
+        UIUtils.removeModal(this.modal);
+        this.modal = null;
+    }
+}
+
+export { LibraryPanel };
@@ -284,7 +284,6 @@ class OutputZone {
         
         if (newName && newName.trim() !== currentName) {
             const trimmedName = newName.trim();
-            this.businessNames.set(output.systemName, trimmedName);
             
             // Update the card display - try multiple possible selectors
             const textElement = card.querySelector('.tool-text') || 
@@ -295,17 +294,20 @@ class OutputZone {
             }
             card.title = trimmedName;
             
-            // Emit event for other components to update their displays
-            this.eventBus.emit('business-name-updated', {
-                systemName: output.systemName,
-                businessName: trimmedName
-            });
-            
-            // Force re-render to ensure display is updated
-            this.renderOutputs();
+            this.setBusinessName(output.systemName, trimmedName);
         }
     }
 
+    setBusinessName(systemName, businessName) {
+        this.businessNames.set(systemName, businessName);
+        
+        // Emit event for other components to update their displays
+        this.eventBus.emit('business-name-updated', { systemName, businessName });
+        
+        // Force re-render to ensure display is updated
+        this.renderOutputs();
+    }
+
 
     downloadOutput(index) {
         const output = this.outputs[index];
@@ -397,6 +399,7 @@ class OutputZone {
         const icons = {
             'text/plain': '📝',
             'application/pdf': '📄',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '📝',
             'text/html': '🌐',
             'application/json': '📊',
             'text/csv': '📈',
@@ -410,6 +413,7 @@ class OutputZone {
         const labels = {
             'text/plain': 'Text Document',
             'application/pdf': 'PDF Document',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word Document',
             'text/html': 'HTML Document',
             'application/json': 'JSON Data',
             'text/csv': 'CSV Data',
@@ -423,6 +427,7 @@ class OutputZone {
         const extensions = {
             'text/plain': '.txt',
             'application/pdf': '.pdf',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
             'text/html': '.html',
             'application/json': '.json',
             'text/csv': '.csv',
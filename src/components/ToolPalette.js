@@ -17,6 +17,20 @@ class ToolPalette {
                     description: 'Extract text from PDF',
                     systemPrompt: 'You are a document processor. Extract and clean text content from PDF files.'
                 },
+                {
+                    id: 'docx2text',
+                    name: 'Word→Text',
+                    icon: '📝',
+                    description: 'Extract text from Word documents',
+                    systemPrompt: 'You are a document processor. Extract text, tables, headers, footers and comments from Word documents.'
+                },
+                {
+                    id: 'xlsx2text',
+                    name: 'Excel→Text',
+                    icon: '📊',
+                    description: 'Extract sheets from Excel workbooks',
+                    systemPrompt: 'You are a document processor. Extract every sheet of an Excel workbook as a table.'
+                },
                 {
                     id: 'audio2text',
                     name: 'Audio→Text',
@@ -99,9 +113,20 @@ class ToolPalette {
                     id: 'template',
                     name: 'Fill Template',
                     icon: '📋',
-                    description: 'Fill template with text content',
+                    description: 'Fill a Word template with text content',
                     systemPrompt: 'You are a template processor. Fill template documents with provided text content according to user instructions.'
                 }
+            ],
+
+            // Category 4: Convert media (file to file, no text involved)
+            'convert-media': [
+                {
+                    id: 'video2audio',
+                    name: 'Video→Audio',
+                    icon: '🔊',
+                    description: 'Extract audio track from video',
+                    systemPrompt: 'You are a media processor. Extract the audio track from video files.'
+                }
             ]
         };
     }
@@ -137,7 +162,8 @@ class ToolPalette {
         const categoryLabels = {
             'convert-to-text': 'Convert to text',
             'process-text': 'Process text', 
-            'convert-from-text': 'Convert from text'
+            'convert-from-text': 'Convert from text',
+            'convert-media': 'Convert media'
         };
 
         Object.keys(this.tools).forEach((categoryKey, categoryIndex) => {
@@ -197,7 +223,8 @@ class ToolPalette {
             const categoryColors = {
                 'convert-to-text': '#dbeafe',     // More visible blue
                 'process-text': '#dcfce7',       // More visible green  
-                'convert-from-text': '#fed7aa'   // More visible FileList
+                'convert-from-text': '#fed7aa',  // More visible FileList
+                'convert-media': '#ede9fe'       // More visible purple
             };
             
             const bgColor = categoryColors[item.key] || '#f9fafb';
@@ -228,7 +255,8 @@ class ToolPalette {
             const categoryColors = {
                 'convert-to-text': 'rgba(59, 130, 246, 0.15)',     // More visible blue
                 'process-text': 'rgba(34, 197, 94, 0.15)',        // More visible green
-                'convert-from-text': 'rgba(251, 146, 60, 0.15)'   // More visible FileList
+                'convert-from-text': 'rgba(251, 146, 60, 0.15)',  // More visible FileList
+                'convert-media': 'rgba(139, 92, 246, 0.15)'       // More visible purple
             };
             
             // Find which category this tool belongs to
@@ -303,14 +303,18 @@ class UploadZone {
         // (This would be for future implementation of moving labels back to upload zone)
     }
 
-    // Demo functionality - simulate file upload for easter egg demo
-    simulateFileUpload(mockFiles) {
-        // Clear existing files first
+    // Replace all uploaded files; they are labelled A, B, C in the given order
+    replaceFiles(files) {
         this.clearFiles();
 
-        // V4: Use InputFilesManager for demo files
-        this.inputFilesManager.handleFilesUploaded(mockFiles);
-        this.files = [...mockFiles];
+        // V4: Let InputFilesManager label the files
+        this.inputFilesManager.handleFilesUploaded(files);
+        this.files = [...files];
+    }
+
+    // Demo functionality - simulate file upload for easter egg demo
+    simulateFileUpload(mockFiles) {
+        this.replaceFiles(mockFiles);
         this.eventBus.emit('status-update', `🎭 Demo files loaded: ${this.files.length} files ready for easter egg detection!`);
     }
 }
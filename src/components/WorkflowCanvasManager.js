@@ -2,6 +2,8 @@
 // Handles ONLY canvas-specific functionality, delegates all node operations to managers
 // SURGICAL PRECISION: Same functionality as WorkflowCanvas, just cleaned up
 
+import { WorkflowSchemas } from '../utils/WorkflowSchemas.js';
+
 class WorkflowCanvasManager {
     constructor(eventBus) {
         this.eventBus = eventBus;
@@ -173,10 +175,12 @@ class WorkflowCanvasManager {
     getCompatibleNodeTypes(fileType) {
         const typeMapping = {
             'application/pdf': ['pdf2text'],
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['docx2text', 'template'],
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['xlsx2text'],
             'audio/mpeg': ['audio2text'],
             'audio/wav': ['audio2text'],
             'audio/mp4': ['audio2text'],
-            'video/mp4': ['audio2text', 'video2text'],
+            'video/mp4': ['audio2text', 'video2text', 'video2audio'],
             'image/png': ['image2text'],
             'image/jpeg': ['image2text'],
             'image/jpg': ['image2text'],
@@ -313,24 +317,26 @@ class WorkflowCanvasManager {
         this.hideWelcomeMessage();
     }
 
-    exportWorkflow() {
+    // metadata: { name, description, author, tags } of a library workflow; export defaults otherwise
+    exportWorkflow(metadata = {}) {
         const nodes = this.nodeDataManager?.getAllNodes() || [];
-        const inputFiles = window.toolFlowBuilder?.uploadZone.getFiles() || [];
+        const inputFiles = window.toolFlowBuilder?.inputFilesManager.getInputFileLabels() || [];
         const textFiles = window.toolFlowBuilder?.textFilesManager.getTextFileLabels() || [];
         const outputs = window.toolFlowBuilder?.outputZone.getOutputs() || [];
+        const businessNames = window.toolFlowBuilder?.outputZone.getBusinessNames() || {};
         
-        // V4 JSON Format - matches design/workflow-json-format-v4.md
+        // V4 JSON Format - matches design/workflow-json-format-v4.md, validated by WorkflowSchemas.visual()
         return {
-            format: "toolflowbuilder-v4",
-            version: "4.0.0",
+            format: WorkflowSchemas.visualFormat(),
+            version: WorkflowSchemas.visualVersion(),
             created: new Date().toISOString(),
             updated: new Date().toISOString(),
             
             metadata: {
-                name: "Exported Workflow",
-                description: "User-created workflow exported from ToolFlowBuilder",
-                author: "user",
-                tags: ["export", "v4"],
+                name: metadata.name || "Exported Workflow",
+                description: metadata.description || "User-created workflow exported from ToolFlowBuilder",
+                author: metadata.author || "user",
+                tags: metadata.tags && metadata.tags.length > 0 ? metadata.tags : ["export", "v4"],
                 status: nodes.length > 0 ? "designed" : "empty"
             },
             
@@ -347,10 +353,10 @@ class WorkflowCanvasManager {
             inputFiles: inputFiles.map(file => ({
                 id: file.label,
                 label: file.label,
-                originalName: file.name,
-                type: file.type,
-                size: file.size,
-                category: file.category,
+                originalName: file.originalName,
+                type: file.fileType,
+                size: file.fileSize,
+                category: window.toolFlowBuilder?.uploadZone.getFileCategory(file.fileType),
                 uploadedAt: new Date().toISOString()
             })),
             
@@ -386,11 +392,11 @@ class WorkflowCanvasManager {
             })),
             
             outputFiles: outputs.map(output => ({
-                id: `output_${output.id}`,
-                filename: output.businessName || output.label,
-                systemName: output.label,
+                id: `output_${output.systemName}`,
+                filename: businessNames[output.systemName] || output.businessName || output.systemName,
+                systemName: output.systemName,
                 type: this.getOutputFileType(output.fileType),
-                sourceAction: output.sourceNodeId || "direct",
+                sourceAction: output.nodeId && output.nodeId !== 'manual' ? output.nodeId : "direct",
                 status: "pending"
             })),
             
@@ -416,9 +422,12 @@ class WorkflowCanvasManager {
         // Get display name for tool types
         const toolNames = {
             'pdf2text': 'PDF to Text',
+            'docx2text': 'Word to Text',
+            'xlsx2text': 'Excel to Text',
             'audio2text': 'Audio to Text',
             'image2text': 'Image to Text',
             'video2text': 'Video to Text',
+            'video2audio': 'Video to Audio',
             'webscraper': 'Web Scraper',
             'summarizer': 'Summarize',
             'translator': 'Translate',
@@ -0,0 +1,184 @@
+import { UIUtils } from '../utils/UIUtils.js';
+import { WorkflowDiff } from '../utils/WorkflowDiff.js';
+import { WorkflowMigrations } from '../utils/WorkflowMigrations.js';
+
+// Edits that make canvas highlights out of date
+const CANVAS_CHANGE_EVENTS = ['node-added', 'node-deleted', 'node-inputs-changed', 'node-prompt-updated', 'workflow-cleared'];
+
+class WorkflowDiffPanel {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.modal = null;
+        this.highlighted = false;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // { before, after, beforeLabel, afterLabel, onCanvas } where onCanvas means after is the canvas
+        this.eventBus.on('workflow-diff-requested', (request) => this.show(request));
+
+        CANVAS_CHANGE_EVENTS.forEach(eventName => this.eventBus.on(eventName, () => this.clearHighlights()));
+    }
+
+    show({ before, after, beforeLabel, afterLabel, onCanvas = false }) {
+        // Library versions saved before a format change are upgraded, so both sides compare field by field
+        const diff = WorkflowDiff.compare(WorkflowMigrations.migrate(before).workflow, WorkflowMigrations.migrate(after).workflow);
+
+        this.clearHighlights();
+        if (onCanvas) {
+            this.highlight(diff, beforeLabel);
+        }
+
+        const content = diff.changeCount === 0
+            ? '<p style="color: #6b7280;">No differences in nodes, prompts, connections or outputs. Node positions are not compared.</p>'
+            : `<div style="max-height: 60vh; overflow-y: auto;">${this.createContent(diff)}</div>`;
+
+        const buttons = [
+            {
+                text: 'Close',
+                action: 'close',
+                className: 'background-color: #6b7280; color: white;',
+                handler: () => this.close()
+            }
+        ];
+        if (onCanvas && diff.changeCount > 0) {
+            buttons.unshift({
+                text: 'Clear Highlights',
+                action: 'clear',
+                className: 'background-color: #f59e0b; color: white;',
+                handler: () => {
+                    this.clearHighlights();
+                    this.close();
+                }
+            });
+        }
+
+        this.close();
+        this.modal = UIUtils.createModal(
+            `🔀 ${UIUtils.sanitizeHtml(beforeLabel)} → ${UIUtils.sanitizeHtml(afterLabel)}`,
+            `<p style="font-size: 13px; color: #6b7280; margin-bottom: 12px;">${diff.changeCount} change${diff.changeCount === 1 ? '' : 's'}${onCanvas && diff.changeCount > 0 ? '; added and changed nodes are outlined on the canvas' : ''}</p>${content}`,
+            buttons
+        );
+        this.modal.firstElementChild.style.maxWidth = '760px';
+        return diff;
+    }
+
+    createContent(diff) {
+        const sections = [];
+        const { actions, connections, outputs } = diff;
+
+        if (actions.added.length + actions.removed.length + actions.changed.length > 0) {
+            sections.push(this.createSection('Nodes', [
+                ...actions.added.map(action => this.createLine('added', this.describeAction(action))),
+                ...actions.removed.map(action => this.createLine('removed', this.describeAction(action))),
+                ...actions.changed.map(change => this.createChangedAction(change))
+            ]));
+        }
+
+        if (connections.added.length + connections.removed.length > 0) {
+            sections.push(this.createSection('Connections', [
+                ...connections.added.map(connection => this.createLine('added', this.describeConnection(connection))),
+                ...connections.removed.map(connection => this.createLine('removed', this.describeConnection(connection)))
+            ]));
+        }
+
+        if (outputs.added.length + outputs.removed.length + outputs.renamed.length > 0) {
+            sections.push(this.createSection('Output files', [
+                ...outputs.renamed.map(output => this.createLine('changed', `${UIUtils.sanitizeHtml(output.systemName)}: renamed from <strong>${UIUtils.sanitizeHtml(output.before)}</strong> to <strong>${UIUtils.sanitizeHtml(output.after)}</strong>`, true)),
+                ...outputs.added.map(output => this.createLine('added', output.filename)),
+                ...outputs.removed.map(output => this.createLine('removed', output.filename))
+            ]));
+        }
+
+        return sections.join('');
+    }
+
+    createSection(title, lines) {
+        return `
+            <h4 style="font-size: 14px; font-weight: 600; margin: 12px 0 6px;">${title}</h4>
+            ${lines.join('')}
+        `;
+    }
+
+    // text is escaped unless it is already HTML
+    createLine(kind, text, isHtml = false) {
+        const styles = {
+            added: { sign: '+', color: '#059669', background: '#ecfdf5' },
+            removed: { sign: '−', color: '#dc2626', background: '#fef2f2' },
+            changed: { sign: '~', color: '#d97706', background: '#fffbeb' }
+        };
+        const style = styles[kind];
+        return `
+            <div style="font-size: 13px; padding: 4px 8px; margin-bottom: 4px; border-radius: 4px; background: ${style.background};">
+                <strong style="color: ${style.color}; display: inline-block; width: 14px;">${style.sign}</strong>${isHtml ? text : UIUtils.sanitizeHtml(text)}
+            </div>
+        `;
+    }
+
+    createChangedAction(change) {
+        const fields = change.changes.map(({ field, before, after }) => `
+            <div style="margin-left: 14px; color: #374151;">
+                ${UIUtils.sanitizeHtml(field)}: <del style="color: #dc2626;">${UIUtils.sanitizeHtml(this.formatValue(before))}</del>
+                → <ins style="color: #059669; text-decoration: none;">${UIUtils.sanitizeHtml(this.formatValue(after))}</ins>
+            </div>
+        `).join('');
+
+        const prompt = change.promptDiff ? `
+            <div style="margin: 4px 0 0 14px; color: #374151;">Custom instructions:</div>
+            <div style="margin-left: 14px; padding: 6px; background: white; border: 1px solid #e5e7eb; border-radius: 4px; white-space: pre-wrap;">${change.promptDiff.map(part => this.formatTextPart(part)).join('')}</div>
+        ` : '';
+
+        return this.createLine('changed', `<strong>${UIUtils.sanitizeHtml(change.id)}</strong> (${UIUtils.sanitizeHtml(change.type)})${fields}${prompt}`, true);
+    }
+
+    formatTextPart(part) {
+        const text = UIUtils.sanitizeHtml(part.text);
+        if (part.type === 'added') return `<ins style="background: #d1fae5; text-decoration: none;">${text}</ins>`;
+        if (part.type === 'removed') return `<del style="background: #fee2e2; color: #991b1b;">${text}</del>`;
+        return text;
+    }
+
+    formatValue(value) {
+        if (value === undefined || value === null || value === '') return 'none';
+        if (Array.isArray(value)) return value.join(', ') || 'none';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    describeAction(action) {
+        return `${action.id} (${action.type}): ${(action.inputs || []).join(', ') || 'no inputs'} → ${(action.outputs || []).join(', ') || 'no output'}`;
+    }
+
+    describeConnection(connection) {
+        return `${connection.from} → ${connection.to}${connection.label ? ` (${connection.label})` : ''}`;
+    }
+
+    // Outline added and changed nodes; removed nodes are not on the canvas and are only listed
+    highlight(diff, beforeLabel) {
+        const nodes = [
+            ...diff.actions.added.map(action => ({ nodeId: action.id, change: 'added', summary: `Added since ${beforeLabel}` })),
+            ...diff.actions.changed.map(change => ({
+                nodeId: change.id,
+                change: 'changed',
+                summary: `Changed since ${beforeLabel}: ${[...change.changes.map(c => c.field), ...(change.promptDiff ? ['custom instructions'] : [])].join(', ')}`
+            }))
+        ];
+        if (nodes.length === 0) return;
+
+        this.eventBus.emit('node:diff:highlight', { nodes });
+        this.highlighted = true;
+    }
+
+    clearHighlights() {
+        if (!this.highlighted) return;
+
+        this.eventBus.emit('node:diff:clear');
+        this.highlighted = false;
+    }
+
+    close() {
+        UIUtils.removeModal(this.modal);
+        this.modal = null;
+    }
+}
+
+export { WorkflowDiffPanel };
@@ -6,16 +6,72 @@ class Config {
 
     loadConfig() {
         this.config = {
-            // OpenAI Configuration
+            // OpenAI Configuration - retries apply to every LLM provider; endpoints, models and timeouts are in llm.providers
             openai: {
                 apiKey: this.getEnvVar('OPENAI_API_KEY') || '',
-                model: 'gpt-4o',
-                baseUrl: 'https://api.openai.com/v1',
-                timeout: 30000,
                 maxRetries: 3,
                 retryDelay: 1000
             },
 
+            // LLM providers - OpenAIService routes chat requests through the provider chosen here
+            llm: {
+                provider: this.getEnvVar('LLM_PROVIDER') || 'openai',
+                classification: this.getEnvVar('LLM_DATA_CLASSIFICATION') || 'internal',
+                toolCallRepairAttempts: 2, // Retries with validation errors when a tool call (workflow, template values) is invalid
+                // Long inputs are split into chunks (map) whose results are merged (reduce)
+                chunking: {
+                    tools: ['summarizer', 'analyzer', 'translator'],
+                    maxInputTokens: 12000,  // Larger inputs are chunked
+                    chunkTokens: 6000,
+                    overlapTokens: 200,     // Context repeated from the previous chunk
+                    defaultReduceStrategy: 'combine', // 'combine' merges with the model, 'concatenate' joins in order
+                    reduceStrategies: {
+                        translator: 'concatenate'
+                    }
+                },
+                // Provider per data classification; unset classifications use `provider`
+                routing: {
+                    public: this.getEnvVar('LLM_PROVIDER_PUBLIC'),
+                    internal: this.getEnvVar('LLM_PROVIDER_INTERNAL'),
+                    confidential: this.getEnvVar('LLM_PROVIDER_CONFIDENTIAL')
+                },
+                providers: {
+                    openai: {
+                        type: 'openai',
+                        baseUrl: 'https://api.openai.com/v1',
+                        apiKey: this.getEnvVar('OPENAI_API_KEY') || '',
+                        model: 'gpt-4o',
+                        timeout: 180000 // ms per request; long summaries and analyses take minutes
+                    },
+                    azure: {
+                        type: 'azure',
+                        endpoint: this.getEnvVar('AZURE_OPENAI_ENDPOINT') || '', // https://<resource>.openai.azure.com
+                        apiKey: this.getEnvVar('AZURE_OPENAI_API_KEY') || '',
+                        deployment: this.getEnvVar('AZURE_OPENAI_DEPLOYMENT') || 'gpt-4o',
+                        apiVersion: '2024-06-01',
+                        timeout: 180000
+                    },
+                    anthropic: {
+                        type: 'anthropic',
+                        baseUrl: 'https://api.anthropic.com/v1',
+                        apiKey: this.getEnvVar('ANTHROPIC_API_KEY') || '',
+                        model: 'claude-3-5-sonnet-latest',
+                        maxTokens: 4096,
+                        apiVersion: '2023-06-01',
+                        timeout: 180000
+                    },
+                    // OpenAI-compatible local server, also used with the development mock server
+                    local: {
+                        type: 'openai',
+                        baseUrl: this.getEnvVar('LOCAL_LLM_BASE_URL') || 'http://localhost:8080/v1',
+                        apiKey: this.getEnvVar('LOCAL_LLM_API_KEY') || '',
+                        model: this.getEnvVar('LOCAL_LLM_MODEL') || 'local-model',
+                        requiresApiKey: false,
+                        timeout: 600000 // Local models on a laptop are much slower
+                    }
+                }
+            },
+
             // Application Configuration  
             app: {
                 name: 'ToolFlowBuilder',
@@ -30,9 +86,150 @@ class Config {
                     video: ['mp4', 'mov', 'avi', 'webm'], 
                     image: ['png', 'jpg', 'jpeg', 'gif', 'webp'],
                     document: ['pdf', 'txt', 'docx', 'xlsx']
+                },
+                spreadsheetFormat: 'markdown' // xlsx2text writes each sheet as a 'markdown' table or 'csv'
+            },
+
+            // Offline OCR - Tesseract WASM engine and language data, installed by install-assets.sh (see README)
+            ocr: {
+                libraryPath: 'assets/ocr/tesseract.esm.min.js',
+                workerPath: 'assets/ocr/worker.min.js',
+                corePath: 'assets/ocr/core/',
+                langPath: 'assets/ocr/lang/',
+                availableLanguages: ['eng', 'nld', 'deu', 'fra'],
+                languages: ['eng', 'nld', 'deu', 'fra'] // Used when a node doesn't ask for specific languages
+            },
+
+            // Speech-to-text for audio2text/video2text (see README)
+            transcription: {
+                provider: this.getEnvVar('TRANSCRIPTION_PROVIDER') || 'auto', // 'auto', 'api' or 'local'
+                chunkSeconds: 600,      // Long recordings are transcribed in chunks of this length
+                sampleRate: 16000,
+                api: {
+                    // Any Whisper-compatible /audio/transcriptions endpoint, e.g. a local stand-in server
+                    baseUrl: this.getEnvVar('TRANSCRIPTION_BASE_URL') || 'https://api.openai.com/v1',
+                    apiKey: this.getEnvVar('TRANSCRIPTION_API_KEY') || this.getEnvVar('OPENAI_API_KEY') || '',
+                    model: 'whisper-1',
+                    responseFormat: 'verbose_json',
+                    maxUploadBytes: 26214400, // 25MB endpoint limit
+                    maxRetries: 3,
+                    retryDelay: 1000
+                },
+                local: {
+                    libraryPath: 'assets/transcription/transformers.min.js',
+                    wasmPath: 'assets/transcription/wasm/',
+                    modelPath: 'assets/models/',
+                    model: 'whisper-base',
+                    windowSeconds: 30,
+                    strideSeconds: 5
                 }
             },
 
+            // In-browser audio extraction from video - ffmpeg WASM core, installed by install-assets.sh (see README)
+            media: {
+                corePath: 'assets/ffmpeg/ffmpeg-core.js',
+                wasmPath: 'assets/ffmpeg/ffmpeg-core.wasm',
+                audioFormat: 'wav',     // 'wav' (16-bit PCM) or 'opus'
+                sampleRate: 16000,      // Whisper works at 16 kHz; opus is encoded at 48 kHz
+                channels: 1,
+                opusBitrate: '32k',
+                timeout: 600000         // Give up on a single extraction after 10 minutes
+            },
+
+            // Workflow execution - actions whose inputs are ready run in parallel (see ActionScheduler)
+            execution: {
+                maxParallelActions: 4,
+                defaultConcurrency: 1,  // Providers without a limit of their own
+                concurrency: {
+                    // LLM providers by name (llm.providers); keep within the account's rate limits
+                    openai: 3,
+                    azure: 3,
+                    anthropic: 2,
+                    local: 1,
+                    // In-browser engines share the page's CPU
+                    ocr: 1,
+                    transcription: 1,
+                    media: 1,
+                    document: 2         // pdf2text, docx2text, xlsx2text
+                },
+                // Results of unchanged actions are reused from IndexedDB (see ActionResultCache)
+                cache: {
+                    enabled: true,
+                    maxEntries: 200     // Oldest results are dropped beyond this
+                },
+                // Every visual run is logged in IndexedDB for auditing (see ExecutionHistory)
+                history: {
+                    enabled: true,
+                    maxRuns: 100        // Oldest runs are dropped beyond this
+                },
+                // What happens when an action fails; nodes can override this (On Error in the node menu)
+                errorPolicy: {
+                    mode: 'stop',       // 'stop', 'retry', 'skip' (continue with empty output) or 'fallback'
+                    retries: 2,         // Extra attempts for 'retry'
+                    retryDelay: 2000,   // Doubled after every failed attempt
+                    fallbackTool: '',   // Tool for 'fallback'; empty keeps the node's own tool
+                    fallbackModel: ''   // Model for 'fallback'; empty keeps the provider's model
+                }
+            },
+
+            // Dry-run estimate of tokens, cost and duration before a workflow runs (see CostEstimator)
+            estimation: {
+                currency: 'USD',
+                budget: 1.00,           // Execute asks for confirmation above this projected cost; 0 turns the check off
+                // Prices per million tokens by model name; transcription models are priced per minute.
+                // Models missing here are estimated without a cost.
+                pricing: {
+                    'gpt-4o': { input: 2.50, output: 10.00 },
+                    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+                    'claude-3-5-sonnet-latest': { input: 3.00, output: 15.00 },
+                    'local-model': { input: 0, output: 0 },
+                    'whisper-1': { perMinute: 0.006 }
+                },
+                // Output tokens per input token of an LLM request, capped at maxOutputTokens
+                outputRatio: {
+                    default: 0.5,
+                    summarizer: 0.2,
+                    analyzer: 0.3,
+                    translator: 1.1,
+                    join: 1,
+                    text2pdf: 1,
+                    text2docx: 1
+                },
+                maxOutputTokens: 4096,
+                templateOutputTokens: 500,  // Values extracted for a .docx template
+                // Text extracted from an upload that has not been converted yet
+                tokensPerMB: {
+                    pdf2text: 60000,
+                    docx2text: 40000,
+                    xlsx2text: 80000
+                },
+                tokensPerImage: 300,
+                audioMinutesPerMB: 1,       // ~128 kbps compressed audio; uncompressed WAV is about 2 minutes per 10 MB
+                tokensPerMinute: 200,       // ~150 spoken words a minute
+                // Duration
+                requestSeconds: 1.5,        // Latency of every LLM request
+                outputTokensPerSecond: 60,
+                inputTokensPerSecond: 5000,
+                secondsPerImage: 8,         // Offline OCR
+                secondsPerDocumentMB: 2,    // pdf2text, docx2text, xlsx2text
+                transcriptionSpeed: { api: 20, local: 1 }, // Minutes of audio transcribed per minute
+                mediaSpeed: 10              // Minutes of video whose audio is extracted per minute
+            },
+
+            // Autosave of the canvas for restoring after a reload or crash (see SessionManager)
+            session: {
+                autosave: true,
+                saveDelay: 1000,            // ms without changes before a snapshot is written
+                keepFiles: false,           // Also store uploaded files, so a restore needs no re-upload
+                maxFileBytes: 52428800      // Larger uploads are not kept (50MB)
+            },
+
+            // Named, versioned workflows saved in this browser (see WorkflowLibrary)
+            library: {
+                enabled: true,
+                maxVersions: 50             // Oldest versions of a workflow are dropped beyond this; 0 keeps all
+            },
+
             // Feature Flags for MVP
             features: {
                 textVoiceInput: false,  // Set to false for MVP - disables text/voice input area
@@ -65,9 +262,9 @@ class Config {
 
         // For client-side apps, API keys need to be handled differently
         // In production, use a secure backend proxy
-        if (key === 'OPENAI_API_KEY' && typeof window !== 'undefined') {
+        if (key.endsWith('_API_KEY') && typeof window !== 'undefined') {
             // Try to load from a secure configuration
-            return window.OPENAI_API_KEY || localStorage.getItem('OPENAI_API_KEY');
+            return window[key] || localStorage.getItem(key);
         }
 
         return undefined;
@@ -82,9 +279,12 @@ class Config {
     validateConfig() {
         const errors = [];
 
-        // Check OpenAI API key
-        if (!this.config.openai.apiKey) {
-            console.warn('⚠️  OpenAI API key not found. Add OPENAI_API_KEY to environment.');
+        // Check the default LLM provider
+        const llmProvider = this.config.llm.providers[this.config.llm.provider];
+        if (!llmProvider) {
+            errors.push(`Unknown LLM provider: ${this.config.llm.provider}`);
+        } else if (llmProvider.requiresApiKey !== false && !llmProvider.apiKey) {
+            console.warn(`⚠️  No API key for LLM provider "${this.config.llm.provider}" - using mock responses.`);
         }
 
         // Validate file size limits
@@ -105,6 +305,10 @@ class Config {
         return this.config.openai;
     }
 
+    get llm() {
+        return this.config.llm;
+    }
+
     get app() {
         return this.config.app;
     }
@@ -117,6 +321,34 @@ class Config {
         return this.config.features;
     }
 
+    get ocr() {
+        return this.config.ocr;
+    }
+
+    get transcription() {
+        return this.config.transcription;
+    }
+
+    get media() {
+        return this.config.media;
+    }
+
+    get execution() {
+        return this.config.execution;
+    }
+
+    get estimation() {
+        return this.config.estimation;
+    }
+
+    get session() {
+        return this.config.session;
+    }
+
+    get library() {
+        return this.config.library;
+    }
+
     // Utility methods
     hasApiKey() {
         return !!this.config.openai.apiKey;
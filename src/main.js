@@ -4,9 +4,25 @@ import { WorkflowCanvasManager } from './components/WorkflowCanvasManager.js';
 import { OutputZone } from './components/OutputZone.js';
 import { VoiceInput } from './components/VoiceInput.js';
 import { ToolPalette } from './components/ToolPalette.js';
+import { HistoryPanel } from './components/HistoryPanel.js';
+import { CostEstimatePanel } from './components/CostEstimatePanel.js';
+import { LibraryPanel } from './components/LibraryPanel.js';
+import { WorkflowDiffPanel } from './components/WorkflowDiffPanel.js';
 import { OpenAIService } from './services/OpenAIService.js';
 import { FileProcessor } from './services/FileProcessor.js';
+import { OcrService } from './services/OcrService.js';
+import { TranscriptionService } from './services/TranscriptionService.js';
+import { AudioExtractionService } from './services/AudioExtractionService.js';
+import { MapReduceService } from './services/MapReduceService.js';
+import { ActionResultCache } from './services/ActionResultCache.js';
+import { ExecutionHistory } from './services/ExecutionHistory.js';
+import { CostEstimator } from './services/CostEstimator.js';
+import { WorkflowImporter } from './services/WorkflowImporter.js';
+import { WorkflowValidator } from './services/WorkflowValidator.js';
+import { SessionManager } from './services/SessionManager.js';
+import { WorkflowLibrary } from './services/WorkflowLibrary.js';
 import { WorkflowEngine } from './services/WorkflowEngine.js';
+import { ExecutionControl } from './services/ExecutionControl.js';
 import { UIUtils } from './utils/UIUtils.js';
 import { EventBus } from './utils/EventBus.js';
 import { OutputNaming } from './services/OutputNaming.js';
@@ -117,6 +133,13 @@ class ToolFlowBuilder {
     initializeServices() {
         this.openAIService = new OpenAIService();
         this.fileProcessor = new FileProcessor();
+        this.ocrService = new OcrService();
+        this.fileProcessor.setOcrService(this.ocrService);
+        this.transcriptionService = new TranscriptionService();
+        this.fileProcessor.setTranscriptionService(this.transcriptionService);
+        this.openAIService.setTranscriptionService(this.transcriptionService);
+        this.audioExtractionService = new AudioExtractionService();
+        this.fileProcessor.setAudioExtractionService(this.audioExtractionService);
         this.workflowEngine = new WorkflowEngine(this.eventBus, this.openAIService);
         this.outputNaming = new OutputNaming();
         this.outputNaming.init(this.eventBus);
@@ -135,6 +158,35 @@ class ToolFlowBuilder {
         // Connect WorkflowEngine to ToolPalette for system prompts
         this.workflowEngine.setToolPalette(this.toolPalette);
         
+        // Connect OpenAIService to ToolPalette so generated workflows only use live tools
+        this.openAIService.setToolPalette(this.toolPalette);
+
+        // Connect WorkflowEngine to WorkflowValidator so Action JSON is checked before it runs
+        this.workflowValidator = new WorkflowValidator();
+        this.workflowValidator.setToolPalette(this.toolPalette);
+        this.workflowEngine.setWorkflowValidator(this.workflowValidator);
+        
+        // Connect WorkflowEngine to FileProcessor and file managers for real input content
+        this.workflowEngine.setFileProcessor(this.fileProcessor);
+        this.workflowEngine.setInputFilesManager(this.inputFilesManager);
+        this.workflowEngine.setTextFilesManager(this.textFilesManager);
+        
+        // Connect WorkflowEngine to MapReduceService for inputs that exceed the context window
+        this.mapReduceService = new MapReduceService(this.eventBus, this.openAIService);
+        this.workflowEngine.setMapReduceService(this.mapReduceService);
+
+        // Connect WorkflowEngine to ActionResultCache so unchanged actions are not run again
+        this.workflowEngine.setActionResultCache(new ActionResultCache());
+
+        // Connect WorkflowEngine to ExecutionHistory so every run is logged for auditing
+        this.executionHistory = new ExecutionHistory();
+        this.workflowEngine.setExecutionHistory(this.executionHistory);
+        this.historyPanel = new HistoryPanel(this.eventBus, this.executionHistory);
+
+        // Connect WorkflowEngine to CostEstimator for dry-run estimates and the budget check
+        this.workflowEngine.setCostEstimator(new CostEstimator(this.openAIService, this.mapReduceService));
+        this.costEstimatePanel = new CostEstimatePanel(this.eventBus);
+        
         // Initialize TextualFlowManager for textual workflow mode
         this.textualFlowManager = new TextualFlowManager(
             this.eventBus, 
@@ -145,6 +197,27 @@ class ToolFlowBuilder {
         // Connect TextualFlowManager to InputFilesManager for file metadata
         this.textualFlowManager.setInputFilesManager(this.inputFilesManager);
         console.log('TextualFlowManager created and connected to InputFilesManager');
+
+        // Initialize WorkflowImporter for loading exported V4 JSON back onto the canvas
+        this.workflowImporter = new WorkflowImporter(this.eventBus);
+        this.workflowImporter.setNodeDataManager(this.nodeDataManager);
+        this.workflowImporter.setInputFilesManager(this.inputFilesManager);
+        this.workflowImporter.setTextFilesManager(this.textFilesManager);
+        this.workflowImporter.setOutputZone(this.outputZone);
+        this.workflowImporter.setWorkflowValidator(this.workflowValidator);
+
+        // Initialize SessionManager to autosave the canvas and restore it after a reload
+        this.sessionManager = new SessionManager(this.eventBus);
+        this.sessionManager.setWorkflowCanvas(this.workflowCanvas);
+        this.sessionManager.setCanvasZoomManager(this.canvasZoomManager);
+        this.sessionManager.setInputFilesManager(this.inputFilesManager);
+        this.sessionManager.setUploadZone(this.uploadZone);
+        this.sessionManager.setWorkflowImporter(this.workflowImporter);
+
+        // Initialize WorkflowLibrary for named, versioned workflows kept in this browser
+        this.workflowLibrary = new WorkflowLibrary();
+        this.libraryPanel = new LibraryPanel(this.eventBus, this.workflowLibrary, this.workflowCanvas);
+        this.workflowDiffPanel = new WorkflowDiffPanel(this.eventBus);
     }
 
     initializeResize() {
@@ -159,6 +232,9 @@ class ToolFlowBuilder {
         // Workflow events
         this.eventBus.on('workflow-generated', this.handleWorkflowGenerated.bind(this));
         this.eventBus.on('workflow-executed', this.handleWorkflowExecuted.bind(this));
+        this.eventBus.on('workflow-resume-requested', this.executeCanvasWorkflow.bind(this));
+        this.eventBus.on('library-workflow-open', this.handleOpenLibraryWorkflow.bind(this));
+        this.eventBus.on('node:run:request', this.handleNodeRunRequest.bind(this));
         this.eventBus.on('node-added', this.handleNodeAdded.bind(this));
         this.eventBus.on('node-deleted', this.handleNodeDeleted.bind(this));
         this.eventBus.on('connection-created', this.handleConnectionCreated.bind(this));
@@ -185,15 +261,33 @@ class ToolFlowBuilder {
         const generateFlowBtn = document.getElementById('generateFlowBtn');
         const describeFlowBtn = document.getElementById('describeFlowBtn');
         const executeBtn = document.getElementById('executeWorkflowBtn');
+        const estimateBtn = document.getElementById('estimateWorkflowBtn');
         const clearCanvasBtn = document.getElementById('clearCanvasBtn');
         const exportWorkflowBtn = document.getElementById('exportWorkflowBtn');
+        const importWorkflowBtn = document.getElementById('importWorkflowBtn');
+        const importWorkflowInput = document.getElementById('importWorkflowInput');
+        const compareWorkflowBtn = document.getElementById('compareWorkflowBtn');
+        const compareWorkflowInput = document.getElementById('compareWorkflowInput');
         const textInput = document.getElementById('textInput');
 
         generateFlowBtn?.addEventListener('click', this.handleGenerateFlow.bind(this));
         describeFlowBtn?.addEventListener('click', this.handleDescribeFlow.bind(this));
         executeBtn?.addEventListener('click', this.handleExecuteWorkflow.bind(this));
+        estimateBtn?.addEventListener('click', this.handleEstimateWorkflow.bind(this));
         clearCanvasBtn?.addEventListener('click', this.handleClearCanvas.bind(this));
         exportWorkflowBtn?.addEventListener('click', this.handleExportWorkflow.bind(this));
+        importWorkflowBtn?.addEventListener('click', () => importWorkflowInput?.click());
+        importWorkflowInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow importing the same file again
+            if (file) this.handleImportWorkflow(file);
+        });
+        compareWorkflowBtn?.addEventListener('click', () => compareWorkflowInput?.click());
+        compareWorkflowInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.handleCompareWorkflow(file);
+        });
         
         const toggleConnectionsBtn = document.getElementById('toggleConnectionsBtn');
         toggleConnectionsBtn?.addEventListener('click', this.handleToggleConnections.bind(this));
@@ -288,6 +382,10 @@ class ToolFlowBuilder {
                 return 'pdf2text';
             case 'image':
                 return 'image2text';
+            case 'document':
+                if (/\.docx$/i.test(file.name)) return 'docx2text';
+                if (/\.xlsx$/i.test(file.name)) return 'xlsx2text';
+                return null;
             default:
                 return null;
         }
@@ -377,6 +475,9 @@ class ToolFlowBuilder {
         const isValidWorkflow = this.validateWorkflow(workflow);
         
         executeBtn.disabled = !isValidWorkflow;
+
+        const estimateBtn = document.getElementById('estimateWorkflowBtn');
+        if (estimateBtn) estimateBtn.disabled = !isValidWorkflow;
         
         if (isValidWorkflow) {
             // Add pulsing animation when ready
@@ -764,12 +865,14 @@ class ToolFlowBuilder {
             // Update button states
             this.handleTextInputChange();
             
+            this.eventBus.emit('workflow-cleared');
             console.log('🧹 Workflow cleared (input files preserved)');
         }
+        return cleared;
     }
 
     handleExportWorkflow() {
-        const workflow = this.workflowCanvas.exportWorkflow();
+        const workflow = this.workflowCanvas.exportWorkflow(this.libraryPanel.getCurrentMetadata());
         const blob = new Blob([JSON.stringify(workflow, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -780,6 +883,68 @@ class ToolFlowBuilder {
         console.log('📄 Exported V4 workflow JSON format');
     }
 
+    // Load an exported toolflowbuilder-v4 file; unbound input placeholders are rebound first
+    async handleImportWorkflow(file) {
+        try {
+            const workflow = this.workflowImporter.parse(await file.text());
+            await this.loadWorkflow(workflow, file.name);
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    // Differences between an exported workflow and the canvas, highlighted on the canvas
+    async handleCompareWorkflow(file) {
+        try {
+            const workflow = this.workflowImporter.parse(await file.text());
+            this.eventBus.emit('workflow-diff-requested', {
+                before: workflow,
+                after: this.workflowCanvas.exportWorkflow(),
+                beforeLabel: file.name,
+                afterLabel: 'Canvas',
+                onCanvas: true
+            });
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    // Open a saved version from the workflow library; it is upgraded and checked again as tools may have changed since
+    async handleOpenLibraryWorkflow({ entry, version, workflow }) {
+        try {
+            if (await this.loadWorkflow(this.workflowImporter.prepare(workflow), `"${entry.name}" version ${version}`)) {
+                this.eventBus.emit('library-workflow-opened', { entry, version });
+            }
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    // Replace the canvas with a validated V4 workflow; resolves to false when the user cancels
+    async loadWorkflow(workflow, source) {
+        const inputFiles = await this.workflowImporter.resolveInputFiles(workflow);
+        if (inputFiles === false) return false;
+
+        // Replaces the current workflow, after the same confirmation as Clear
+        if (!(await this.handleClearCanvas())) return false;
+        this.outputZone.clear();
+
+        if (inputFiles) {
+            this.uploadZone.replaceFiles(inputFiles);
+        }
+
+        const { nodes, warnings } = this.workflowImporter.importWorkflow(workflow);
+        this.handleTextInputChange();
+
+        if (warnings.length > 0) {
+            UIUtils.showWarning(`Loaded ${nodes} nodes with ${warnings.length} warning(s): ${warnings[0]}`, 8000);
+        } else {
+            UIUtils.showSuccess(`Loaded ${nodes} nodes from ${source}`);
+        }
+        console.log(`📥 Loaded V4 workflow JSON from ${source}`);
+        return true;
+    }
+
     handleToggleConnections() {
         this.eventBus.emit('toggle-connections');
         
@@ -883,7 +1048,51 @@ class ToolFlowBuilder {
     }
 
     // Utility Methods
-    async handleExecuteWorkflow() {
+    handleExecuteWorkflow() {
+        return this.executeCanvasWorkflow();
+    }
+
+    // Dry run: projected cost, requests and duration without executing anything
+    async handleEstimateWorkflow() {
+        const workflow = this.workflowCanvas.exportWorkflow();
+        if (!workflow || !workflow.actions || workflow.actions.length === 0) {
+            this.handleError({ message: 'Please create a visual workflow to estimate' });
+            return;
+        }
+
+        try {
+            const estimate = await this.workflowEngine.estimateVisualWorkflow(workflow, this.getExecutionFiles());
+            await this.costEstimatePanel.show(estimate);
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    // Resolves to false when the projected cost is over Config.estimation.budget, or cannot be checked
+    // against it because of unpriced models, and the user cancels
+    async confirmWithinBudget(workflow, runOptions) {
+        if (!Config.estimation.budget) return true;
+
+        let estimate;
+        try {
+            estimate = await this.workflowEngine.estimateVisualWorkflow(workflow, this.getExecutionFiles(), runOptions);
+        } catch (error) {
+            // A failed estimate should not block the run; execution reports real problems itself
+            console.warn('⚠️ Cost estimate failed, running without the budget check:', error);
+            return true;
+        }
+
+        if (!estimate.overBudget && !estimate.budgetInconclusive) return true;
+        return await this.costEstimatePanel.show(estimate, { confirmRun: true });
+    }
+
+    // "Run up to this node" / "Re-run from this node" from the node context menu
+    handleNodeRunRequest({ nodeId, mode }) {
+        return this.executeCanvasWorkflow({ nodeId, mode });
+    }
+
+    // runOptions { nodeId, mode } limits the run to part of the workflow (see WorkflowEngine.selectActionsForNode)
+    async executeCanvasWorkflow(runOptions = {}) {
         try {
             // V4: Support direct TextFiles → OutputFiles execution without requiring generated workflow
             const workflow = this.workflowCanvas.exportWorkflow();
@@ -899,18 +1108,29 @@ class ToolFlowBuilder {
             // Check if there's a visual workflow on canvas or if it's easter egg demo
             const files = this.uploadZone.getFiles();
             
-            if (this.isEasterEggScenario(files)) {
+            if (this.isEasterEggScenario(files) && !runOptions.nodeId) {
                 // Execute easter egg demo workflow - prioritize this over visual workflow
                 const results = await this.workflowEngine.executeDemoEasterEggWorkflow(files);
                 this.eventBus.emit('workflow-executed', results);
             } else if (workflow && workflow.actions && workflow.actions.length > 0) {
-                // Execute visual workflow from canvas (TODO: implement V4 format support)
-                this.handleError({ message: 'Visual workflow execution not yet implemented for V4 format. Please use the easter egg demo files for now.' });
+                if (!(await this.confirmWithinBudget(workflow, runOptions))) {
+                    this.eventBus.emit('status-update', 'Execution cancelled - projected cost is over budget');
+                    return;
+                }
+
+                // Execute visual workflow from canvas against the uploaded files
+                const results = await this.workflowEngine.executeVisualWorkflow(workflow, this.getExecutionFiles(), runOptions);
+                this.eventBus.emit('workflow-executed', results);
             } else {
                 // No visual workflow and not easter egg - show error
                 this.handleError({ message: 'Please create a visual workflow by adding nodes and connections on the canvas, or upload the demo files for the easter egg scenario' });
             }
         } catch (error) {
+            // WorkflowEngine already showed what was cancelled
+            if (ExecutionControl.isCancelError(error)) {
+                this.eventBus.emit('status-update', '⏹️ Workflow cancelled');
+                return;
+            }
             this.handleError(error);
         }
     }
@@ -919,6 +1139,18 @@ class ToolFlowBuilder {
 
 
 
+    getExecutionFiles() {
+        // File descriptors for WorkflowEngine, keeping the A, B, C labels and the File itself
+        const inputFileLabels = this.inputFilesManager?.getInputFileLabels() || [];
+        return inputFileLabels.map(f => ({
+            name: f.originalName,
+            size: f.fileSize,
+            type: f.fileType,
+            label: f.label,
+            file: f.file
+        }));
+    }
+
     async generateWorkflowFromText(text) {
         const files = this.uploadZone.getFiles();
         if (files.length === 0) {
@@ -1003,8 +1235,8 @@ class ToolFlowBuilder {
         // Apply feature flags for MVP
         this.applyFeatureFlags();
         
-        // Ensure clean state on page refresh
-        this.handleClearCanvas();
+        // Offer the autosaved canvas from the previous session instead of starting empty
+        this.sessionManager.start();
         
         this.eventBus.emit('status-update', 'Ready to build workflows!');
         
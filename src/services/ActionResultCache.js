@@ -0,0 +1,82 @@
+// ActionResultCache - Keeps action results in IndexedDB so unchanged steps are not run again
+// Results are keyed by a SHA-256 hash of the tool, prompts, model and the hashes of the input contents
+
+import { Config } from '../config/config.js';
+import { ContentHash } from '../utils/ContentHash.js';
+import { IndexedDbStore } from '../utils/IndexedDbStore.js';
+
+const DB_NAME = 'toolflowbuilder-action-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'results';
+
+class ActionResultCache {
+    constructor(settings = Config.execution.cache) {
+        this.settings = settings;
+    }
+
+    // IndexedDB and SubtleCrypto are missing on file:// pages and in some private windows
+    isAvailable() {
+        return !!this.settings.enabled &&
+            IndexedDbStore.isAvailable() &&
+            ContentHash.isAvailable();
+    }
+
+    openDatabase() {
+        return IndexedDbStore.open(DB_NAME, DB_VERSION, db => {
+            db.createObjectStore(STORE_NAME, { keyPath: 'key' }).createIndex('cachedAt', 'cachedAt');
+        });
+    }
+
+    // parts: { toolType, systemPrompt, userPrompt, model, settings, inputs: [string | Blob] }
+    // where settings are the configuration values the tool's output depends on
+    async computeKey(parts) {
+        const inputHashes = [];
+        for (const input of parts.inputs) {
+            inputHashes.push(await ContentHash.hash(input));
+        }
+
+        return ContentHash.hash(JSON.stringify([
+            parts.toolType,
+            parts.systemPrompt || '',
+            parts.userPrompt || '',
+            parts.model || '',
+            parts.settings || null,
+            inputHashes
+        ]));
+    }
+
+    // Returns { key, result, cachedAt } or null; a broken cache never stops a run
+    async get(key) {
+        try {
+            const db = await this.openDatabase();
+            return await IndexedDbStore.request(IndexedDbStore.store(db, STORE_NAME).get(key)) || null;
+        } catch (error) {
+            console.warn('⚠️ ActionResultCache: lookup failed:', error);
+            return null;
+        }
+    }
+
+    async set(key, result) {
+        try {
+            const db = await this.openDatabase();
+            const store = IndexedDbStore.store(db, STORE_NAME, 'readwrite');
+            await IndexedDbStore.request(store.put({ key, result, cachedAt: new Date().toISOString() }));
+            await this.prune(db);
+        } catch (error) {
+            console.warn('⚠️ ActionResultCache: could not store result:', error);
+        }
+    }
+
+    async clear() {
+        const db = await this.openDatabase();
+        await IndexedDbStore.request(IndexedDbStore.store(db, STORE_NAME, 'readwrite').clear());
+        console.log('🧹 ActionResultCache: cleared');
+    }
+
+    // Drop the oldest entries beyond settings.maxEntries
+    prune(db) {
+        return IndexedDbStore.deleteOldest(IndexedDbStore.store(db, STORE_NAME, 'readwrite'), 'cachedAt', this.settings.maxEntries);
+    }
+}
+
+export { ActionResultCache };
@@ -0,0 +1,93 @@
+// ActionScheduler - Runs workflow steps in parallel as soon as everything they depend on has finished
+// Every step names the provider it uses (an LLM provider, ocr, transcription...); each provider has its own concurrency limit
+
+import { Config } from '../config/config.js';
+
+class ActionScheduler {
+    constructor(settings = Config.execution) {
+        this.settings = settings;
+    }
+
+    getProviderLimit(provider) {
+        const limit = this.settings.concurrency[provider];
+        return Math.max(1, limit || this.settings.defaultConcurrency || 1);
+    }
+
+    // steps: [{ id, name, dependsOn: [id], provider, run: async () => result }]
+    // Returns a Map of step id -> result. After a failure no new steps start; the first error is
+    // thrown once the steps already running have settled, so their results are not lost mid-write.
+    // control (ExecutionControl, optional): while paused no new steps start; a cancel throws at once
+    // and leaves the running steps to their aborted requests.
+    async run(steps, control = null) {
+        const results = new Map();
+        const pending = [...steps];
+        const running = new Set();
+        const activeByProvider = new Map();
+        let failure = null;
+
+        const start = (step) => {
+            activeByProvider.set(step.provider, (activeByProvider.get(step.provider) || 0) + 1);
+
+            const task = Promise.resolve()
+                .then(() => step.run())
+                .then(result => {
+                    results.set(step.id, result);
+                }, error => {
+                    if (!failure) failure = error;
+                })
+                .finally(() => {
+                    running.delete(task);
+                    activeByProvider.set(step.provider, activeByProvider.get(step.provider) - 1);
+                });
+            running.add(task);
+        };
+
+        while (pending.length > 0 || running.size > 0) {
+            if (control) control.throwIfCancelled();
+
+            // Start ready steps in their listed order, as far as the limits allow
+            for (let i = 0; !failure && !(control && control.isPaused) && i < pending.length; i++) {
+                const step = pending[i];
+                if (running.size >= this.settings.maxParallelActions) break;
+                if (!step.dependsOn.every(id => results.has(id))) continue;
+                if ((activeByProvider.get(step.provider) || 0) >= this.getProviderLimit(step.provider)) continue;
+
+                pending.splice(i--, 1);
+                start(step);
+            }
+
+            if (running.size === 0) {
+                if (failure || pending.length === 0) break;
+                if (control && control.isPaused) {
+                    await control.waitUntilResumed();
+                    continue;
+                }
+                throw new Error(`Cannot run ${pending.map(step => step.name || step.id).join(', ')}: inputs are never produced (circular dependency?)`);
+            }
+
+            await Promise.race(control ? [...running, control.whenCancelled()] : running);
+        }
+
+        if (control) control.throwIfCancelled();
+
+        if (failure) throw failure;
+        return results;
+    }
+
+    // Steps for actions { inputFiles, outputFile }: an action waits for every action producing one of its inputs
+    static fromActions(actions, getProvider, run) {
+        const producers = new Map(actions.map((action, index) => [action.outputFile, index]));
+
+        return actions.map((action, index) => ({
+            id: index,
+            name: action.outputFile,
+            dependsOn: [...new Set(action.inputFiles
+                .filter(label => producers.has(label) && producers.get(label) !== index)
+                .map(label => producers.get(label)))],
+            provider: getProvider(action),
+            run: () => run(action, index)
+        }));
+    }
+}
+
+export { ActionScheduler };
@@ -0,0 +1,158 @@
+// AnthropicProvider - Chat completions through the Anthropic Messages API
+// Adapts OpenAI chat-completions payloads to /v1/messages and maps the response back
+
+class AnthropicProvider {
+    constructor(name, settings) {
+        this.name = name;
+        this.baseUrl = (settings.baseUrl || '').replace(/\/$/, '');
+        this.apiKey = settings.apiKey || '';
+        this.model = settings.model;
+        this.maxTokens = settings.maxTokens;
+        this.apiVersion = settings.apiVersion;
+        this.timeout = settings.timeout;
+    }
+
+    isConfigured() {
+        return !!this.baseUrl && !!this.apiKey;
+    }
+
+    buildRequest(data) {
+        // System messages move to the top-level system field
+        const system = data.messages
+            .filter(message => message.role === 'system')
+            .map(message => message.content)
+            .join('\n\n');
+
+        const body = {
+            model: data.model || this.model,
+            max_tokens: data.max_tokens || this.maxTokens,
+            messages: data.messages
+                .filter(message => message.role !== 'system')
+                .map(message => this.convertMessage(message))
+        };
+
+        if (system) body.system = system;
+        if (typeof data.temperature === 'number') body.temperature = data.temperature;
+
+        const tools = this.convertTools(data);
+        if (tools.length > 0) {
+            body.tools = tools;
+            const toolChoice = this.convertToolChoice(data);
+            if (toolChoice) body.tool_choice = toolChoice;
+        }
+
+        return {
+            url: `${this.baseUrl}/messages`,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.apiKey,
+                'anthropic-version': this.apiVersion,
+                'anthropic-dangerous-direct-browser-access': 'true'
+            },
+            body: body
+        };
+    }
+
+    // Tool calls and tool results become tool_use and tool_result content blocks
+    convertMessage(message) {
+        if (message.role === 'tool') {
+            return {
+                role: 'user',
+                content: [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }]
+            };
+        }
+
+        if (message.role === 'assistant' && message.tool_calls) {
+            const content = message.content ? [{ type: 'text', text: message.content }] : [];
+            message.tool_calls.forEach(call => {
+                let input = {};
+                try {
+                    input = JSON.parse(call.function.arguments);
+                } catch (error) {
+                    // Invalid arguments are sent back as an empty call; the tool result explains the error
+                }
+                content.push({ type: 'tool_use', id: call.id, name: call.function.name, input: input });
+            });
+            return { role: 'assistant', content: content };
+        }
+
+        return {
+            role: message.role === 'assistant' ? 'assistant' : 'user',
+            content: message.content
+        };
+    }
+
+    // Accepts both the legacy functions field and the tools field
+    convertTools(data) {
+        const functions = data.functions || (data.tools || [])
+            .filter(tool => tool.type === 'function')
+            .map(tool => tool.function);
+
+        return functions.map(fn => ({
+            name: fn.name,
+            description: fn.description || '',
+            input_schema: fn.parameters || { type: 'object', properties: {} }
+        }));
+    }
+
+    convertToolChoice(data) {
+        const choice = data.function_call || data.tool_choice;
+        if (!choice || choice === 'auto') return { type: 'auto' };
+        if (choice === 'none') return { type: 'none' };
+        if (choice === 'required') return { type: 'any' };
+
+        const name = choice.name || choice.function?.name;
+        return name ? { type: 'tool', name: name } : { type: 'auto' };
+    }
+
+    // Map a Messages API response back to the chat-completions shape
+    parseResponse(response, data = {}) {
+        const blocks = response.content || [];
+        const text = blocks
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        const toolCalls = blocks
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({
+                id: block.id,
+                type: 'function',
+                function: {
+                    name: block.name,
+                    arguments: JSON.stringify(block.input || {})
+                }
+            }));
+
+        const message = { role: 'assistant', content: text };
+        if (toolCalls.length > 0) {
+            message.tool_calls = toolCalls;
+            // Callers that used the legacy functions field read function_call
+            if (data.functions) message.function_call = toolCalls[0].function;
+        }
+
+        const finishReasons = {
+            end_turn: 'stop',
+            stop_sequence: 'stop',
+            max_tokens: 'length',
+            tool_use: 'tool_calls'
+        };
+        const usage = response.usage || {};
+
+        return {
+            id: response.id,
+            model: response.model,
+            choices: [{
+                index: 0,
+                message: message,
+                finish_reason: finishReasons[response.stop_reason] || response.stop_reason
+            }],
+            usage: {
+                prompt_tokens: usage.input_tokens || 0,
+                completion_tokens: usage.output_tokens || 0,
+                total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+            }
+        };
+    }
+}
+
+export { AnthropicProvider };
@@ -0,0 +1,165 @@
+// AudioExtractionService - Extracts the audio track from video files in the browser
+// Runs the ffmpeg WASM core (installed by install-assets.sh) in a Web Worker and returns a WAV or Opus Blob
+
+import { Config } from '../config/config.js';
+import { AudioUtils } from '../utils/AudioUtils.js';
+
+const TIMEOUT_GRACE = 30000; // The worker stops ffmpeg itself at media.timeout; this only catches a hung worker
+
+class AudioExtractionService {
+    constructor() {
+        this.config = Config.media;
+        this.worker = null;
+        this.pendingRequests = new Map(); // request id -> { resolve, reject, onProgress }
+        this.nextRequestId = 1;
+        this.abortSignal = null; // Signal of the running workflow, set by WorkflowEngine
+    }
+
+    // Extractions started while the signal is set are aborted with it (cancelled workflow runs)
+    setAbortSignal(signal) {
+        this.abortSignal = signal;
+    }
+
+    getWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = new Worker(new URL('../workers/audio-extraction.worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = this.handleWorkerMessage.bind(this);
+        this.worker.onerror = (event) => {
+            console.error('Audio extraction worker error:', event);
+            this.rejectAll(new Error(event.message || 'Audio extraction worker failed'));
+            this.worker = null;
+        };
+
+        this.worker.postMessage({
+            type: 'init',
+            coreUrl: new URL(this.config.corePath, document.baseURI).href,
+            wasmUrl: new URL(this.config.wasmPath, document.baseURI).href
+        });
+
+        return this.worker;
+    }
+
+    handleWorkerMessage({ data }) {
+        const request = this.pendingRequests.get(data.id);
+        if (!request) return;
+
+        switch (data.type) {
+            case 'progress':
+                if (request.onProgress) request.onProgress(data.progress);
+                break;
+            case 'result':
+                this.pendingRequests.delete(data.id);
+                request.resolve(data.buffer);
+                break;
+            case 'error':
+                this.pendingRequests.delete(data.id);
+                request.reject(new Error(data.message));
+                break;
+        }
+    }
+
+    // Extract the audio track of a video Blob; returns { blob, format, type, engine, warnings }.
+    // options.signal aborts the extraction and ends the worker running it
+    async extractAudio(blob, options = {}) {
+        options = { ...options, signal: options.signal || this.abortSignal };
+        const format = options.format || this.config.audioFormat;
+        const fileName = options.fileName || 'video.mp4';
+        console.log(`🎞️ AudioExtractionService: Extracting ${format} audio from ${fileName}`);
+
+        try {
+            const buffer = await this.runWorker(blob, fileName, format, options);
+            const type = format === 'opus' ? 'audio/ogg' : 'audio/wav';
+
+            return {
+                blob: new Blob([buffer], { type: type }),
+                format: format,
+                type: type,
+                engine: 'ffmpeg',
+                warnings: []
+            };
+        } catch (error) {
+            if (error.message === 'Video has no audio track' || format !== 'wav' || options.signal?.aborted) {
+                throw error;
+            }
+
+            // The browser's own decoder handles common containers (mp4, webm) without the WASM core
+            console.warn('ffmpeg extraction failed, falling back to the browser decoder:', error);
+            const audio = await AudioUtils.decodeToMono(blob, options.sampleRate || this.config.sampleRate);
+
+            return {
+                blob: AudioUtils.encodeWav(audio.samples, audio.sampleRate),
+                format: 'wav',
+                type: 'audio/wav',
+                engine: 'browser',
+                warnings: [`Extracted with the browser decoder (${error.message})`]
+            };
+        }
+    }
+
+    async runWorker(blob, fileName, format, options = {}) {
+        const signal = options.signal;
+        const data = await blob.arrayBuffer();
+        if (signal) signal.throwIfAborted();
+
+        const worker = this.getWorker();
+        const id = this.nextRequestId++;
+        let timer = null;
+        let onAbort = null;
+
+        try {
+            return await new Promise((resolve, reject) => {
+                this.pendingRequests.set(id, { resolve, reject, onProgress: options.onProgress });
+
+                // ffmpeg cannot be interrupted inside the worker, so a hung or cancelled job ends the worker
+                timer = setTimeout(() => {
+                    this.stopRequest(id, new Error(`Audio extraction timed out after ${Math.round(this.config.timeout / 1000)}s`));
+                }, this.config.timeout + TIMEOUT_GRACE);
+                if (signal) {
+                    onAbort = () => this.stopRequest(id, signal.reason);
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+
+                worker.postMessage({
+                    type: 'extract',
+                    id: id,
+                    data: data,
+                    inputName: fileName,
+                    format: format,
+                    sampleRate: this.config.sampleRate,
+                    channels: this.config.channels,
+                    opusBitrate: this.config.opusBitrate,
+                    timeout: this.config.timeout
+                }, [data]);
+            });
+        } finally {
+            clearTimeout(timer);
+            if (onAbort) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    // Reject one request and end the worker busy with it; the next extraction starts a new worker
+    stopRequest(id, error) {
+        const request = this.pendingRequests.get(id);
+        if (!request) return;
+
+        this.pendingRequests.delete(id);
+        request.reject(error);
+        this.terminate();
+    }
+
+    rejectAll(error) {
+        this.pendingRequests.forEach(request => request.reject(error));
+        this.pendingRequests.clear();
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectAll(new Error('Audio extraction worker terminated'));
+    }
+}
+
+export { AudioExtractionService };
@@ -0,0 +1,38 @@
+// AzureOpenAIProvider - Chat completions through an Azure OpenAI deployment
+// Same payload as OpenAI, but the deployment is part of the URL and auth uses the api-key header
+
+class AzureOpenAIProvider {
+    constructor(name, settings) {
+        this.name = name;
+        this.endpoint = (settings.endpoint || '').replace(/\/$/, '');
+        this.apiKey = settings.apiKey || '';
+        this.deployment = settings.deployment;
+        this.apiVersion = settings.apiVersion;
+        this.model = settings.deployment; // Azure picks the model from the deployment
+        this.timeout = settings.timeout;
+    }
+
+    isConfigured() {
+        return !!this.endpoint && !!this.apiKey && !!this.deployment;
+    }
+
+    buildRequest(data) {
+        // The deployment decides the model, so the payload must not name one
+        const { model, ...body } = data;
+
+        return {
+            url: `${this.endpoint}/openai/deployments/${encodeURIComponent(this.deployment)}/chat/completions?api-version=${this.apiVersion}`,
+            headers: {
+                'Content-Type': 'application/json',
+                'api-key': this.apiKey
+            },
+            body: body
+        };
+    }
+
+    parseResponse(response) {
+        return response;
+    }
+}
+
+export { AzureOpenAIProvider };
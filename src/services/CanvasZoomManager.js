@@ -220,6 +220,12 @@ class CanvasZoomManager {
             this.isDragging = false;
             this.canvas.style.cursor = '';
             e.preventDefault();
+            
+            this.eventBus.emit('canvas-zoom-changed', {
+                zoom: this.zoomLevel,
+                panX: this.panX,
+                panY: this.panY
+            });
         }
     }
     
@@ -144,9 +144,12 @@ class CascadingDeleteManager {
     getInputRules(nodeType) {
         const rules = {
             'pdf2text': { minInputs: 1, maxInputs: null },
+            'docx2text': { minInputs: 1, maxInputs: null },
+            'xlsx2text': { minInputs: 1, maxInputs: null },
             'audio2text': { minInputs: 1, maxInputs: null },
             'image2text': { minInputs: 1, maxInputs: null },
             'video2text': { minInputs: 1, maxInputs: null },
+            'video2audio': { minInputs: 1, maxInputs: null },
             'translator': { minInputs: 1, maxInputs: null },
             'summarizer': { minInputs: 1, maxInputs: null },
             'analyzer': { minInputs: 1, maxInputs: null },
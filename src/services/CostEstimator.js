@@ -0,0 +1,296 @@
+// CostEstimator - Dry run of a workflow: projected tokens, LLM requests, cost and duration, without calling anything
+// Sizes come from extracted text where it already exists and from file-size heuristics in Config.estimation otherwise
+
+import { Config } from '../config/config.js';
+import { TokenEstimator } from '../utils/TokenEstimator.js';
+
+const ENGINE_PROVIDERS = ['ocr', 'transcription', 'media', 'document'];
+const MAX_TEXT_READ_BYTES = 5242880; // Larger text uploads are estimated from their size
+
+class CostEstimator {
+    constructor(openAIService, mapReduceService = null, settings = Config.estimation) {
+        this.openAIService = openAIService;
+        this.mapReduceService = mapReduceService;
+        this.settings = settings;
+    }
+
+    /**
+     * Estimate a run of the given actions (ordered so producers come first)
+     *
+     * actions: action JSON actions with `provider` set (see WorkflowEngine.getActionProvider)
+     * files: uploaded file descriptors { label, name, size, type, file }
+     * getKnownText: label -> text already extracted or produced in an earlier run, or null
+     *
+     * Returns { actions: [{ outputFile, toolType, provider, model, requests, inputTokens, outputTokens,
+     * minutes, cost, seconds }], totals: { requests, inputTokens, outputTokens, cost, unpricedModels },
+     * durationSeconds, budget, overBudget, budgetInconclusive, currency, warnings }
+     * where budgetInconclusive means the priced part is within budget but unpriced models leave the total unknown
+     */
+    async estimate(actions, files, getKnownText = () => null) {
+        const sizes = new Map(); // label -> { tokens, minutes }
+        const warnings = [];
+        const estimates = [];
+
+        for (const action of actions) {
+            const inputs = [];
+            for (const label of action.inputFiles) {
+                inputs.push(await this.estimateInput(label, files, sizes, getKnownText, warnings));
+            }
+
+            const estimate = this.estimateAction(action, inputs);
+            sizes.set(action.outputFile, { tokens: estimate.outputTextTokens, minutes: estimate.minutes });
+            estimates.push(estimate);
+        }
+
+        const unpricedModels = [...new Set(estimates.filter(e => e.cost === null).map(e => e.model))];
+        const cost = estimates.reduce((total, e) => total + (e.cost || 0), 0);
+        const budget = this.settings.budget || 0;
+        const overBudget = budget > 0 && cost > budget;
+
+        return {
+            actions: estimates.map(({ outputTextTokens, ...estimate }) => estimate),
+            totals: {
+                requests: estimates.reduce((total, e) => total + e.requests, 0),
+                inputTokens: estimates.reduce((total, e) => total + e.inputTokens, 0),
+                outputTokens: estimates.reduce((total, e) => total + e.outputTokens, 0),
+                cost: cost,
+                unpricedModels: unpricedModels
+            },
+            durationSeconds: this.estimateDuration(actions, estimates),
+            budget: budget,
+            overBudget: overBudget,
+            budgetInconclusive: budget > 0 && !overBudget && unpricedModels.length > 0,
+            currency: this.settings.currency,
+            warnings: warnings
+        };
+    }
+
+    // Size of one input label: { tokens, minutes, images, megabytes, text }
+    // Text from an earlier run is measured rather than projected
+    async estimateInput(label, files, sizes, getKnownText, warnings) {
+        const knownText = getKnownText(label);
+        if (typeof knownText === 'string') {
+            return { tokens: TokenEstimator.estimate(knownText), minutes: 0, text: true };
+        }
+
+        if (sizes.has(label)) {
+            return { ...sizes.get(label), text: true };
+        }
+
+        // Uploaded file (A) or the text label of an upload that needs no conversion (C.txt for a .txt upload)
+        const file = files.find(f => f.label === label) || files.find(f => `${f.label}.txt` === label);
+        if (!file) {
+            warnings.push(`${label} is not available yet and is counted as empty`);
+            return { tokens: 0, minutes: 0, text: true };
+        }
+
+        const megabytes = (file.size || 0) / 1048576;
+        if (this.isTextFile(file)) {
+            const text = file.file && file.size <= MAX_TEXT_READ_BYTES ? await file.file.text() : null;
+            return {
+                tokens: text !== null ? TokenEstimator.estimate(text) : Math.ceil((file.size || 0) / 4),
+                minutes: 0,
+                text: true
+            };
+        }
+
+        return {
+            tokens: 0,
+            minutes: this.isMediaFile(file) ? megabytes * this.settings.audioMinutesPerMB : 0,
+            megabytes: megabytes,
+            images: file.type && file.type.startsWith('image/') ? 1 : 0,
+            text: false
+        };
+    }
+
+    estimateAction(action, inputs) {
+        const estimate = {
+            outputFile: action.outputFile,
+            toolType: action.toolType,
+            provider: action.provider,
+            model: null,
+            requests: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            minutes: 0,
+            cost: 0,
+            seconds: 0,
+            outputTextTokens: 0 // Size of the output as input for later actions
+        };
+
+        if (ENGINE_PROVIDERS.includes(action.provider)) {
+            return this.estimateConversion(estimate, action, inputs);
+        }
+
+        // Everything else is an LLM request on the combined text of its inputs
+        const model = action.model || this.openAIService.model;
+        const textTokens = inputs.filter(input => input.text).reduce((total, input) => total + input.tokens, 0);
+        const promptTokens = TokenEstimator.estimate(`${action.toolSystemPrompt || ''}\n${action.toolUserPrompt || ''}`);
+        const plan = ['template', 'text2template'].includes(action.toolType)
+            ? { requests: [{ input: textTokens + promptTokens, output: this.settings.templateOutputTokens }], outputTokens: 0 }
+            : this.planRequests(action.toolType, textTokens, promptTokens);
+        const requests = plan.requests;
+
+        estimate.model = model;
+        estimate.requests = requests.length;
+        estimate.inputTokens = requests.reduce((total, request) => total + request.input, 0);
+        estimate.outputTokens = requests.reduce((total, request) => total + request.output, 0);
+        estimate.outputTextTokens = plan.outputTokens;
+        estimate.seconds = requests.reduce((total, request) => total + this.settings.requestSeconds +
+            request.input / this.settings.inputTokensPerSecond +
+            request.output / this.settings.outputTokensPerSecond, 0);
+
+        const pricing = this.settings.pricing[model];
+        estimate.cost = pricing
+            ? (estimate.inputTokens * (pricing.input || 0) + estimate.outputTokens * (pricing.output || 0)) / 1000000
+            : null;
+        return estimate;
+    }
+
+    // OCR, transcription, audio extraction and document text extraction run in the browser,
+    // except transcription through a Whisper API
+    estimateConversion(estimate, action, inputs) {
+        const minutes = inputs.reduce((total, input) => total + (input.minutes || 0), 0);
+        const megabytes = inputs.reduce((total, input) => total + (input.megabytes || 0), 0);
+        const images = inputs.reduce((total, input) => total + (input.images || 0), 0);
+
+        switch (action.toolType) {
+            case 'audio2text':
+            case 'video2text': {
+                const transcription = Config.transcription;
+                const viaApi = transcription.provider === 'api' ||
+                    (transcription.provider === 'auto' && !!transcription.api.apiKey);
+                estimate.minutes = minutes;
+                estimate.outputTextTokens = Math.ceil(minutes * this.settings.tokensPerMinute);
+                estimate.seconds = minutes * 60 / this.settings.transcriptionSpeed[viaApi ? 'api' : 'local'];
+                if (viaApi) {
+                    const pricing = this.settings.pricing[transcription.api.model];
+                    estimate.model = transcription.api.model;
+                    estimate.requests = Math.max(1, Math.ceil(minutes * 60 / transcription.chunkSeconds));
+                    estimate.cost = pricing ? minutes * (pricing.perMinute || 0) : null;
+                }
+                break;
+            }
+            case 'video2audio':
+                estimate.minutes = minutes;
+                estimate.seconds = minutes * 60 / this.settings.mediaSpeed;
+                break;
+            case 'image2text':
+                estimate.outputTextTokens = images * this.settings.tokensPerImage;
+                estimate.seconds = images * this.settings.secondsPerImage;
+                break;
+            default:
+                estimate.outputTextTokens = Math.ceil(megabytes * (this.settings.tokensPerMB[action.toolType] || 0));
+                estimate.seconds = megabytes * this.settings.secondsPerDocumentMB;
+        }
+
+        // Text inputs pass straight through a conversion
+        estimate.outputTextTokens += inputs.filter(input => input.text).reduce((total, input) => total + input.tokens, 0);
+        return estimate;
+    }
+
+    // LLM requests for one action, following MapReduceService for long inputs:
+    // { requests: [{ input, output }], outputTokens } where outputTokens is the size of the final text
+    planRequests(toolType, textTokens, promptTokens) {
+        const chunking = Config.llm.chunking;
+        const outputFor = (tokens) => Math.min(
+            this.settings.maxOutputTokens,
+            Math.ceil(tokens * (this.settings.outputRatio[toolType] || this.settings.outputRatio.default))
+        );
+
+        if (!this.mapReduceService || !this.mapReduceService.supportsTool(toolType) || textTokens <= chunking.maxInputTokens) {
+            const output = outputFor(textTokens);
+            return { requests: [{ input: textTokens + promptTokens, output: output }], outputTokens: output };
+        }
+
+        // Map: one request per chunk
+        const strategy = this.mapReduceService.getReduceStrategy(toolType);
+        const step = chunking.chunkTokens - (strategy === 'concatenate' ? 0 : chunking.overlapTokens);
+        const chunkCount = Math.ceil(textTokens / step);
+        const requests = [];
+        for (let i = 0; i < chunkCount; i++) {
+            const chunkTokens = Math.min(chunking.chunkTokens, textTokens - i * step);
+            requests.push({ input: chunkTokens + promptTokens, output: outputFor(chunkTokens) });
+        }
+
+        // concatenate joins the partial results without another request
+        let partials = requests.map(request => request.output);
+        if (strategy === 'concatenate') {
+            return { requests, outputTokens: partials.reduce((total, tokens) => total + tokens, 0) };
+        }
+
+        // Reduce: merge the partial results in rounds of groups that fit one request
+        while (partials.length > 1) {
+            const groups = [];
+            let group = [];
+            let groupTokens = 0;
+            partials.forEach(tokens => {
+                if (group.length > 0 && groupTokens + tokens > chunking.maxInputTokens) {
+                    groups.push(group);
+                    group = [];
+                    groupTokens = 0;
+                }
+                group.push(tokens);
+                groupTokens += tokens;
+            });
+            groups.push(group);
+
+            if (groups.length === partials.length) break;
+            partials = groups.map(tokens => {
+                if (tokens.length === 1) return tokens[0];
+                const input = tokens.reduce((total, t) => total + t, 0);
+                const output = outputFor(input);
+                requests.push({ input: input + promptTokens, output: output });
+                return output;
+            });
+        }
+
+        return { requests, outputTokens: partials.reduce((total, tokens) => total + tokens, 0) };
+    }
+
+    /**
+     * Expected wall-clock time, simulating ActionScheduler: actions start as soon as the actions
+     * producing their inputs have finished, within maxParallelActions and the provider limits
+     */
+    estimateDuration(actions, estimates) {
+        const execution = Config.execution;
+        const producers = new Map(actions.map((action, index) => [action.outputFile, index]));
+        const finishedAt = new Map(); // action index -> seconds
+        const pending = actions.map((action, index) => index);
+        const running = []; // { index, endsAt }
+        let now = 0;
+
+        const limitOf = (provider) => Math.max(1, execution.concurrency[provider] || execution.defaultConcurrency || 1);
+
+        while (pending.length > 0 || running.length > 0) {
+            for (let i = 0; i < pending.length && running.length < execution.maxParallelActions; i++) {
+                const index = pending[i];
+                const action = actions[index];
+                const ready = action.inputFiles.every(label => !producers.has(label) || producers.get(label) === index || finishedAt.has(producers.get(label)));
+                const busy = running.filter(r => actions[r.index].provider === action.provider).length;
+                if (!ready || busy >= limitOf(action.provider)) continue;
+
+                pending.splice(i--, 1);
+                running.push({ index, endsAt: now + estimates[index].seconds });
+            }
+
+            if (running.length === 0) break; // Unresolvable dependencies; the run itself would report them
+            running.sort((a, b) => a.endsAt - b.endsAt);
+            const next = running.shift();
+            now = next.endsAt;
+            finishedAt.set(next.index, now);
+        }
+
+        return Math.ceil(now);
+    }
+
+    isTextFile(file) {
+        return (file.type || '').startsWith('text/') || /\.(txt|md|csv|json)$/i.test(file.name || '');
+    }
+
+    isMediaFile(file) {
+        return /^(audio|video)\//.test(file.type || '') || /\.(mp3|wav|m4a|mp4|mov|avi|webm|ogg)$/i.test(file.name || '');
+    }
+}
+
+export { CostEstimator };
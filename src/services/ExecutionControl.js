@@ -0,0 +1,73 @@
+// ExecutionControl - Cancel, pause and resume for one workflow run
+// Cancelling aborts the signal handed to in-flight requests; pausing only stops new actions from starting
+
+class ExecutionControl {
+    constructor() {
+        this.controller = new AbortController();
+        this.paused = false;
+        this.resumeWaiters = [];
+        this.cancelled = new Promise(resolve => this.signal.addEventListener('abort', () => resolve(), { once: true }));
+    }
+
+    get signal() {
+        return this.controller.signal;
+    }
+
+    get isCancelled() {
+        return this.controller.signal.aborted;
+    }
+
+    get isPaused() {
+        return this.paused && !this.isCancelled;
+    }
+
+    cancel() {
+        if (this.isCancelled) return;
+        this.controller.abort(ExecutionControl.createCancelError());
+        this.releaseWaiters();
+    }
+
+    pause() {
+        if (this.isCancelled) return;
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.releaseWaiters();
+    }
+
+    // Resolves once the run is resumed or cancelled
+    waitUntilResumed() {
+        if (!this.isPaused) return Promise.resolve();
+        return new Promise(resolve => this.resumeWaiters.push(resolve));
+    }
+
+    // Resolves when the run is cancelled, so a scheduler waiting on running steps wakes up
+    whenCancelled() {
+        return this.cancelled;
+    }
+
+    throwIfCancelled() {
+        if (this.isCancelled) throw ExecutionControl.createCancelError();
+    }
+
+    releaseWaiters() {
+        const waiters = this.resumeWaiters;
+        this.resumeWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    // fetch rejects with an AbortError, so cancellation always looks the same to callers
+    static createCancelError() {
+        const error = new Error('Workflow execution cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    static isCancelError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+}
+
+export { ExecutionControl };
@@ -0,0 +1,326 @@
+// ExecutionHistory - Persisted run log in IndexedDB for auditing which prompts, models and inputs made an output
+// Runs export as JSON audit bundles signed with an ECDSA key pair that never leaves this browser;
+// the public key's fingerprint identifies the signer, so auditors pin it instead of trusting the bundle
+
+import { Config } from '../config/config.js';
+import { ContentHash } from '../utils/ContentHash.js';
+import { IndexedDbStore } from '../utils/IndexedDbStore.js';
+import { TokenEstimator } from '../utils/TokenEstimator.js';
+
+const DB_NAME = 'toolflowbuilder-history';
+const DB_VERSION = 1;
+const RUNS_STORE = 'runs';
+const KEYS_STORE = 'keys';
+const SIGNING_KEY_ID = 'audit-signing';
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' };
+const BUNDLE_FORMAT = 'toolflowbuilder-audit';
+
+class ExecutionHistory {
+    constructor(settings = Config.execution.history) {
+        this.settings = settings;
+        this.keyPairPromise = null;
+    }
+
+    isAvailable() {
+        return !!this.settings.enabled &&
+            IndexedDbStore.isAvailable() &&
+            ContentHash.isAvailable();
+    }
+
+    openDatabase() {
+        return IndexedDbStore.open(DB_NAME, DB_VERSION, db => {
+            db.createObjectStore(RUNS_STORE, { keyPath: 'id' }).createIndex('startedAt', 'startedAt');
+            db.createObjectStore(KEYS_STORE, { keyPath: 'id' });
+        });
+    }
+
+    // The run record is built in memory and stored by finishRun
+    startRun({ actionJSON, files, runOptions = {}, provider = null, model = null }) {
+        const startedAt = new Date();
+        const run = {
+            id: `run_${startedAt.getTime()}_${Math.random().toString(36).substr(2, 6)}`,
+            status: 'running',
+            startedAt: startedAt.toISOString(),
+            finishedAt: null,
+            durationMs: null,
+            runOptions: { ...runOptions },
+            provider,
+            model,
+            actionJSON: JSON.parse(JSON.stringify(actionJSON)),
+            inputFiles: files.map(file => ({ label: file.label, name: file.name, size: file.size, type: file.type, hash: null })),
+            actions: [],
+            usage: null,
+            error: null
+        };
+
+        // Hashes are filled in while the run goes on; finishRun waits for them
+        run.pending = [Promise.all(files.map(async (file, index) => {
+            if (file.file) run.inputFiles[index].hash = await this.hashOrNull(file.file);
+        }))];
+        return run;
+    }
+
+    // entry: { outputFile, toolType, nodeId, startedAt: Date, status, model, usage, cached, attempts, error,
+    //          inputs: [{ label, content }], output }
+    // status: 'succeeded', 'retried', 'fallback', 'skipped', 'resumed' or 'failed'
+    recordAction(run, entry) {
+        if (!run) return;
+
+        const finishedAt = new Date();
+        const record = {
+            outputFile: entry.outputFile,
+            toolType: entry.toolType,
+            nodeId: entry.nodeId || null,
+            status: entry.status || 'succeeded',
+            startedAt: entry.startedAt.toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - entry.startedAt,
+            model: entry.model || null,
+            usage: entry.usage || null,
+            cached: !!entry.cached,
+            attempts: entry.attempts || 1,
+            error: entry.error || null,
+            inputHashes: entry.inputs.map(input => ({ label: input.label, hash: null })),
+            outputHash: null
+        };
+        run.actions.push(record);
+
+        run.pending.push((async () => {
+            for (let i = 0; i < entry.inputs.length; i++) {
+                record.inputHashes[i].hash = await this.hashOrNull(entry.inputs[i].content);
+            }
+            if (entry.output !== undefined && entry.output !== null) {
+                record.outputHash = await this.hashOrNull(entry.output);
+            }
+        })());
+    }
+
+    // status: 'completed', 'failed' or 'cancelled'. Never throws; a broken history never stops a run.
+    async finishRun(run, status, error = null) {
+        if (!run) return null;
+
+        const finishedAt = new Date();
+        run.status = status;
+        run.finishedAt = finishedAt.toISOString();
+        run.durationMs = finishedAt - new Date(run.startedAt);
+        run.error = error ? error.message || String(error) : null;
+        run.usage = TokenEstimator.sumUsage(run.actions.map(action => action.usage));
+
+        try {
+            await Promise.all(run.pending);
+            const record = { ...run };
+            delete record.pending;
+            const db = await this.openDatabase();
+            await IndexedDbStore.request(IndexedDbStore.store(db, RUNS_STORE, 'readwrite').put(record));
+            await this.prune(db);
+            console.log(`📜 ExecutionHistory: Saved ${status} run ${run.id} (${run.actions.length} actions)`);
+            return record;
+        } catch (err) {
+            console.warn('⚠️ ExecutionHistory: could not save run:', err);
+            return null;
+        }
+    }
+
+    // Newest first
+    async getRuns() {
+        const db = await this.openDatabase();
+        const runs = await IndexedDbStore.request(IndexedDbStore.store(db, RUNS_STORE).index('startedAt').getAll());
+        return runs.reverse();
+    }
+
+    async getRun(id) {
+        const db = await this.openDatabase();
+        return await IndexedDbStore.request(IndexedDbStore.store(db, RUNS_STORE).get(id)) || null;
+    }
+
+    async deleteRun(id) {
+        const db = await this.openDatabase();
+        await IndexedDbStore.request(IndexedDbStore.store(db, RUNS_STORE, 'readwrite').delete(id));
+    }
+
+    async clear() {
+        const db = await this.openDatabase();
+        await IndexedDbStore.request(IndexedDbStore.store(db, RUNS_STORE, 'readwrite').clear());
+        console.log('🧹 ExecutionHistory: cleared');
+    }
+
+    /**
+     * Signed audit bundle for one run
+     *
+     * The signature covers the canonical JSON (keys sorted, no whitespace) of { format, version, run }
+     * and is made with this browser's ECDSA P-256 key. The public key is included for verification,
+     * but only a match with a pinned fingerprint (see getPublicKeyFingerprint) tells who signed.
+     */
+    async createAuditBundle(id) {
+        const run = await this.getRun(id);
+        if (!run) {
+            throw new Error(`Run ${id} not found in history`);
+        }
+
+        const payload = { format: BUNDLE_FORMAT, version: 1, run };
+        const canonical = ExecutionHistory.canonicalJson(payload);
+        const keyPair = await this.getSigningKeyPair();
+        const publicKey = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+        const signature = await crypto.subtle.sign(
+            { name: SIGNATURE_ALGORITHM.name, hash: SIGNATURE_ALGORITHM.hash },
+            keyPair.privateKey,
+            new TextEncoder().encode(canonical)
+        );
+
+        return {
+            ...payload,
+            integrity: {
+                payloadSha256: await ContentHash.hash(canonical),
+                algorithm: 'ECDSA-P256-SHA256',
+                canonicalization: 'JSON with sorted keys, no whitespace, over { format, version, run }',
+                publicKey,
+                publicKeyFingerprint: await ExecutionHistory.fingerprint(publicKey),
+                signature: ExecutionHistory.toBase64(new Uint8Array(signature)),
+                signedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Check an audit bundle's signature and payload hash, and whether it was signed with the pinned key
+     *
+     * pinnedFingerprint is the signer's fingerprint as published by getPublicKeyFingerprint; without it
+     * a valid signature only shows the bundle was not changed after signing, not who signed it.
+     * Returns { valid, signedByPinnedKey, fingerprint, error }
+     */
+    static async verifyAuditBundle(bundle, pinnedFingerprint = null) {
+        const result = { valid: false, signedByPinnedKey: false, fingerprint: null, error: null };
+        const integrity = bundle && bundle.integrity;
+        if (!integrity || bundle.format !== BUNDLE_FORMAT || !integrity.publicKey || !integrity.signature) {
+            result.error = 'Not a signed audit bundle';
+            return result;
+        }
+
+        try {
+            const canonical = ExecutionHistory.canonicalJson({ format: bundle.format, version: bundle.version, run: bundle.run });
+            const publicKey = await crypto.subtle.importKey(
+                'jwk',
+                integrity.publicKey,
+                { name: SIGNATURE_ALGORITHM.name, namedCurve: SIGNATURE_ALGORITHM.namedCurve },
+                false,
+                ['verify']
+            );
+            const signatureValid = await crypto.subtle.verify(
+                { name: SIGNATURE_ALGORITHM.name, hash: SIGNATURE_ALGORITHM.hash },
+                publicKey,
+                ExecutionHistory.fromBase64(integrity.signature),
+                new TextEncoder().encode(canonical)
+            );
+
+            result.fingerprint = await ExecutionHistory.fingerprint(integrity.publicKey);
+            result.signedByPinnedKey = !!pinnedFingerprint &&
+                ExecutionHistory.normalizeFingerprint(pinnedFingerprint) === result.fingerprint;
+            result.valid = signatureValid && integrity.payloadSha256 === await ContentHash.hash(canonical);
+            if (!result.valid) {
+                result.error = 'The signature does not match the bundle contents';
+            } else if (pinnedFingerprint && !result.signedByPinnedKey) {
+                result.error = 'The bundle was signed with a different key than the pinned one';
+            }
+        } catch (error) {
+            result.error = `Could not verify the bundle: ${error.message}`;
+        }
+        return result;
+    }
+
+    // Public half of the signing key as a JWK, to hand to whoever verifies the bundles
+    async getPublicKey() {
+        const keyPair = await this.getSigningKeyPair();
+        return crypto.subtle.exportKey('jwk', keyPair.publicKey);
+    }
+
+    async getPublicKeyFingerprint() {
+        return ExecutionHistory.fingerprint(await this.getPublicKey());
+    }
+
+    // Memoized, so parallel exports share one key instead of each storing their own
+    getSigningKeyPair() {
+        if (!this.keyPairPromise) {
+            this.keyPairPromise = this.loadSigningKeyPair().catch(error => {
+                this.keyPairPromise = null;
+                throw error;
+            });
+        }
+        return this.keyPairPromise;
+    }
+
+    // Created on first use; the private key is not extractable
+    async loadSigningKeyPair() {
+        const db = await this.openDatabase();
+        const stored = await IndexedDbStore.request(IndexedDbStore.store(db, KEYS_STORE).get(SIGNING_KEY_ID));
+        if (stored) return stored.keyPair;
+
+        const keyPair = await crypto.subtle.generateKey(
+            { name: SIGNATURE_ALGORITHM.name, namedCurve: SIGNATURE_ALGORITHM.namedCurve },
+            false,
+            ['sign', 'verify']
+        );
+        try {
+            // add, not put: another tab may have stored its key in the meantime
+            await IndexedDbStore.request(IndexedDbStore.store(db, KEYS_STORE, 'readwrite').add({
+                id: SIGNING_KEY_ID,
+                keyPair,
+                createdAt: new Date().toISOString()
+            }));
+            return keyPair;
+        } catch (error) {
+            if (error.name !== 'ConstraintError') throw error;
+            const winner = await IndexedDbStore.request(IndexedDbStore.store(db, KEYS_STORE).get(SIGNING_KEY_ID));
+            return winner.keyPair;
+        }
+    }
+
+    // Drop the oldest runs beyond settings.maxRuns
+    prune(db) {
+        return IndexedDbStore.deleteOldest(IndexedDbStore.store(db, RUNS_STORE, 'readwrite'), 'startedAt', this.settings.maxRuns);
+    }
+
+    async hashOrNull(content) {
+        try {
+            return await ContentHash.hash(content);
+        } catch (error) {
+            console.warn('⚠️ ExecutionHistory: could not hash content:', error);
+            return null;
+        }
+    }
+
+    static canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => ExecutionHistory.canonicalJson(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${ExecutionHistory.canonicalJson(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    // SHA-256 over the canonical JSON of the key's required members (the RFC 7638 JWK thumbprint), in hex
+    static fingerprint(jwk) {
+        return ContentHash.hash(ExecutionHistory.canonicalJson({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }));
+    }
+
+    // Accepts fingerprints copied with colons, spaces or upper case
+    static normalizeFingerprint(fingerprint) {
+        return String(fingerprint).toLowerCase().replace(/[^0-9a-f]/g, '');
+    }
+}
+
+export { ExecutionHistory };
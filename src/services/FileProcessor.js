@@ -1,3 +1,28 @@
+import { PdfTextExtractor } from '../utils/PdfTextExtractor.js';
+import { DocxTextExtractor } from '../utils/DocxTextExtractor.js';
+import { XlsxTextExtractor } from '../utils/XlsxTextExtractor.js';
+import { Config } from '../config/config.js';
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+// Browsers report no type, or a generic one, for some uploads (.docx without Office installed, .m4a...);
+// the extension decides then, as in WorkflowEngine.getConversionToolForFile
+const GENERIC_TYPES = ['', 'application/octet-stream', 'application/zip', 'application/x-zip-compressed'];
+const EXTENSION_TYPES = {
+    pdf: 'application/pdf',
+    docx: DOCX_TYPE,
+    xlsx: XLSX_TYPE,
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    m4a: 'audio/mp4',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    mp4: 'video/mp4',
+    mov: 'video/quicktime',
+    avi: 'video/x-msvideo'
+};
+
 class FileProcessor {
     constructor() {
         this.supportedTypes = new Set([
@@ -6,8 +31,23 @@ class FileProcessor {
             'application/pdf',
             'text/plain', 'text/html', 'text/css', 'text/javascript',
             'image/png', 'image/jpeg', 'image/jpg', 'image/gif', 'image/webp',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+            DOCX_TYPE, XLSX_TYPE
         ]);
+        this.ocrService = null; // Will be set by main app
+        this.transcriptionService = null; // Will be set by main app
+        this.audioExtractionService = null; // Will be set by main app
+    }
+
+    setOcrService(ocrService) {
+        this.ocrService = ocrService;
+    }
+
+    setTranscriptionService(transcriptionService) {
+        this.transcriptionService = transcriptionService;
+    }
+
+    setAudioExtractionService(audioExtractionService) {
+        this.audioExtractionService = audioExtractionService;
     }
 
     async processFile(file, processingType = 'auto') {
@@ -36,13 +76,14 @@ class FileProcessor {
     }
 
     async readFile(file) {
+        const type = this.resolveFileType(file.type, file.name);
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
             reader.onload = (e) => {
                 resolve({
                     name: file.name,
-                    type: file.type,
+                    type: type,
                     size: file.size,
                     content: e.target.result,
                     lastModified: file.lastModified
@@ -54,9 +95,9 @@ class FileProcessor {
             };
 
             // Read file based on type
-            if (file.type.startsWith('text/') || file.type === 'application/json') {
+            if (type.startsWith('text/') || type === 'application/json') {
                 reader.readAsText(file);
-            } else if (file.type.startsWith('image/')) {
+            } else if (type.startsWith('image/')) {
                 reader.readAsDataURL(file);
             } else {
                 reader.readAsArrayBuffer(file);
@@ -65,6 +106,7 @@ class FileProcessor {
     }
 
     async extractText(fileData, fileType) {
+        fileType = this.resolveFileType(fileType, fileData.name);
         try {
             if (fileType.startsWith('text/')) {
                 return {
@@ -79,6 +121,14 @@ class FileProcessor {
                 return await this.extractPdfText(fileData);
             }
 
+            if (fileType === DOCX_TYPE) {
+                return await this.extractDocxText(fileData);
+            }
+
+            if (fileType === XLSX_TYPE) {
+                return await this.extractXlsxText(fileData);
+            }
+
             if (fileType.startsWith('image/')) {
                 return await this.extractImageText(fileData);
             }
@@ -98,53 +148,183 @@ class FileProcessor {
         }
     }
 
+    resolveFileType(fileType, fileName) {
+        const type = (fileType || '').toLowerCase();
+        if (!GENERIC_TYPES.includes(type)) return type;
+
+        const extension = (fileName || '').toLowerCase().split('.').pop();
+        return EXTENSION_TYPES[extension] || type;
+    }
+
     async extractPdfText(fileData) {
-        // Mock PDF text extraction for demo
-        // In production, would use PDF.js or similar library
+        // Offline per-page extraction - no network access needed
+        const extractor = new PdfTextExtractor();
+        const pdf = await extractor.extract(fileData.content);
+
+        if (pdf.warnings.length > 0) {
+            console.warn(`📕 PDF extraction warnings for ${fileData.name}:`, pdf.warnings);
+        }
+
         return {
             success: true,
-            text: `[PDF Content from ${fileData.name}]\n\nMock PDF text extraction. In production, this would use PDF.js to extract actual text content from the PDF document.`,
+            // Page boundaries stay in pageTexts, where the chunker reads them
+            text: pdf.pages.map(page => page.text).filter(text => text).join('\n\n'),
             type: 'text',
             source: 'pdf_extraction',
-            pages: 1
+            pages: pdf.pageCount,
+            pageTexts: pdf.pages.map(page => ({
+                page: page.pageNumber,
+                text: page.text,
+                hasImages: page.hasImages
+            })),
+            warnings: pdf.warnings,
+            encrypted: pdf.encrypted
+        };
+    }
+
+    async extractDocxText(fileData) {
+        const extractor = new DocxTextExtractor();
+        const docx = await extractor.extract(fileData.content);
+
+        if (docx.warnings.length > 0) {
+            console.warn(`📝 Word extraction warnings for ${fileData.name}:`, docx.warnings);
+        }
+
+        return {
+            success: true,
+            text: docx.text,
+            type: 'text',
+            source: 'docx_extraction',
+            headers: docx.headers,
+            footers: docx.footers,
+            comments: docx.comments,
+            tables: docx.tables,
+            warnings: docx.warnings
+        };
+    }
+
+    // Each sheet becomes a markdown table or CSV block (Config.files.spreadsheetFormat)
+    async extractXlsxText(fileData, options = {}) {
+        const extractor = new XlsxTextExtractor();
+        const workbook = await extractor.extract(fileData.content, {
+            format: options.format || Config.files.spreadsheetFormat
+        });
+
+        if (workbook.warnings.length > 0) {
+            console.warn(`📊 Excel extraction warnings for ${fileData.name}:`, workbook.warnings);
+        }
+
+        return {
+            success: true,
+            text: workbook.text,
+            type: 'text',
+            source: 'xlsx_extraction',
+            sheets: workbook.sheets.map(sheet => ({
+                name: sheet.name,
+                hidden: sheet.hidden,
+                rows: sheet.rows.length,
+                columns: sheet.rows.length > 0 ? sheet.rows[0].length : 0
+            })),
+            warnings: workbook.warnings
         };
     }
 
-    async extractImageText(fileData) {
-        // Mock OCR for demo
-        // In production, would use Tesseract.js or cloud OCR service
+    async extractImageText(fileData, options = {}) {
+        if (!this.ocrService) {
+            throw new Error('OCR engine not configured');
+        }
+
+        // fileData.content is a data URL for images (see readFile)
+        const ocr = await this.ocrService.recognize(fileData.content, options);
+        const warnings = [];
+        if (!ocr.text) {
+            warnings.push('No text recognised in image');
+        } else if (ocr.confidence < 0.6) {
+            warnings.push(`Low OCR confidence (${Math.round(ocr.confidence * 100)}%) - check the extracted text`);
+        }
+
         return {
             success: true,
-            text: `[OCR Text from ${fileData.name}]\n\nMock OCR text extraction. In production, this would use Tesseract.js or cloud OCR service to extract text from the image.`,
+            text: ocr.text,
             type: 'text',
             source: 'ocr',
-            confidence: 0.95
+            confidence: ocr.confidence,
+            words: ocr.words,
+            languages: ocr.languages,
+            warnings: warnings
         };
     }
 
-    async transcribeAudio(fileData) {
-        // Mock audio transcription for demo
-        // In production, would use Web Speech API or cloud transcription service
+    async transcribeAudio(fileData, options = {}) {
+        // fileData.content is an ArrayBuffer for audio (see readFile)
+        const blob = new Blob([fileData.content], { type: fileData.type });
+        const transcript = await this.transcribeMedia(blob, fileData.name, options);
+
         return {
             success: true,
-            text: `[Audio Transcription from ${fileData.name}]\n\nMock audio transcription. In production, this would use speech-to-text services to transcribe the audio content.`,
+            text: transcript.text,
             type: 'text',
             source: 'speech_to_text',
-            duration: 0,
-            language: 'en-US'
+            duration: transcript.duration,
+            language: transcript.language,
+            segments: transcript.segments,
+            provider: transcript.provider
         };
     }
 
-    async transcribeVideo(fileData) {
-        // Mock video transcription for demo
-        // In production, would extract audio then transcribe
+    async transcribeVideo(fileData, options = {}) {
+        // Demux the audio track first, then transcribe it like any audio file
+        const audio = await this.extractAudio(fileData, { format: 'wav' });
+        const transcript = await this.transcribeMedia(audio.blob, audio.fileName, options);
+
         return {
             success: true,
-            text: `[Video Transcription from ${fileData.name}]\n\nMock video transcription. In production, this would extract audio from video then transcribe the speech content.`,
+            text: transcript.text,
             type: 'text',
             source: 'video_transcription',
-            duration: 0,
-            hasAudio: true
+            duration: transcript.duration,
+            language: transcript.language,
+            segments: transcript.segments,
+            provider: transcript.provider,
+            hasAudio: true,
+            warnings: audio.warnings
+        };
+    }
+
+    async transcribeMedia(blob, fileName, options = {}) {
+        if (!this.transcriptionService) {
+            throw new Error('Speech-to-text not configured');
+        }
+
+        return await this.transcriptionService.transcribe(blob, {
+            ...options,
+            fileName: fileName
+        });
+    }
+
+    async extractAudio(fileData, options = {}) {
+        if (!this.audioExtractionService) {
+            throw new Error('Audio extraction not configured');
+        }
+
+        // fileData.content is an ArrayBuffer for video (see readFile)
+        const video = new Blob([fileData.content], { type: fileData.type });
+        const audio = await this.audioExtractionService.extractAudio(video, {
+            ...options,
+            fileName: fileData.name
+        });
+        const extension = audio.format === 'opus' ? '.ogg' : '.wav';
+
+        return {
+            success: true,
+            blob: audio.blob,
+            fileName: fileData.name.replace(/\.[^.]+$/, '') + extension,
+            type: audio.type,
+            format: audio.format,
+            size: audio.blob.size,
+            source: 'audio_extraction',
+            engine: audio.engine,
+            warnings: audio.warnings
         };
     }
 
@@ -243,6 +423,10 @@ class FileProcessor {
                 return await this.transcribeVideo(fileData);
             case 'pdf':
                 return await this.extractPdfText(fileData);
+            case 'docx':
+                return await this.extractDocxText(fileData);
+            case 'xlsx':
+                return await this.extractXlsxText(fileData);
             default:
                 return await this.extractMetadata(fileData, fileType);
         }
@@ -262,6 +446,8 @@ class FileProcessor {
         if (fileType.startsWith('image/')) return 'image';
         if (fileType.startsWith('text/')) return 'text';
         if (fileType === 'application/pdf') return 'pdf';
+        if (fileType === DOCX_TYPE) return 'docx';
+        if (fileType === XLSX_TYPE) return 'xlsx';
         return 'document';
     }
 
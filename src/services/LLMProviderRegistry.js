@@ -0,0 +1,60 @@
+// LLMProviderRegistry - Creates the configured LLM providers and picks one per data classification
+// Providers adapt OpenAI chat-completions payloads to their own endpoint, auth and response format
+
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+import { AzureOpenAIProvider } from './AzureOpenAIProvider.js';
+import { AnthropicProvider } from './AnthropicProvider.js';
+
+// Providers implement:
+//   name, model                   - identifiers used in logs and payloads
+//   timeout                       - ms before a request is given up, from the provider settings
+//   isConfigured()                - whether endpoint and credentials are present
+//   buildRequest(data)            - data is a chat-completions payload, returns { url, headers, body }
+//   parseResponse(response, data) - maps the raw JSON response to the chat-completions shape
+class LLMProviderRegistry {
+    constructor(settings) {
+        this.settings = settings;
+        this.providerTypes = new Map();
+        this.providers = new Map(); // Provider name -> instance
+
+        this.registerProviderType('openai', OpenAICompatibleProvider);
+        this.registerProviderType('azure', AzureOpenAIProvider);
+        this.registerProviderType('anthropic', AnthropicProvider);
+    }
+
+    registerProviderType(type, ProviderClass) {
+        this.providerTypes.set(type, ProviderClass);
+    }
+
+    getProvider(name) {
+        if (this.providers.has(name)) {
+            return this.providers.get(name);
+        }
+
+        const providerSettings = this.settings.providers[name];
+        if (!providerSettings) {
+            throw new Error(`Unknown LLM provider: ${name}`);
+        }
+
+        const ProviderClass = this.providerTypes.get(providerSettings.type);
+        if (!ProviderClass) {
+            throw new Error(`Unknown LLM provider type "${providerSettings.type}" for ${name}`);
+        }
+
+        const provider = new ProviderClass(name, providerSettings);
+        this.providers.set(name, provider);
+        return provider;
+    }
+
+    // Routing sends each data classification to its own provider; unrouted ones use the default
+    getProviderForClassification(classification) {
+        const name = this.settings.routing[classification] || this.settings.provider;
+        return this.getProvider(name);
+    }
+
+    getProviderNames() {
+        return Object.keys(this.settings.providers);
+    }
+}
+
+export { LLMProviderRegistry };
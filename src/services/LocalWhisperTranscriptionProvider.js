@@ -0,0 +1,145 @@
+// LocalWhisperTranscriptionProvider - Offline in-browser transcription
+// Runs a Whisper model installed in assets/ (install-assets.sh) in a Web Worker; audio never leaves the browser
+
+class LocalWhisperTranscriptionProvider {
+    constructor(settings) {
+        this.name = 'local-whisper';
+        this.settings = settings;
+        this.worker = null;
+        this.pendingRequests = new Map(); // request id -> { resolve, reject, onProgress }
+        this.nextRequestId = 1;
+        this.installedPromise = null;
+    }
+
+    // The worker needs decoded 16 kHz samples, never the original file
+    canTranscribeFile() {
+        return false;
+    }
+
+    // The library and model are not part of the repository; both have to be installed
+    async isAvailable() {
+        if (typeof Worker === 'undefined') return false;
+
+        if (!this.installedPromise) {
+            const paths = [this.settings.libraryPath, `${this.settings.modelPath}${this.settings.model}/config.json`];
+            this.installedPromise = Promise.all(paths.map(path =>
+                fetch(new URL(path, document.baseURI).href, { method: 'HEAD' })
+                    .then(response => response.ok)
+                    .catch(() => false)
+            )).then(found => found.every(Boolean));
+        }
+        return this.installedPromise;
+    }
+
+    getWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = new Worker(new URL('../workers/transcription.worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = this.handleWorkerMessage.bind(this);
+        this.worker.onerror = (event) => {
+            console.error('Transcription worker error:', event);
+            this.rejectAll(new Error(event.message || 'Transcription worker failed'));
+            this.worker = null;
+        };
+
+        this.worker.postMessage({
+            type: 'init',
+            libraryUrl: new URL(this.settings.libraryPath, document.baseURI).href,
+            modelPath: new URL(this.settings.modelPath, document.baseURI).href,
+            wasmPath: new URL(this.settings.wasmPath, document.baseURI).href,
+            model: this.settings.model
+        });
+
+        return this.worker;
+    }
+
+    handleWorkerMessage({ data }) {
+        const request = this.pendingRequests.get(data.id);
+        if (!request) return;
+
+        switch (data.type) {
+            case 'progress':
+                if (request.onProgress) request.onProgress(data.progress);
+                break;
+            case 'result':
+                this.pendingRequests.delete(data.id);
+                request.resolve(data.result);
+                break;
+            case 'error':
+                this.pendingRequests.delete(data.id);
+                request.reject(new Error(data.message));
+                break;
+        }
+    }
+
+    // audio: { samples, sampleRate }; returns { text, language, duration, segments }
+    async transcribe(audio, options = {}) {
+        if (!audio.samples) {
+            throw new Error('Local transcription needs decoded audio samples');
+        }
+
+        const worker = this.getWorker();
+        const id = this.nextRequestId++;
+        let onAbort = null;
+
+        let result;
+        try {
+            result = await new Promise((resolve, reject) => {
+                if (options.signal) {
+                    options.signal.throwIfAborted();
+                    // The model cannot stop mid-job, so the worker is ended; the next job starts a new one
+                    onAbort = () => {
+                        if (this.pendingRequests.delete(id)) reject(options.signal.reason);
+                        this.terminate(options.signal.reason);
+                    };
+                    options.signal.addEventListener('abort', onAbort, { once: true });
+                }
+                this.pendingRequests.set(id, { resolve, reject, onProgress: options.onProgress });
+
+                // Copy so the caller's buffer stays usable after transfer
+                const samples = audio.samples.slice();
+                worker.postMessage({
+                    type: 'transcribe',
+                    id: id,
+                    samples: samples,
+                    language: options.language || null,
+                    chunkLength: this.settings.windowSeconds,
+                    strideLength: this.settings.strideSeconds
+                }, [samples.buffer]);
+            });
+        } finally {
+            if (onAbort) options.signal.removeEventListener('abort', onAbort);
+        }
+
+        const segments = (result.chunks || []).map(chunk => ({
+            start: chunk.timestamp?.[0] || 0,
+            // The last chunk can come back without an end time
+            end: chunk.timestamp?.[1] || chunk.timestamp?.[0] || 0,
+            text: (chunk.text || '').trim(),
+            speaker: null // The offline model does not diarize
+        }));
+
+        return {
+            text: (result.text || '').trim(),
+            language: options.language || null,
+            duration: audio.samples.length / audio.sampleRate,
+            segments: segments
+        };
+    }
+
+    rejectAll(error) {
+        this.pendingRequests.forEach(request => request.reject(error));
+        this.pendingRequests.clear();
+    }
+
+    // Jobs still queued in the worker are rejected with error
+    terminate(error = new Error('Transcription worker terminated')) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectAll(error);
+    }
+}
+
+export { LocalWhisperTranscriptionProvider };
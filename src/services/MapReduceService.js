@@ -0,0 +1,160 @@
+// MapReduceService - Processes inputs that are too long for a single LLM request
+// Splits the text into chunks (map), processes each one, then merges the partial results (reduce)
+
+import { Config } from '../config/config.js';
+import { TokenEstimator } from '../utils/TokenEstimator.js';
+import { TextChunker } from '../utils/TextChunker.js';
+
+class MapReduceService {
+    constructor(eventBus, openAIService) {
+        this.eventBus = eventBus;
+        this.openAIService = openAIService;
+        this.config = Config.llm.chunking;
+    }
+
+    supportsTool(toolType) {
+        return this.config.tools.includes(toolType);
+    }
+
+    getReduceStrategy(toolType) {
+        return this.config.reduceStrategies[toolType] || this.config.defaultReduceStrategy;
+    }
+
+    // Same contract as OpenAIService.processFile: returns { success, result, fileName, usage, chunks }.
+    // fileContent.pages, when set, holds the page texts of the content so chunks end on page boundaries
+    async process(fileContent, toolType, customPrompt = '', toolSystemPrompt = '', options = {}) {
+        const content = fileContent.content || '';
+
+        if (!this.supportsTool(toolType) || TokenEstimator.estimate(content) <= this.config.maxInputTokens) {
+            const result = await this.openAIService.processFile(fileContent, toolType, customPrompt, toolSystemPrompt, options);
+            return { ...result, chunks: 1 };
+        }
+
+        const strategy = this.getReduceStrategy(toolType);
+        const chunks = TextChunker.split(content, {
+            pages: fileContent.pages,
+            maxTokens: this.config.chunkTokens,
+            // Overlapping text would be duplicated when the partial results are simply concatenated
+            overlapTokens: strategy === 'concatenate' ? 0 : this.config.overlapTokens
+        });
+
+        console.log(`📚 MapReduceService: ${toolType} on ${fileContent.name} in ${chunks.length} chunks (${strategy})`);
+
+        // Map: process every chunk on its own
+        const partials = [];
+        const usages = []; // Usage of every request, map and reduce
+        for (let i = 0; i < chunks.length; i++) {
+            this.eventBus.emit('status-update', `📚 ${toolType}: part ${i + 1} of ${chunks.length}...`);
+
+            const mapPrompt = this.buildMapPrompt(customPrompt, i, chunks.length, strategy);
+            const result = await this.openAIService.processFile(
+                { name: fileContent.name, content: chunks[i] },
+                toolType,
+                mapPrompt,
+                toolSystemPrompt,
+                options
+            );
+
+            if (!result.success) {
+                throw new Error(result.error || `${toolType} failed on part ${i + 1} of ${chunks.length}`);
+            }
+            partials.push(result.result);
+            usages.push(result.usage);
+        }
+
+        // Reduce: merge the partial results
+        const merged = await this.reduce(partials, fileContent.name, toolType, customPrompt, toolSystemPrompt, strategy, options, usages);
+
+        return {
+            success: true,
+            result: merged,
+            fileName: fileContent.name,
+            usage: TokenEstimator.sumUsage(usages),
+            chunks: chunks.length
+        };
+    }
+
+    buildMapPrompt(customPrompt, index, total, strategy) {
+        const partNote = strategy === 'concatenate'
+            ? `This is part ${index + 1} of ${total} of a longer text. Process only this part; the parts are joined afterwards in order.`
+            : `This is part ${index + 1} of ${total} of a longer text. Process only this part; the partial results are merged afterwards.`;
+
+        return customPrompt ? `${customPrompt}\n\n${partNote}` : partNote;
+    }
+
+    async reduce(partials, name, toolType, customPrompt, toolSystemPrompt, strategy, options = {}, usages = []) {
+        if (strategy === 'concatenate' || partials.length === 1) {
+            return partials.join('\n\n');
+        }
+
+        // combine: let the model merge the partial results, in rounds when they do not fit at once
+        let current = partials;
+        let round = 1;
+        while (current.length > 1) {
+            const groups = this.groupPartials(current);
+            const merged = [];
+
+            for (let i = 0; i < groups.length; i++) {
+                if (groups[i].length === 1) {
+                    merged.push(groups[i][0]);
+                    continue;
+                }
+
+                this.eventBus.emit('status-update', `📚 ${toolType}: merging results (round ${round})...`);
+                const reducePrompt = [
+                    customPrompt,
+                    `The input contains ${groups[i].length} partial results, each produced from a consecutive part of one longer text. ` +
+                    'Merge them into a single coherent result as if the whole text had been processed at once. Remove repetition and keep the original order.'
+                ].filter(text => text).join('\n\n');
+
+                const result = await this.openAIService.processFile(
+                    { name: name, content: groups[i].map((partial, index) => `--- Part ${index + 1} ---\n${partial}`).join('\n\n') },
+                    toolType,
+                    reducePrompt,
+                    toolSystemPrompt,
+                    options
+                );
+
+                if (!result.success) {
+                    throw new Error(result.error || `${toolType} failed while merging partial results`);
+                }
+                merged.push(result.result);
+                usages.push(result.usage);
+            }
+
+            // A round that could not merge anything would loop forever
+            if (merged.length === current.length) {
+                console.warn(`⚠️ MapReduceService: partial results too large to merge, joining ${merged.length} parts`);
+                return merged.join('\n\n');
+            }
+
+            current = merged;
+            round++;
+        }
+
+        return current[0];
+    }
+
+    // Group consecutive partial results so each group fits in one request
+    groupPartials(partials) {
+        const groups = [];
+        let group = [];
+        let groupTokens = 0;
+
+        partials.forEach(partial => {
+            const tokens = TokenEstimator.estimate(partial);
+            if (group.length > 0 && groupTokens + tokens > this.config.maxInputTokens) {
+                groups.push(group);
+                group = [];
+                groupTokens = 0;
+            }
+            group.push(partial);
+            groupTokens += tokens;
+        });
+        if (group.length > 0) groups.push(group);
+
+        return groups;
+    }
+}
+
+export { MapReduceService };
@@ -136,9 +136,12 @@ class NodeColorManager {
         const requirements = {
             // input2text: No prompts needed
             'pdf2text': 'none',
+            'docx2text': 'none',
+            'xlsx2text': 'none',
             'audio2text': 'none', 
             'image2text': 'none',
             'video2text': 'none',
+            'video2audio': 'none',
             'webscraper': 'mandatory',   // Must specify URL to scrape
             
             // textProcessing: Mixed requirements
@@ -149,7 +152,8 @@ class NodeColorManager {
             
             // text2Output: No prompts needed
             'text2pdf': 'none',
-            'text2docx': 'none'
+            'text2docx': 'none',
+            'template': 'optional'        // Placeholders in the .docx template define the fields
         };
         
         return requirements[toolType] || 'none';
@@ -159,9 +163,12 @@ class NodeColorManager {
         // Reuse the same input rules as NodeDataManager
         const rules = {
             'pdf2text': { acceptedTypes: ['.pdf'], minInputs: 1, maxInputs: null },
+            'docx2text': { acceptedTypes: ['.docx'], minInputs: 1, maxInputs: null },
+            'xlsx2text': { acceptedTypes: ['.xlsx'], minInputs: 1, maxInputs: null },
             'audio2text': { acceptedTypes: ['.mp3', '.wav', '.m4a', '.mp4'], minInputs: 1, maxInputs: null },
             'image2text': { acceptedTypes: ['.jpg', '.png', '.jpeg', '.gif'], minInputs: 1, maxInputs: null },
             'video2text': { acceptedTypes: ['.mp4', '.avi', '.mov'], minInputs: 1, maxInputs: null },
+            'video2audio': { acceptedTypes: ['.mp4', '.avi', '.mov'], minInputs: 1, maxInputs: null },
             'webscraper': { acceptedTypes: [], minInputs: 0, maxInputs: null },
             'summarizer': { acceptedTypes: ['.txt'], minInputs: 1, maxInputs: null },
             'translator': { acceptedTypes: ['.txt'], minInputs: 1, maxInputs: null },
@@ -169,6 +176,7 @@ class NodeColorManager {
             'join': { acceptedTypes: ['.txt'], minInputs: 2, maxInputs: null },
             'text2pdf': { acceptedTypes: ['.txt'], minInputs: 1, maxInputs: null },
             'text2docx': { acceptedTypes: ['.txt'], minInputs: 1, maxInputs: null },
+            'template': { acceptedTypes: ['.txt', '.docx'], minInputs: 2, maxInputs: null }, // .docx template + source text
             'text2template': { acceptedTypes: ['.txt'], minInputs: 1, maxInputs: 1 }
         };
         
@@ -26,6 +26,7 @@ class NodeDataManager {
         this.eventBus.on('node:label:add', this.handleAddLabel.bind(this));
         this.eventBus.on('node:label:remove', this.handleRemoveLabel.bind(this));
         this.eventBus.on('node:prompt:update', this.handlePromptUpdate.bind(this));
+        this.eventBus.on('node:error-policy:update', this.handleErrorPolicyUpdate.bind(this));
         
         // Listen for cleanup requests
         this.eventBus.on('node:cleanup:check', this.handleCleanupCheck.bind(this));
@@ -207,6 +208,23 @@ class NodeDataManager {
         return true;
     }
     
+    // errorPolicy { mode, retries, fallbackTool, fallbackModel }; null returns the node to the default policy
+    updateNodeErrorPolicy(nodeId, errorPolicy) {
+        const node = this.getNodeById(nodeId);
+        if (!node) return false;
+        
+        node.params = { ...node.params };
+        if (errorPolicy) {
+            node.params.errorPolicy = { ...errorPolicy };
+        } else {
+            delete node.params.errorPolicy;
+        }
+        node.updatedAt = Date.now();
+        
+        this.eventBus.emit('node-error-policy-updated', { nodeId, errorPolicy });
+        return true;
+    }
+    
     setNodeProcessing(nodeId, isProcessing, error = null) {
         const node = this.getNodeById(nodeId);
         if (!node) return false;
@@ -364,15 +382,19 @@ class NodeDataManager {
     getInputRules(nodeType) {
         const rules = {
             'pdf2text': { acceptedTypes: ['.pdf'], minInputs: 1, maxInputs: null },
+            'docx2text': { acceptedTypes: ['.docx'], minInputs: 1, maxInputs: null },
+            'xlsx2text': { acceptedTypes: ['.xlsx'], minInputs: 1, maxInputs: null },
             'audio2text': { acceptedTypes: ['.mp3', '.wav', '.m4a', '.mp4'], minInputs: 1, maxInputs: null },
             'image2text': { acceptedTypes: ['.jpg', '.png', '.jpeg', '.gif'], minInputs: 1, maxInputs: null },
             'video2text': { acceptedTypes: ['.mp4', '.avi', '.mov'], minInputs: 1, maxInputs: null },
+            'video2audio': { acceptedTypes: ['.mp4', '.avi', '.mov'], minInputs: 1, maxInputs: null },
             'summarizer': { acceptedTypes: ['.txt'], minInputs: 1, maxInputs: null },
             'translator': { acceptedTypes: ['.txt'], minInputs: 1, maxInputs: null },
             'analyzer': { acceptedTypes: ['.txt'], minInputs: 1, maxInputs: null },
             'join': { acceptedTypes: ['.txt'], minInputs: 2, maxInputs: null },
             'text2pdf': { acceptedTypes: ['.txt'], minInputs: 1, maxInputs: null },
             'text2docx': { acceptedTypes: ['.txt'], minInputs: 1, maxInputs: null },
+            'template': { acceptedTypes: ['.txt', '.docx'], minInputs: 2, maxInputs: null }, // .docx template + source text
             'text2template': { acceptedTypes: ['.txt'], minInputs: 1, maxInputs: 1 }
         };
         
@@ -468,11 +490,16 @@ class NodeDataManager {
         
         switch (type) {
             case 'pdf2text':
+            case 'docx2text':
+            case 'xlsx2text':
             case 'audio2text': 
             case 'image2text':
             case 'video2text':
                 return this.outputIndividualFiles(inputLabels, '.txt');
                 
+            case 'video2audio':
+                return this.outputIndividualFiles(inputLabels, '.wav');
+                
             case 'translator':
                 const targetLang = this.parseLanguageFromPrompt(userPrompt);
                 if (targetLang) {
@@ -498,6 +525,9 @@ class NodeDataManager {
             case 'text2docx':
                 return this.outputIndividualFiles(inputLabels, '.docx');
                 
+            case 'template':
+                return this.outputCombinedFiles(inputLabels, '-filled.docx');
+                
             case 'text2template':
                 if (userPrompt && userPrompt.trim()) {
                     return this.outputIndividualFiles(inputLabels, '-filled.txt');
@@ -662,6 +692,10 @@ class NodeDataManager {
         return this.updateNodePrompt(nodeId, userPrompt);
     }
     
+    handleErrorPolicyUpdate({ nodeId, errorPolicy }) {
+        return this.updateNodeErrorPolicy(nodeId, errorPolicy);
+    }
+    
     handleCleanupCheck({ nodeId }) {
         if (nodeId) {
             return this.checkNodeForCleanup(nodeId);
@@ -2,6 +2,9 @@
 // Handles all DOM rendering, event handling, and user interactions for nodes
 // SURGICAL PRECISION: Exact same functionality as NodeManager, just reorganized
 
+import { Config } from '../config/config.js';
+import { UIUtils } from '../utils/UIUtils.js';
+
 class NodeUIManager {
     constructor(eventBus) {
         this.eventBus = eventBus;
@@ -62,6 +65,9 @@ class NodeUIManager {
         this.eventBus.on('node:validation:failed', this.handleValidationFailed.bind(this));
         this.eventBus.on('update-node-color', this.handleUpdateNodeColor.bind(this));
         this.eventBus.on('node:processing:changed', this.handleProcessingChanged.bind(this));
+        this.eventBus.on('node:cache:hit', this.handleCacheHit.bind(this));
+        this.eventBus.on('node:diff:highlight', this.handleDiffHighlight.bind(this));
+        this.eventBus.on('node:diff:clear', this.clearDiffHighlights.bind(this));
         
         // Canvas welcome message management
         this.eventBus.on('node:added', () => this.hideWelcomeMessage());
@@ -888,6 +894,9 @@ class NodeUIManager {
             <div class="context-item" data-action="edit-prompt">
                 <span>✏️</span> Edit Prompt
             </div>
+            <div class="context-item" data-action="error-policy">
+                <span>⚠️</span> On Error...
+            </div>
             <div class="context-item" data-action="clear-inputs">
                 <span>🧹</span> Clear Inputs
             </div>
@@ -895,6 +904,13 @@ class NodeUIManager {
                 <span>📋</span> Duplicate Node
             </div>
             <div class="context-divider"></div>
+            <div class="context-item" data-action="run-up-to">
+                <span>▶️</span> Run up to this node
+            </div>
+            <div class="context-item" data-action="run-from">
+                <span>🔁</span> Re-run from this node
+            </div>
+            <div class="context-divider"></div>
             <div class="context-item danger" data-action="delete">
                 <span style="color: #dc2626;">🗑️</span> Delete Node
             </div>
@@ -932,12 +948,21 @@ class NodeUIManager {
             case 'edit-prompt':
                 this.showCustomPromptDialog(nodeData);
                 break;
+            case 'error-policy':
+                this.showErrorPolicyDialog(nodeData);
+                break;
             case 'clear-inputs':
                 this.eventBus.emit('node:inputs:clear', { nodeId: nodeData.id });
                 break;
             case 'duplicate':
                 this.duplicateNode(nodeData);
                 break;
+            case 'run-up-to':
+                this.eventBus.emit('node:run:request', { nodeId: nodeData.id, mode: 'up-to' });
+                break;
+            case 'run-from':
+                this.eventBus.emit('node:run:request', { nodeId: nodeData.id, mode: 'from' });
+                break;
             case 'delete':
                 this.eventBus.emit('node:delete:request', { nodeId: nodeData.id });
                 break;
@@ -1039,6 +1064,112 @@ class NodeUIManager {
         customPromptTextarea.focus();
     }
     
+    // ============================================================================
+    // ERROR POLICY DIALOG
+    // ============================================================================
+    
+    showErrorPolicyDialog(nodeData) {
+        const toolDef = this.toolPalette?.findToolById(nodeData.type);
+        const defaults = Config.execution.errorPolicy;
+        const policy = { ...defaults, ...(nodeData.params?.errorPolicy || {}) };
+        const tools = this.toolPalette?.getAllTools() || [];
+        
+        const modeOptions = [
+            ['stop', 'Stop the workflow'],
+            ['retry', 'Retry with backoff'],
+            ['skip', 'Skip and continue with empty output'],
+            ['fallback', 'Run a fallback tool or model']
+        ].map(([value, label]) => `<option value="${value}" ${policy.mode === value ? 'selected' : ''}>${label}${defaults.mode === value ? ' (default)' : ''}</option>`).join('');
+        
+        const toolOptions = [`<option value="">Same tool (${UIUtils.sanitizeHtml(toolDef?.name || nodeData.type)})</option>`]
+            .concat(tools
+                .filter(tool => tool.id !== nodeData.type)
+                .map(tool => `<option value="${UIUtils.sanitizeHtml(tool.id)}" ${policy.fallbackTool === tool.id ? 'selected' : ''}>${tool.icon || ''} ${UIUtils.sanitizeHtml(tool.name)}</option>`))
+            .join('');
+        
+        const modal = document.createElement('div');
+        modal.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background-color: rgba(0, 0, 0, 0.5); display: flex; align-items: center; justify-content: center; z-index: 50;';
+        modal.innerHTML = `
+            <div style="background-color: white; border-radius: 8px; padding: 24px; max-width: 512px; width: 100%; margin: 0 16px;">
+                <h3 style="font-size: 18px; font-weight: 600; margin-bottom: 16px;">On Error - ${toolDef?.name || nodeData.type}</h3>
+                
+                <div style="margin-bottom: 16px;">
+                    <label style="display: block; font-size: 14px; font-weight: 500; color: #374151; margin-bottom: 8px;">
+                        When this node fails
+                    </label>
+                    <select id="errorPolicyMode" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 8px;">${modeOptions}</select>
+                </div>
+                
+                <div id="errorPolicyRetry" style="margin-bottom: 16px;">
+                    <label style="display: block; font-size: 14px; font-weight: 500; color: #374151; margin-bottom: 8px;">
+                        Retries
+                    </label>
+                    <input id="errorPolicyRetries" type="number" min="1" max="10" value="${policy.retries}" style="width: 96px; padding: 8px; border: 1px solid #d1d5db; border-radius: 8px;">
+                    <div style="font-size: 12px; color: #6b7280; margin-top: 4px;">
+                        The wait doubles after every failed attempt, starting at ${defaults.retryDelay / 1000}s.
+                    </div>
+                </div>
+                
+                <div id="errorPolicyFallback" style="margin-bottom: 16px;">
+                    <label style="display: block; font-size: 14px; font-weight: 500; color: #374151; margin-bottom: 8px;">
+                        Fallback tool
+                    </label>
+                    <select id="errorPolicyFallbackTool" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 8px; margin-bottom: 12px;">${toolOptions}</select>
+                    <label style="display: block; font-size: 14px; font-weight: 500; color: #374151; margin-bottom: 8px;">
+                        Fallback model
+                    </label>
+                    <input id="errorPolicyFallbackModel" type="text" value="${UIUtils.sanitizeHtml(policy.fallbackModel || '')}" placeholder="Provider default" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 8px;">
+                </div>
+                
+                <div style="display: flex; gap: 8px; justify-content: flex-end;">
+                    <button id="cancelBtn" style="padding: 8px 16px; background: #6b7280; color: white; border: none; border-radius: 6px; cursor: pointer;">
+                        Cancel
+                    </button>
+                    <button id="saveBtn" style="padding: 8px 16px; background: #3b82f6; color: white; border: none; border-radius: 6px; cursor: pointer;">
+                        Save
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        const modeSelect = modal.querySelector('#errorPolicyMode');
+        const retrySection = modal.querySelector('#errorPolicyRetry');
+        const fallbackSection = modal.querySelector('#errorPolicyFallback');
+        
+        // Only show the settings of the selected mode
+        const updateSections = () => {
+            retrySection.style.display = modeSelect.value === 'retry' ? 'block' : 'none';
+            fallbackSection.style.display = modeSelect.value === 'fallback' ? 'block' : 'none';
+        };
+        modeSelect.addEventListener('change', updateSections);
+        updateSections();
+        
+        modal.querySelector('#saveBtn').addEventListener('click', () => {
+            const errorPolicy = {
+                mode: modeSelect.value,
+                retries: Math.min(10, Math.max(1, parseInt(modal.querySelector('#errorPolicyRetries').value, 10) || defaults.retries)),
+                fallbackTool: modal.querySelector('#errorPolicyFallbackTool').value,
+                fallbackModel: modal.querySelector('#errorPolicyFallbackModel').value.trim()
+            };
+            this.eventBus.emit('node:error-policy:update', { nodeId: nodeData.id, errorPolicy });
+            modal.remove();
+        });
+        
+        modal.querySelector('#cancelBtn').addEventListener('click', () => {
+            modal.remove();
+        });
+        
+        // Close on backdrop click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.remove();
+            }
+        });
+        
+        document.body.appendChild(modal);
+        modeSelect.focus();
+    }
+    
     // ============================================================================
     // UI STATE MANAGEMENT
     // ============================================================================
@@ -1133,6 +1264,7 @@ class NodeUIManager {
         // Update visual processing state
         if (isProcessing) {
             nodeElement.classList.add('processing');
+            this.removeCacheBadge(nodeElement);
         } else {
             nodeElement.classList.remove('processing');
         }
@@ -1145,6 +1277,55 @@ class NodeUIManager {
         }
     }
     
+    handleCacheHit({ nodeId, cachedAt }) {
+        const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
+        if (!nodeElement) return;
+        
+        this.removeCacheBadge(nodeElement);
+        nodeElement.classList.add('cached');
+        
+        // Small badge in the top-left corner; the tooltip tells when the reused result was made
+        const badge = document.createElement('div');
+        badge.className = 'node-cache-badge';
+        badge.textContent = '♻️';
+        badge.title = `Inputs and prompts unchanged - result reused from ${new Date(cachedAt).toLocaleString()}`;
+        badge.style.cssText = 'position: absolute; top: 4px; left: 6px; font-size: 12px; cursor: help;';
+        nodeElement.appendChild(badge);
+    }
+    
+    removeCacheBadge(nodeElement) {
+        nodeElement.classList.remove('cached');
+        const badge = nodeElement.querySelector('.node-cache-badge');
+        if (badge) badge.remove();
+    }
+    
+    // Outline nodes from a workflow comparison (see WorkflowDiffPanel); the badge tooltip tells what changed
+    handleDiffHighlight({ nodes }) {
+        this.clearDiffHighlights();
+        
+        nodes.forEach(({ nodeId, change, summary }) => {
+            const nodeElement = this.getNodeElementById(nodeId);
+            if (!nodeElement) return;
+            
+            nodeElement.classList.add(`diff-${change}`);
+            
+            const badge = document.createElement('div');
+            badge.className = 'node-diff-badge';
+            badge.textContent = change === 'added' ? '➕' : '✏️';
+            badge.title = summary;
+            badge.style.cssText = 'position: absolute; top: 4px; right: 6px; font-size: 12px; cursor: help;';
+            nodeElement.appendChild(badge);
+        });
+    }
+    
+    clearDiffHighlights() {
+        this.getAllNodeElements().forEach(nodeElement => {
+            nodeElement.classList.remove('diff-added', 'diff-changed');
+            const badge = nodeElement.querySelector('.node-diff-badge');
+            if (badge) badge.remove();
+        });
+    }
+    
     // ============================================================================
     // UTILITY METHODS
     // ============================================================================
@@ -0,0 +1,192 @@
+// OcrService - Offline OCR for image2text
+// Runs the Tesseract WASM engine in its Web Worker with local language data (no network calls)
+
+import { Config } from '../config/config.js';
+
+const NOT_INSTALLED_MESSAGE = 'OCR not installed: run ./install-assets.sh ocr to add the Tesseract engine and language data to assets/ocr/ (see README)';
+
+class OcrService {
+    constructor() {
+        this.config = Config.ocr;
+        this.tesseract = null;
+        this.workerPromise = null; // Worker, or its creation still in progress
+        this.workerLanguages = null; // Language string the worker was initialized with
+        this.progressHandler = null;
+        this.installedPromise = null;
+        this.abortSignal = null; // Signal of the running workflow, set by WorkflowEngine
+    }
+
+    // Recognition started while the signal is set is aborted with it (cancelled workflow runs)
+    setAbortSignal(signal) {
+        this.abortSignal = signal;
+    }
+
+    // The engine is not part of the repository; install-assets.sh puts it in assets/ocr/
+    async isInstalled() {
+        if (!this.installedPromise) {
+            this.installedPromise = fetch(this.resolveAssetUrl(this.config.libraryPath), { method: 'HEAD' })
+                .then(response => response.ok)
+                .catch(() => false);
+        }
+        return this.installedPromise;
+    }
+
+    getNotInstalledMessage() {
+        return NOT_INSTALLED_MESSAGE;
+    }
+
+    async loadLibrary() {
+        if (this.tesseract) return this.tesseract;
+
+        if (!(await this.isInstalled())) {
+            throw new Error(NOT_INSTALLED_MESSAGE);
+        }
+
+        try {
+            const module = await import(this.resolveAssetUrl(this.config.libraryPath));
+            this.tesseract = module.default || module;
+            return this.tesseract;
+        } catch (error) {
+            throw new Error(`OCR engine not available at ${this.config.libraryPath}: ${error.message}`);
+        }
+    }
+
+    // Callers arriving while the worker starts share that start instead of creating a second worker
+    getWorker(languages) {
+        const languageKey = this.normalizeLanguages(languages).join('+');
+
+        if (!this.workerPromise || this.workerLanguages !== languageKey) {
+            const previous = this.workerPromise;
+            const workerPromise = this.createWorker(languageKey, previous);
+            this.workerPromise = workerPromise;
+            this.workerLanguages = languageKey;
+
+            // A failed start is not kept, so the next call tries again
+            workerPromise.catch(() => {
+                if (this.workerPromise === workerPromise) {
+                    this.workerPromise = null;
+                    this.workerLanguages = null;
+                }
+            });
+        }
+        return this.workerPromise;
+    }
+
+    // previous: promise of the worker with other languages, ended first
+    async createWorker(languageKey, previous = null) {
+        if (previous) {
+            const worker = await previous.catch(() => null);
+            if (worker) await worker.terminate();
+        }
+
+        const Tesseract = await this.loadLibrary();
+        console.log(`🔤 OcrService: Starting OCR worker for ${languageKey}`);
+
+        return Tesseract.createWorker(languageKey, 1, {
+            workerPath: this.resolveAssetUrl(this.config.workerPath),
+            corePath: this.resolveAssetUrl(this.config.corePath),
+            langPath: this.resolveAssetUrl(this.config.langPath),
+            gzip: true,
+            workerBlobURL: false,
+            logger: (message) => {
+                if (this.progressHandler && message.status === 'recognizing text') {
+                    this.progressHandler(message.progress);
+                }
+            }
+        });
+    }
+
+    // Recognize text in an image (File, Blob, data URL or canvas); options.signal aborts it
+    async recognize(image, options = {}) {
+        const signal = options.signal || this.abortSignal;
+        const languages = this.normalizeLanguages(options.languages || this.config.languages);
+        const worker = await this.getWorker(languages);
+        if (signal) signal.throwIfAborted();
+
+        this.progressHandler = options.onProgress || null;
+        let onAbort = null;
+        try {
+            const recognition = worker.recognize(image, {}, { text: true, blocks: true });
+            const aborted = new Promise((resolve, reject) => {
+                if (!signal) return;
+                // The engine cannot stop a running recognition, so the worker is ended
+                onAbort = () => {
+                    recognition.catch(() => {});
+                    this.terminate().catch(error => console.warn('OCR worker did not terminate cleanly:', error));
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+            });
+            const { data } = await Promise.race([recognition, aborted]);
+            const words = this.collectWords(data)
+                .filter(word => word.text && word.text.trim())
+                .map(word => ({
+                    text: word.text,
+                    confidence: this.normalizeConfidence(word.confidence),
+                    bbox: {
+                        x0: word.bbox.x0,
+                        y0: word.bbox.y0,
+                        x1: word.bbox.x1,
+                        y1: word.bbox.y1
+                    }
+                }));
+
+            return {
+                text: (data.text || '').trim(),
+                confidence: this.normalizeConfidence(data.confidence),
+                words: words,
+                languages: languages
+            };
+        } finally {
+            this.progressHandler = null;
+            if (onAbort) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    collectWords(data) {
+        if (Array.isArray(data.words) && data.words.length > 0) {
+            return data.words;
+        }
+
+        // Newer engine versions only return the block hierarchy
+        const words = [];
+        (data.blocks || []).forEach(block => {
+            (block.paragraphs || []).forEach(paragraph => {
+                (paragraph.lines || []).forEach(line => {
+                    words.push(...(line.words || []));
+                });
+            });
+        });
+        return words;
+    }
+
+    normalizeLanguages(languages) {
+        const requested = Array.isArray(languages) ? languages : String(languages).split('+');
+        const supported = requested.filter(language => this.config.availableLanguages.includes(language));
+
+        if (supported.length === 0) {
+            throw new Error(`No installed OCR language data for: ${requested.join(', ')}`);
+        }
+        return supported;
+    }
+
+    normalizeConfidence(confidence) {
+        // Engine reports 0-100, results use 0-1 like the rest of FileProcessor
+        return typeof confidence === 'number' ? Math.round(confidence * 10) / 1000 : 0;
+    }
+
+    resolveAssetUrl(path) {
+        return new URL(path, document.baseURI).href;
+    }
+
+    async terminate() {
+        const workerPromise = this.workerPromise;
+        this.workerPromise = null;
+        this.workerLanguages = null;
+
+        const worker = workerPromise ? await workerPromise.catch(() => null) : null;
+        if (worker) await worker.terminate();
+    }
+}
+
+export { OcrService };
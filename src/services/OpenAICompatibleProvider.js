@@ -0,0 +1,36 @@
+// OpenAICompatibleProvider - Chat completions against OpenAI or an OpenAI-compatible server
+// Also used for local servers (and the development mock server), where the API key is optional
+
+class OpenAICompatibleProvider {
+    constructor(name, settings) {
+        this.name = name;
+        this.baseUrl = (settings.baseUrl || '').replace(/\/$/, '');
+        this.apiKey = settings.apiKey || '';
+        this.model = settings.model;
+        this.requiresApiKey = settings.requiresApiKey !== false;
+        this.timeout = settings.timeout;
+    }
+
+    isConfigured() {
+        return !!this.baseUrl && (!this.requiresApiKey || !!this.apiKey);
+    }
+
+    // data is an OpenAI chat-completions payload
+    buildRequest(data) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+        return {
+            url: `${this.baseUrl}/chat/completions`,
+            headers: headers,
+            body: { ...data, model: data.model || this.model }
+        };
+    }
+
+    // Responses already have the chat-completions shape the app expects
+    parseResponse(response) {
+        return response;
+    }
+}
+
+export { OpenAICompatibleProvider };
@@ -30,9 +30,9 @@ class OutputNaming {
     // NODE CATEGORIZATION
     getNodeCategory(toolType) {
         const categories = {
-            conversion: ['pdf2text', 'audio2text', 'video2audio', 'image2text'],
+            conversion: ['pdf2text', 'docx2text', 'xlsx2text', 'audio2text', 'video2audio', 'image2text'],
             processing: ['summarizer', 'analyzer', 'translator'],
-            template: ['text2pdf', 'text2template']
+            template: ['text2pdf', 'text2docx', 'template', 'text2template']
         };
 
         for (const [category, types] of Object.entries(categories)) {
@@ -79,6 +79,8 @@ class OutputNaming {
     getOutputExtension(toolType) {
         const extensions = {
             'pdf2text': '.txt',
+            'docx2text': '.txt',
+            'xlsx2text': '.txt',
             'audio2text': '.txt',
             'video2audio': '.wav',
             'image2text': '.txt',
@@ -86,7 +88,9 @@ class OutputNaming {
             'analyzer': '.txt',
             'translator': '.txt',
             'text2pdf': '.pdf',
-            'text2template': '.doc'
+            'text2docx': '.docx',
+            'template': '.docx',
+            'text2template': '.docx'
         };
         
         return extensions[toolType] || '.txt';
@@ -0,0 +1,240 @@
+// SessionManager - Autosaves the canvas to IndexedDB and offers to restore it after a reload or crash
+// The snapshot is the V4 export (see WorkflowImporter) plus zoom/pan and, with Config.session.keepFiles, the uploaded files
+
+import { Config } from '../config/config.js';
+import { UIUtils } from '../utils/UIUtils.js';
+import { IndexedDbStore } from '../utils/IndexedDbStore.js';
+
+const DB_NAME = 'toolflowbuilder-session';
+const DB_VERSION = 1;
+const STORE_NAME = 'session';
+const SESSION_KEY = 'current';
+
+// Everything that changes what the canvas would export
+const CHANGE_EVENTS = [
+    'node-added',
+    'node-deleted',
+    'node-inputs-changed',
+    'node-prompt-updated',
+    'node-error-policy-updated',
+    'node:position:changed',
+    'connection-established',
+    'connection-removed',
+    'output-added',
+    'business-name-updated',
+    'input-file-labels-created',
+    'canvas-zoom-changed',
+    'workflow-cleared'
+];
+
+class SessionManager {
+    constructor(eventBus, settings = Config.session) {
+        this.eventBus = eventBus;
+        this.settings = settings;
+        this.workflowCanvas = null;
+        this.canvasZoomManager = null;
+        this.inputFilesManager = null;
+        this.uploadZone = null;
+        this.workflowImporter = null;
+        this.saveTimer = null;
+        this.autosaveEnabled = false; // Off until the user has answered the restore prompt
+
+        this.setupEventListeners();
+    }
+
+    setWorkflowCanvas(workflowCanvas) {
+        this.workflowCanvas = workflowCanvas;
+    }
+
+    setCanvasZoomManager(canvasZoomManager) {
+        this.canvasZoomManager = canvasZoomManager;
+    }
+
+    setInputFilesManager(inputFilesManager) {
+        this.inputFilesManager = inputFilesManager;
+    }
+
+    setUploadZone(uploadZone) {
+        this.uploadZone = uploadZone;
+    }
+
+    setWorkflowImporter(workflowImporter) {
+        this.workflowImporter = workflowImporter;
+    }
+
+    setupEventListeners() {
+        CHANGE_EVENTS.forEach(eventName => this.eventBus.on(eventName, () => this.scheduleSave()));
+
+        // Write a pending change before the page goes away
+        window.addEventListener('pagehide', () => {
+            if (this.saveTimer) this.save();
+        });
+    }
+
+    isAvailable() {
+        return !!this.settings.autosave && IndexedDbStore.isAvailable();
+    }
+
+    openDatabase() {
+        return IndexedDbStore.open(DB_NAME, DB_VERSION, db => db.createObjectStore(STORE_NAME));
+    }
+
+    // Offer the saved session, then autosave from here on
+    async start() {
+        if (!this.isAvailable()) return;
+
+        try {
+            const session = await this.load();
+            if (session && session.workflow.actions.length > 0) {
+                if (await this.promptRestore(session)) {
+                    await this.restore(session);
+                } else {
+                    await this.clear();
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ SessionManager: could not restore the previous session:', error);
+            UIUtils.showError(`Could not restore the previous session: ${error.message}`);
+        } finally {
+            this.autosaveEnabled = true;
+        }
+    }
+
+    scheduleSave() {
+        if (!this.autosaveEnabled) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.settings.saveDelay);
+    }
+
+    // Never throws; autosave failing must not break editing
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            const snapshot = this.createSnapshot();
+            const db = await this.openDatabase();
+            const store = IndexedDbStore.store(db, STORE_NAME, 'readwrite');
+
+            // An empty canvas leaves nothing worth restoring
+            if (snapshot.workflow.actions.length === 0) {
+                await IndexedDbStore.request(store.delete(SESSION_KEY));
+                return;
+            }
+            await IndexedDbStore.request(store.put(snapshot, SESSION_KEY));
+            console.log(`💾 SessionManager: Saved ${snapshot.workflow.actions.length} nodes${snapshot.files ? ` and ${snapshot.files.length} files` : ''}`);
+        } catch (error) {
+            console.warn('⚠️ SessionManager: autosave failed:', error);
+        }
+    }
+
+    createSnapshot() {
+        return {
+            version: 1,
+            savedAt: new Date().toISOString(),
+            workflow: this.workflowCanvas.exportWorkflow(),
+            view: {
+                zoom: this.canvasZoomManager ? this.canvasZoomManager.getZoomLevel() : 1,
+                pan: this.canvasZoomManager ? this.canvasZoomManager.getPan() : { x: 0, y: 0 }
+            },
+            files: this.settings.keepFiles ? this.getFilesToKeep() : null
+        };
+    }
+
+    // Uploaded files in label order; Files are stored as they are, IndexedDB keeps the bytes
+    getFilesToKeep() {
+        return (this.inputFilesManager?.getInputFileLabels() || [])
+            .filter(item => item.file && item.file.size <= this.settings.maxFileBytes)
+            .map(item => ({
+                label: item.label,
+                name: item.originalName,
+                type: item.fileType,
+                blob: item.file
+            }));
+    }
+
+    async load() {
+        const db = await this.openDatabase();
+        return await IndexedDbStore.request(IndexedDbStore.store(db, STORE_NAME).get(SESSION_KEY)) || null;
+    }
+
+    async clear() {
+        const db = await this.openDatabase();
+        await IndexedDbStore.request(IndexedDbStore.store(db, STORE_NAME, 'readwrite').delete(SESSION_KEY));
+    }
+
+    promptRestore(session) {
+        const nodeCount = session.workflow.actions.length;
+        const outputCount = (session.workflow.outputFiles || []).length;
+        const files = session.files && session.files.length > 0
+            ? `${session.files.length} uploaded file(s) were kept and will be loaded again.`
+            : 'Uploaded files were not kept; you will be asked to choose them again.';
+
+        return new Promise(resolve => {
+            UIUtils.createModal('♻️ Restore Previous Session?', `
+                <p style="font-size: 14px; color: #374151; margin-bottom: 8px;">
+                    A workflow from ${new Date(session.savedAt).toLocaleString()} was not closed properly or the page was reloaded.
+                </p>
+                <p style="font-size: 14px; color: #374151; margin-bottom: 8px;">
+                    <strong>${nodeCount}</strong> node${nodeCount === 1 ? '' : 's'}, <strong>${outputCount}</strong> output file${outputCount === 1 ? '' : 's'}.
+                </p>
+                <p style="font-size: 13px; color: #6b7280;">${files}</p>
+            `, [
+                {
+                    text: 'Start Fresh',
+                    action: 'discard',
+                    className: 'background-color: #6b7280; color: white;',
+                    handler: (e, modal) => {
+                        UIUtils.removeModal(modal);
+                        resolve(false);
+                    }
+                },
+                {
+                    text: 'Restore',
+                    action: 'restore',
+                    className: 'background-color: #10b981; color: white;',
+                    handler: (e, modal) => {
+                        UIUtils.removeModal(modal);
+                        resolve(true);
+                    }
+                }
+            ]);
+        });
+    }
+
+    async restore(session) {
+        const workflow = this.workflowImporter.prepare(session.workflow);
+
+        if (session.files && session.files.length > 0) {
+            this.uploadZone.replaceFiles(session.files.map(item => new File([item.blob], item.name, { type: item.type })));
+        }
+
+        // Files that were not kept are bound again the same way as for an imported workflow
+        const inputFiles = await this.workflowImporter.resolveInputFiles(workflow);
+        if (inputFiles === false) {
+            this.eventBus.emit('status-update', 'Previous session not restored');
+            return false;
+        }
+        if (inputFiles) {
+            this.uploadZone.replaceFiles(inputFiles);
+        }
+
+        const { nodes, warnings } = this.workflowImporter.importWorkflow(workflow);
+
+        if (this.canvasZoomManager && session.view) {
+            this.canvasZoomManager.setZoom(session.view.zoom);
+            this.canvasZoomManager.setPan(session.view.pan.x, session.view.pan.y);
+        }
+
+        if (warnings.length > 0) {
+            UIUtils.showWarning(`Restored ${nodes} nodes with ${warnings.length} warning(s): ${warnings[0]}`, 8000);
+        } else {
+            UIUtils.showSuccess(`Restored ${nodes} nodes from your previous session`);
+        }
+        this.eventBus.emit('session-restored', { nodes, warnings });
+        return true;
+    }
+}
+
+export { SessionManager };
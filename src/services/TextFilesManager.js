@@ -26,6 +26,9 @@ class TextFilesManager {
         // Listen for node outputs that create new .txt files
         this.eventBus.on('node-output-created', this.handleNodeOutputCreated.bind(this));
         
+        // Listen for text produced during workflow execution
+        this.eventBus.on('text-file-content-ready', this.handleTextFileContentReady.bind(this));
+        
         // Listen for removing node outputs
         this.eventBus.on('remove-text-file-label', this.handleRemoveTextFileLabel.bind(this));
         
@@ -118,6 +121,59 @@ class TextFilesManager {
         }
     }
     
+    handleTextFileContentReady(contentData) {
+        const { label, content, type, sourceNodeId, nodeType, sourceLabels } = contentData;
+        
+        let textFileLabel = this.getTextFileLabelByLabel(label);
+        if (!textFileLabel) {
+            // Executed action produced a .txt file that has no label yet
+            textFileLabel = {
+                id: label,
+                label: label,
+                originalLabel: sourceLabels ? sourceLabels.join('') : 'processed',
+                sourceType: 'node-output',
+                sourceNodeId: sourceNodeId,
+                sourceNodeType: nodeType,
+                createdAt: Date.now(),
+                isVisible: true
+            };
+            this.textFileLabels.push(textFileLabel);
+        }
+        
+        if (content instanceof Blob) {
+            // Binary outputs (the .wav of video2audio) are kept as files; they have no text to show
+            textFileLabel.file = content;
+            textFileLabel.content = null;
+            textFileLabel.fileType = content.type || type || 'application/octet-stream';
+            console.log(`Stored ${content.size} bytes (${textFileLabel.fileType}) for file ${label}`);
+        } else {
+            // Keep the produced text with its label so later steps and previews can use it
+            textFileLabel.file = null;
+            textFileLabel.content = content;
+            textFileLabel.fileType = 'text/plain';
+            console.log(`Stored ${content?.length || 0} characters for text file ${label}`);
+        }
+        textFileLabel.contentUpdatedAt = Date.now();
+        
+        this.renderTextFileLabels();
+    }
+    
+    getTextFileContent(label) {
+        const textFileLabel = this.getTextFileLabelByLabel(label);
+        return textFileLabel && typeof textFileLabel.content === 'string' ? textFileLabel.content : null;
+    }
+    
+    // Blob of a binary output, e.g. B.wav; null for text files
+    getTextFileBlob(label) {
+        const textFileLabel = this.getTextFileLabelByLabel(label);
+        return textFileLabel && textFileLabel.file instanceof Blob ? textFileLabel.file : null;
+    }
+    
+    // Tooltip of a label card; binary outputs show their type so they are not mistaken for text
+    getLabelTitle(textFileLabel) {
+        return textFileLabel.file ? `${textFileLabel.label} (${textFileLabel.fileType})` : textFileLabel.label;
+    }
+    
     handleRemoveTextFileLabel(removeData) {
         // Remove text file label from the panel
         const { fileName, sourceNodeId } = removeData;
@@ -186,7 +242,7 @@ class TextFilesManager {
         labelCard.dataset.label = textFileLabel.label;
         
         // Add hover tooltip for long labels
-        labelCard.title = textFileLabel.label;
+        labelCard.title = this.getLabelTitle(textFileLabel);
         
         // Add drag event listeners
         labelCard.addEventListener('dragstart', (e) => {
@@ -245,12 +301,12 @@ class TextFilesManager {
         labelCard.className = 'text-file-label-card';
         labelCard.dataset.label = textFileLabel.label;
         labelCard.draggable = true;
-        labelCard.title = textFileLabel.label; // Hover tooltip
+        labelCard.title = this.getLabelTitle(textFileLabel); // Hover tooltip
         
         labelCard.innerHTML = `
             <div class="label-display">
                 <div class="label-text">${textFileLabel.label}</div>
-                <div class="source-indicator">${textFileLabel.sourceType === 'auto-generated' ? '📁' : '⚙️'}</div>
+                <div class="source-indicator">${textFileLabel.file ? '🎵' : textFileLabel.sourceType === 'auto-generated' ? '📁' : '⚙️'}</div>
             </div>
         `;
         
@@ -463,6 +519,7 @@ class TextFilesManager {
     getFileTypeFromExtension(fileName) {
         if (fileName.endsWith('.pdf')) return 'application/pdf';
         if (fileName.endsWith('.docx')) return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+        if (fileName.endsWith('.xlsx')) return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
         if (fileName.endsWith('.html') || fileName.endsWith('.htm')) return 'text/html';
         return 'text/plain';
     }
@@ -239,9 +239,13 @@ class TextualFlowManager {
             'convert-to-text': 'convert-to-text',
             'process-text': 'process-text', 
             'convert-from-text': 'convert-from-text',
+            'convert-media': 'convert-media',
             'audio2text': 'convert-to-text',
             'video2text': 'convert-to-text',
+            'video2audio': 'convert-media',
             'pdf2text': 'convert-to-text',
+            'docx2text': 'convert-to-text',
+            'xlsx2text': 'convert-to-text',
             'image2text': 'convert-to-text',
             'analyzer': 'process-text',
             'join': 'process-text',
@@ -258,7 +262,10 @@ class TextualFlowManager {
         const nameMap = {
             'audio2text': 'Audio→Text',
             'video2text': 'Video→Text', 
+            'video2audio': 'Video→Audio',
             'pdf2text': 'PDF→Text',
+            'docx2text': 'Word→Text',
+            'xlsx2text': 'Excel→Text',
             'image2text': 'Image→Text',
             'text2pdf': 'Text→PDF',
             'analyzer': 'Analyze',
@@ -35,6 +35,13 @@ class ToolStyleManager {
                 text: '#92400e',
                 solid: '#fb923c'
             },
+            'convert-media': {
+                background: 'rgba(139, 92, 246, 0.15)',     // Purple
+                backgroundHover: 'rgba(139, 92, 246, 0.25)',
+                border: '#c4b5fd',
+                text: '#5b21b6',
+                solid: '#8b5cf6'
+            },
             'default': {
                 background: '#f9fafb',
                 backgroundHover: '#f3f4f6',
@@ -56,6 +63,8 @@ class ToolStyleManager {
         return {
             // Convert to text tools
             'pdf2text': 'convert-to-text',
+            'docx2text': 'convert-to-text',
+            'xlsx2text': 'convert-to-text',
             'audio2text': 'convert-to-text',
             'image2text': 'convert-to-text',
             'video2text': 'convert-to-text',
@@ -70,7 +79,10 @@ class ToolStyleManager {
             // Convert from text tools
             'text2pdf': 'convert-from-text',
             'text2docx': 'convert-from-text',
-            'template': 'convert-from-text'
+            'template': 'convert-from-text',
+
+            // Convert media tools (audio or video out, not text)
+            'video2audio': 'convert-media'
         };
     }
 
@@ -83,9 +95,12 @@ class ToolStyleManager {
         // Fallback tool definitions when ToolPalette is not available
         const fallbackTools = {
             'pdf2text': { icon: '📕', name: 'PDF→Text' },
+            'docx2text': { icon: '📝', name: 'Word→Text' },
+            'xlsx2text': { icon: '📊', name: 'Excel→Text' },
             'audio2text': { icon: '🎵', name: 'Audio→Text' },
             'image2text': { icon: '🖼️', name: 'Image→Text' },
             'video2text': { icon: '🎬', name: 'Video→Text' },
+            'video2audio': { icon: '🔊', name: 'Video→Audio' },
             'webscraper': { icon: '🌐', name: 'Web→Text' },
             'summarizer': { icon: '📝', name: 'Summarize' },
             'translator': { icon: '🗣️', name: 'Translate' },
@@ -0,0 +1,156 @@
+// TranscriptionService - Speech-to-text for audio2text and video2text
+// Picks a transcription provider and handles chunking of long recordings
+
+import { Config } from '../config/config.js';
+import { AudioUtils } from '../utils/AudioUtils.js';
+import { WhisperApiTranscriptionProvider } from './WhisperApiTranscriptionProvider.js';
+import { LocalWhisperTranscriptionProvider } from './LocalWhisperTranscriptionProvider.js';
+
+const NOT_CONFIGURED_MESSAGE = 'Transcription not configured: set TRANSCRIPTION_API_KEY for a Whisper-compatible endpoint, or run ./install-assets.sh transcription for the offline model (see README)';
+
+// Providers implement:
+//   name                          - identifier reported in results
+//   isAvailable()                 - whether the provider can run here (may return a promise)
+//   canTranscribeFile(blob)       - whether the original file can be sent as-is
+//   transcribe(audio, options)    - audio is { blob, fileName } or { samples, sampleRate },
+//                                   resolves to { text, language, duration, segments[{ start, end, text, speaker }] };
+//                                   options.signal aborts the request
+class TranscriptionService {
+    constructor() {
+        this.config = Config.transcription;
+        this.providers = new Map();
+        this.abortSignal = null; // Signal of the running workflow, set by WorkflowEngine
+
+        this.registerProvider('api', new WhisperApiTranscriptionProvider(this.config.api));
+        this.registerProvider('local', new LocalWhisperTranscriptionProvider(this.config.local));
+    }
+
+    // Transcriptions started while the signal is set are aborted with it (cancelled workflow runs)
+    setAbortSignal(signal) {
+        this.abortSignal = signal;
+    }
+
+    registerProvider(key, provider) {
+        this.providers.set(key, provider);
+    }
+
+    // 'auto' uses the API when a key is set, else the offline model when it is installed
+    async getProvider() {
+        const key = this.config.provider === 'auto'
+            ? (this.config.api.apiKey ? 'api' : 'local')
+            : this.config.provider;
+
+        const provider = this.providers.get(key);
+        if (!provider) {
+            throw new Error(`Unknown transcription provider: ${key}`);
+        }
+        if (!(await provider.isAvailable())) {
+            throw new Error(NOT_CONFIGURED_MESSAGE);
+        }
+        return provider;
+    }
+
+    // False until an API key is set or the offline model is installed
+    async isConfigured() {
+        try {
+            await this.getProvider();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getNotConfiguredMessage() {
+        return NOT_CONFIGURED_MESSAGE;
+    }
+
+    // Transcribe an audio or video Blob; returns { text, plainText, language, duration, segments, provider, chunks }
+    async transcribe(blob, options = {}) {
+        const provider = await this.getProvider();
+        console.log(`🎙️ TranscriptionService: Transcribing ${options.fileName || 'audio'} with ${provider.name}`);
+        options = { ...options, signal: options.signal || this.abortSignal };
+
+        let result;
+        if (provider.canTranscribeFile(blob)) {
+            const transcript = await provider.transcribe({ blob: blob, fileName: options.fileName }, options);
+            result = { ...transcript, chunks: 1 };
+        } else {
+            result = await this.transcribeInChunks(provider, blob, options);
+        }
+
+        return {
+            text: this.formatTranscript(result),
+            plainText: result.text,
+            language: result.language,
+            duration: result.duration,
+            segments: result.segments,
+            provider: provider.name,
+            chunks: result.chunks
+        };
+    }
+
+    async transcribeInChunks(provider, blob, options) {
+        const audio = await AudioUtils.decodeToMono(blob, this.config.sampleRate);
+        const chunks = AudioUtils.splitSamples(audio.samples, audio.sampleRate, this.config.chunkSeconds);
+
+        const texts = [];
+        const segments = [];
+        let language = options.language || null;
+
+        for (let i = 0; i < chunks.length; i++) {
+            const chunk = chunks[i];
+            if (options.signal) options.signal.throwIfAborted();
+            if (options.onProgress) options.onProgress(i / chunks.length);
+
+            // The tail of the previous chunk keeps names and spelling consistent across chunks
+            const previousText = texts.length > 0 ? texts[texts.length - 1] : '';
+            const transcript = await provider.transcribe(chunk, {
+                language: language,
+                prompt: previousText.slice(-200),
+                signal: options.signal,
+                onProgress: options.onProgress
+                    ? (progress) => options.onProgress((i + progress) / chunks.length)
+                    : null
+            });
+
+            texts.push(transcript.text);
+            language = language || transcript.language;
+            transcript.segments.forEach(segment => {
+                segments.push({
+                    ...segment,
+                    start: segment.start + chunk.startTime,
+                    end: segment.end + chunk.startTime
+                });
+            });
+        }
+
+        if (options.onProgress) options.onProgress(1);
+
+        return {
+            text: texts.filter(text => text).join(' '),
+            language: language,
+            duration: audio.duration,
+            segments: segments,
+            chunks: chunks.length
+        };
+    }
+
+    // One "[mm:ss] Speaker: text" line per segment; plain text when there are no timestamps
+    formatTranscript(result) {
+        if (!result.segments || result.segments.length === 0) {
+            return result.text;
+        }
+
+        return result.segments
+            .filter(segment => segment.text)
+            .map(segment => {
+                const timestamp = `[${AudioUtils.formatTimestamp(segment.start)}]`;
+                return segment.speaker
+                    ? `${timestamp} ${segment.speaker}: ${segment.text}`
+                    : `${timestamp} ${segment.text}`;
+            })
+            .join('\n');
+    }
+}
+
+export { TranscriptionService };
@@ -0,0 +1,103 @@
+// WhisperApiTranscriptionProvider - Transcription through a Whisper-compatible /audio/transcriptions endpoint
+// Works against OpenAI or any local stand-in server that speaks the same API
+
+import { AudioUtils } from '../utils/AudioUtils.js';
+
+class WhisperApiTranscriptionProvider {
+    constructor(settings) {
+        this.name = 'whisper-api';
+        this.baseUrl = settings.baseUrl;
+        this.apiKey = settings.apiKey;
+        this.model = settings.model;
+        this.responseFormat = settings.responseFormat;
+        this.maxUploadBytes = settings.maxUploadBytes;
+        this.maxRetries = settings.maxRetries;
+        this.retryDelay = settings.retryDelay;
+    }
+
+    // The endpoint accepts the original file when it is small enough
+    canTranscribeFile(blob) {
+        return blob.size <= this.maxUploadBytes;
+    }
+
+    isAvailable() {
+        return !!this.baseUrl;
+    }
+
+    // audio: { blob } or { samples, sampleRate }; returns { text, language, duration, segments }
+    async transcribe(audio, options = {}) {
+        const file = audio.blob || AudioUtils.encodeWav(audio.samples, audio.sampleRate);
+        const fileName = audio.fileName || 'audio.wav';
+
+        const formData = new FormData();
+        formData.append('file', file, fileName);
+        formData.append('model', this.model);
+        formData.append('response_format', this.responseFormat);
+        if (this.responseFormat === 'verbose_json') {
+            formData.append('timestamp_granularities[]', 'segment');
+        }
+        if (options.language) formData.append('language', options.language);
+        if (options.prompt) formData.append('prompt', options.prompt);
+
+        const response = await this.makeRequest('/audio/transcriptions', formData, options.signal);
+        return this.parseResponse(response);
+    }
+
+    async makeRequest(endpoint, formData, signal = null) {
+        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            if (signal) signal.throwIfAborted();
+
+            try {
+                const headers = {};
+                if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+                const response = await fetch(`${this.baseUrl}${endpoint}`, {
+                    method: 'POST',
+                    headers: headers,
+                    body: formData,
+                    signal: signal
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Transcription API error: ${response.status} ${response.statusText}`);
+                }
+
+                const contentType = response.headers.get('content-type') || '';
+                return contentType.includes('application/json') ? await response.json() : { text: await response.text() };
+            } catch (error) {
+                // A cancelled run is not retried
+                if (signal && signal.aborted) {
+                    throw signal.reason;
+                }
+
+                console.error(`Transcription API attempt ${attempt} failed:`, error);
+
+                if (attempt === this.maxRetries) {
+                    throw error;
+                }
+
+                // Exponential backoff
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * Math.pow(2, attempt - 1)));
+            }
+        }
+    }
+
+    parseResponse(response) {
+        // verbose_json returns segments, diarizing servers add a speaker per segment
+        const segments = (response.segments || []).map(segment => ({
+            start: segment.start || 0,
+            end: segment.end || 0,
+            text: (segment.text || '').trim(),
+            speaker: segment.speaker || null
+        }));
+
+        return {
+            text: (response.text || segments.map(segment => segment.text).join(' ')).trim(),
+            language: response.language || null,
+            duration: response.duration || (segments.length > 0 ? segments[segments.length - 1].end : 0),
+            segments: segments
+        };
+    }
+}
+
+export { WhisperApiTranscriptionProvider };
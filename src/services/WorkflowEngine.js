@@ -1,3 +1,11 @@
+import { Config } from '../config/config.js';
+import { PdfWriter } from '../utils/PdfWriter.js';
+import { DocxWriter } from '../utils/DocxWriter.js';
+import { DocxTemplate } from '../utils/DocxTemplate.js';
+import { ActionScheduler } from './ActionScheduler.js';
+import { ExecutionControl } from './ExecutionControl.js';
+import { WorkflowMigrations } from '../utils/WorkflowMigrations.js';
+
 class WorkflowEngine {
     constructor(eventBus, openAIService) {
         this.eventBus = eventBus;
@@ -6,16 +14,58 @@ class WorkflowEngine {
         this.executionResults = [];
         this.isExecuting = false;
         this.outputZone = null; // Reference to OutputZone for business names
+        this.fileProcessor = null; // Reference to FileProcessor for reading uploaded files
+        this.inputFilesManager = null; // Reference to InputFilesManager for uploaded File objects
+        this.textFilesManager = null; // Reference to TextFilesManager for produced text
+        this.mapReduceService = null; // Reference to MapReduceService for long inputs
+        this.actionResultCache = null; // Reference to ActionResultCache for reusing unchanged results
+        this.executionHistory = null; // Reference to ExecutionHistory for the persisted run log
+        this.costEstimator = null; // Reference to CostEstimator for dry-run estimates
+        this.workflowValidator = null; // Reference to WorkflowValidator for checking Action JSON before a run
+        this.executionControl = null; // ExecutionControl of the running workflow (cancel, pause, resume)
+        this.interruptedRun = null; // { signature, producedFiles, runOptions } of the last cancelled visual run; runOptions resume it
     }
 
     setOutputZone(outputZone) {
         this.outputZone = outputZone;
     }
 
+    setFileProcessor(fileProcessor) {
+        this.fileProcessor = fileProcessor;
+    }
+
+    setInputFilesManager(inputFilesManager) {
+        this.inputFilesManager = inputFilesManager;
+    }
+
+    setTextFilesManager(textFilesManager) {
+        this.textFilesManager = textFilesManager;
+    }
+
     setToolPalette(toolPalette) {
         this.toolPalette = toolPalette;
     }
 
+    setMapReduceService(mapReduceService) {
+        this.mapReduceService = mapReduceService;
+    }
+
+    setActionResultCache(actionResultCache) {
+        this.actionResultCache = actionResultCache;
+    }
+
+    setExecutionHistory(executionHistory) {
+        this.executionHistory = executionHistory;
+    }
+
+    setCostEstimator(costEstimator) {
+        this.costEstimator = costEstimator;
+    }
+
+    setWorkflowValidator(workflowValidator) {
+        this.workflowValidator = workflowValidator;
+    }
+
     async generateWorkflow(files, userIntent = '') {
         try {
             this.eventBus.emit('status-update', 'Analyzing files and generating workflow...');
@@ -64,6 +114,8 @@ class WorkflowEngine {
                     'audio2text': 'Convert audio to text',
                     'video2audio': 'Extract audio from video', 
                     'pdf2text': 'Extract text from PDF',
+                    'docx2text': 'Extract text from Word document',
+                    'xlsx2text': 'Extract tables from Excel workbook',
                     'webscraper': 'Scrape text from websites',
                     'summarizer': 'Summarize content',
                     'translator': 'Translate text',
@@ -116,16 +168,15 @@ class WorkflowEngine {
         try {
             this.isExecuting = true;
             this.executionResults = [];
+            const control = this.startExecutionControl();
             
             this.eventBus.emit('status-update', 'Executing workflow...');
 
             // Sort nodes by dependencies (topological sort)
             const sortedNodes = this.topologicalSort(workflowToExecute);
             
-            // Execute nodes in order
-            for (const node of sortedNodes) {
-                await this.executeNode(node, workflowToExecute);
-            }
+            // Nodes run in parallel as soon as the nodes they read from have finished
+            await new ActionScheduler().run(this.getNodeSteps(sortedNodes, workflowToExecute), control);
 
             this.eventBus.emit('workflow-executed', this.executionResults);
             return this.executionResults;
@@ -134,10 +185,851 @@ class WorkflowEngine {
             console.error('Error executing workflow:', error);
             throw error;
         } finally {
+            this.finishExecutionControl();
+            this.isExecuting = false;
+        }
+    }
+
+    /**
+     * Execute a V4 Visual JSON workflow (from WorkflowCanvasManager.exportWorkflow)
+     *
+     * The visual workflow is converted to Action JSON first, then every action runs
+     * against the uploaded files or the text produced by earlier actions. Actions
+     * whose inputs are ready run in parallel (see ActionScheduler).
+     * Files are descriptors { name, size, type, label, file } built from InputFilesManager.
+     *
+     * A cancelled run keeps the results it finished; the Resume button of the cancelled modal
+     * runs the same workflow on the same files again from there (runOptions.resume).
+     * Any other run starts over and drops those results.
+     *
+     * runOptions { nodeId, mode } runs part of the workflow around one canvas node
+     * (see selectActionsForNode): 'up-to' or 'from'.
+     */
+    async executeVisualWorkflow(visualWorkflow, files, runOptions = {}) {
+        if (!visualWorkflow || !visualWorkflow.actions || visualWorkflow.actions.length === 0) {
+            throw new Error('No workflow to execute');
+        }
+
+        if (this.isExecuting) {
+            throw new Error('Workflow execution already in progress');
+        }
+
+        const { actionJSON, refreshedFiles } = this.prepareRunActions(visualWorkflow, files, runOptions);
+        const producedFiles = new Map(); // outputFile label -> action result
+        const signature = this.getRunSignature(actionJSON.actions, files);
+        const canResume = !!runOptions.resume && !!this.interruptedRun && this.interruptedRun.signature === signature;
+        const resumedFiles = canResume ? this.interruptedRun.producedFiles : new Map();
+        if (runOptions.resume && !canResume) {
+            this.eventBus.emit('status-update', '⚠️ Workflow or input files changed since the cancel - running from the start');
+        }
+        this.interruptedRun = null;
+        let historyRun = null; // Run log for ExecutionHistory
+
+        try {
+            this.isExecuting = true;
+            this.executionResults = [];
+            await this.assertEnginesInstalled(actionJSON.actions);
+            const control = this.startExecutionControl();
+            historyRun = this.startHistoryRun(actionJSON, files, runOptions);
+
+            this.eventBus.emit('status-update', resumedFiles.size > 0
+                ? `Resuming workflow (${resumedFiles.size} of ${actionJSON.actions.length} actions already done)...`
+                : 'Executing workflow...');
+            await this.showProgressModal(actionJSON.actions);
+
+            const steps = ActionScheduler.fromActions(actionJSON.actions, action => this.getActionProvider(action.toolType), async (action, i) => {
+                if (resumedFiles.has(action.outputFile)) {
+                    const result = resumedFiles.get(action.outputFile);
+                    producedFiles.set(action.outputFile, result);
+                    this.executionResults.push(result);
+                    this.updateProgressAction(i, 'completed', `⏭️ ${action.outputFile} kept from the interrupted run`);
+                    this.recordHistoryAction(historyRun, action, [], result, new Date(), 'resumed');
+                    this.routeOutput(action, result);
+                    return;
+                }
+
+                this.updateProgressAction(i, 'processing', `Processing ${action.toolType}...`);
+                this.setActionNodeProcessing(action, true);
+                const startedAt = new Date();
+                let inputs = [];
+
+                try {
+                    inputs = this.resolveActionInputs(action, files, producedFiles);
+                    const policy = this.getErrorPolicy(action.errorPolicy);
+                    const outcome = await this.runWithErrorPolicy(policy, `${action.toolType} (${action.outputFile})`,
+                        () => this.runCachedAction(action, inputs, refreshedFiles.has(action.outputFile)),
+                        () => this.runCachedAction(this.getFallbackAction(action, policy), inputs));
+                    const result = outcome.outcome === 'skipped'
+                        ? this.createSkippedResult(action, outcome)
+                        : { ...outcome.result, outcome: outcome.outcome, attempts: outcome.attempts, error: outcome.error };
+
+                    producedFiles.set(action.outputFile, result);
+                    if (control.isCancelled) {
+                        // Finished after the run was cancelled: only kept for resuming
+                        this.setActionNodeProcessing(action, false);
+                        return;
+                    }
+                    this.executionResults.push(result);
+                    this.recordHistoryAction(historyRun, action, inputs, result, startedAt, result.outcome);
+
+                    this.setActionNodeProcessing(action, false, result.skipped ? result.error : null);
+                    if (result.cached) {
+                        this.setActionNodeCached(action, result.cachedAt);
+                    }
+                    this.updateProgressAction(i, result.skipped ? 'skipped' : 'completed', this.getOutcomeMessage(action, result));
+
+                    // Route output files to correct UI panels; a skipped action has nothing to show
+                    if (!result.skipped) {
+                        this.routeOutput(action, result);
+                    }
+                } catch (error) {
+                    if (control.isCancelled) {
+                        this.setActionNodeProcessing(action, false);
+                        throw error;
+                    }
+                    this.setActionNodeProcessing(action, false, error.message);
+                    this.updateProgressAction(i, 'error', `❌ ${error.message}`);
+                    this.recordHistoryAction(historyRun, action, inputs, null, startedAt, 'failed', error);
+                    throw new Error(`${action.toolType} (${action.outputFile}) failed: ${error.message}`);
+                }
+            });
+            await new ActionScheduler().run(steps, control);
+
+            const outputFiles = actionJSON.actions
+                .filter(action => action.outputRequired)
+                .map(action => action.outputFile);
+            this.showResultsModal(this.executionResults, outputFiles);
+            await this.executionHistory?.finishRun(historyRun, 'completed');
+
+            return this.executionResults;
+
+        } catch (error) {
+            if (ExecutionControl.isCancelError(error)) {
+                // producedFiles is kept live, so actions still finishing after the cancel count too
+                this.interruptedRun = { signature, producedFiles, runOptions: { ...runOptions, resume: true } };
+                console.log(`⏹️ WorkflowEngine: Workflow cancelled after ${producedFiles.size} of ${actionJSON.actions.length} actions`);
+                this.showCancelledModal(producedFiles.size, actionJSON.actions.length, this.interruptedRun);
+                await this.executionHistory?.finishRun(historyRun, 'cancelled', error);
+                throw error;
+            }
+            console.error('Error executing visual workflow:', error);
+            this.showErrorModal(error.message);
+            await this.executionHistory?.finishRun(historyRun, 'failed', error);
+            throw error;
+        } finally {
+            this.finishExecutionControl();
             this.isExecuting = false;
         }
     }
 
+    // Action JSON of a visual run in execution order, limited to the part runOptions selects.
+    // refreshedFiles: outputFile labels recomputed even when a cached result exists
+    prepareRunActions(visualWorkflow, files, runOptions = {}) {
+        const actionJSON = this.convertVisualToActionJSON(visualWorkflow, files);
+        this.workflowValidator?.assertValidAction(actionJSON);
+        actionJSON.actions = this.orderActionsByDependencies(actionJSON.actions);
+        let refreshedFiles = new Set();
+        if (runOptions.nodeId) {
+            const selection = this.selectActionsForNode(actionJSON.actions, runOptions.nodeId, runOptions.mode);
+            actionJSON.actions = selection.actions;
+            refreshedFiles = selection.refresh;
+        }
+        return { actionJSON, refreshedFiles };
+    }
+
+    // Dry run: projected tokens, requests, cost and duration of executeVisualWorkflow (see CostEstimator)
+    async estimateVisualWorkflow(visualWorkflow, files, runOptions = {}) {
+        if (!this.costEstimator) {
+            throw new Error('CostEstimator not connected to WorkflowEngine');
+        }
+        if (!visualWorkflow || !visualWorkflow.actions || visualWorkflow.actions.length === 0) {
+            throw new Error('No workflow to estimate');
+        }
+
+        const { actionJSON } = this.prepareRunActions(visualWorkflow, files, runOptions);
+        const actions = actionJSON.actions.map(action => ({ ...action, provider: this.getActionProvider(action.toolType) }));
+        return await this.costEstimator.estimate(actions, files, label => this.textFilesManager?.getTextFileContent(label));
+    }
+
+    // Cancel, pause and resume of the running workflow (progress modal buttons)
+    startExecutionControl() {
+        this.executionControl = new ExecutionControl();
+        this.openAIService.setAbortSignal(this.executionControl.signal);
+        this.openAIService.transcriptionService?.setAbortSignal(this.executionControl.signal);
+        this.fileProcessor?.ocrService?.setAbortSignal(this.executionControl.signal);
+        this.fileProcessor?.audioExtractionService?.setAbortSignal(this.executionControl.signal);
+        return this.executionControl;
+    }
+
+    finishExecutionControl() {
+        this.executionControl = null;
+        this.openAIService.setAbortSignal(null);
+        this.openAIService.transcriptionService?.setAbortSignal(null);
+        this.fileProcessor?.ocrService?.setAbortSignal(null);
+        this.fileProcessor?.audioExtractionService?.setAbortSignal(null);
+    }
+
+    cancelExecution() {
+        if (!this.executionControl || this.executionControl.isCancelled) return;
+        this.executionControl.cancel();
+        this.eventBus.emit('status-update', '⏹️ Cancelling workflow...');
+    }
+
+    pauseExecution() {
+        if (!this.executionControl || this.executionControl.isCancelled) return;
+        this.executionControl.pause();
+        this.eventBus.emit('status-update', '⏸️ Workflow paused - running actions finish, no new ones start');
+    }
+
+    resumeExecution() {
+        if (!this.executionControl || !this.executionControl.isPaused) return;
+        this.executionControl.resume();
+        this.eventBus.emit('status-update', '▶️ Workflow resumed');
+    }
+
+    isExecutionPaused() {
+        return !!this.executionControl && this.executionControl.isPaused;
+    }
+
+    /**
+     * Part of the workflow around one canvas node
+     *
+     * 'up-to': the node and every action producing its inputs, directly or further upstream.
+     * 'from': the node and everything downstream of it, plus the upstream actions they read
+     * from. Upstream results come from the result cache; the node and its downstream actions
+     * are listed in refresh and always recomputed.
+     * Returns { actions, refresh } with the actions in their original order.
+     */
+    selectActionsForNode(actions, nodeId, mode) {
+        const target = actions.find(action => action.nodeId === nodeId);
+        if (!target) {
+            throw new Error(`Node ${nodeId} has no action in this workflow`);
+        }
+
+        const producers = new Map(actions.map(action => [action.outputFile, action]));
+        const selected = new Set();
+        const addWithUpstream = (action) => {
+            if (selected.has(action)) return;
+            selected.add(action);
+            action.inputFiles
+                .filter(label => producers.has(label))
+                .forEach(label => addWithUpstream(producers.get(label)));
+        };
+
+        const refresh = new Set();
+        if (mode === 'from') {
+            const queue = [target];
+            while (queue.length > 0) {
+                const action = queue.shift();
+                if (refresh.has(action.outputFile)) continue;
+                refresh.add(action.outputFile);
+                actions
+                    .filter(consumer => consumer.inputFiles.includes(action.outputFile))
+                    .forEach(consumer => queue.push(consumer));
+            }
+            actions.filter(action => refresh.has(action.outputFile)).forEach(addWithUpstream);
+        } else {
+            addWithUpstream(target);
+        }
+
+        return { actions: actions.filter(action => selected.has(action)), refresh };
+    }
+
+    // Run log for ExecutionHistory; null when the history is off or IndexedDB is unavailable
+    startHistoryRun(actionJSON, files, runOptions) {
+        if (!this.executionHistory || !this.executionHistory.isAvailable()) return null;
+
+        return this.executionHistory.startRun({
+            actionJSON,
+            files,
+            runOptions,
+            provider: this.openAIService.provider?.name || null,
+            model: this.openAIService.model || null
+        });
+    }
+
+    // result is null for a failed action; cached and resumed results used no tokens in this run
+    recordHistoryAction(run, action, inputs, result, startedAt, status, error = null) {
+        if (!run) return;
+
+        this.executionHistory.recordAction(run, {
+            outputFile: action.outputFile,
+            toolType: result ? result.toolType : action.toolType,
+            nodeId: action.nodeId,
+            startedAt,
+            status,
+            model: result && result.model ? result.model : this.getActionModel(action.toolType, action.model),
+            usage: result && !result.cached && status !== 'resumed' ? result.usage : null,
+            cached: !!(result && result.cached),
+            attempts: result ? result.attempts : 1,
+            error: error ? error.message : (result ? result.error : null),
+            inputs: inputs.map(input => ({ label: input.label, content: input.file || input.content })),
+            output: result ? result.content : null
+        });
+    }
+
+    // Error policy of a node (parameters.errorPolicy) on top of Config.execution.errorPolicy
+    getErrorPolicy(nodePolicy) {
+        return { ...Config.execution.errorPolicy, ...(nodePolicy || {}) };
+    }
+
+    /**
+     * Run an action under its error policy
+     *
+     * 'retry' runs it again up to policy.retries times with a doubling delay, 'fallback' runs
+     * fallback() once the action failed, 'skip' gives up and lets the workflow continue, and
+     * 'stop' rethrows. A cancelled run is never retried.
+     * Returns { result, outcome: 'succeeded' | 'retried' | 'fallback' | 'skipped', attempts, error }.
+     */
+    async runWithErrorPolicy(policy, name, run, fallback) {
+        const control = this.executionControl;
+        const maxAttempts = policy.mode === 'retry' ? 1 + Math.max(0, parseInt(policy.retries, 10) || 0) : 1;
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                const result = await run();
+                return { result, outcome: attempt > 1 ? 'retried' : 'succeeded', attempts: attempt, error: lastError ? lastError.message : null };
+            } catch (error) {
+                if (control && control.isCancelled) throw error;
+                lastError = error;
+                if (attempt === maxAttempts) break;
+
+                const delay = policy.retryDelay * Math.pow(2, attempt - 1);
+                console.warn(`🔁 WorkflowEngine: ${name} failed (attempt ${attempt} of ${maxAttempts}), retrying in ${delay}ms:`, error);
+                this.eventBus.emit('status-update', `🔁 ${name} failed - retry ${attempt} of ${maxAttempts - 1}...`);
+                await Promise.race([
+                    new Promise(resolve => setTimeout(resolve, delay)),
+                    control ? control.whenCancelled() : new Promise(() => {})
+                ]);
+                if (control) control.throwIfCancelled();
+            }
+        }
+
+        if (policy.mode === 'fallback') {
+            console.warn(`↪️ WorkflowEngine: ${name} failed, running fallback:`, lastError);
+            this.eventBus.emit('status-update', `↪️ ${name} failed - trying fallback...`);
+            return { result: await fallback(), outcome: 'fallback', attempts: maxAttempts, error: lastError.message };
+        }
+        if (policy.mode === 'skip') {
+            console.warn(`⚠️ WorkflowEngine: ${name} failed, skipping:`, lastError);
+            return { result: null, outcome: 'skipped', attempts: maxAttempts, error: lastError.message };
+        }
+        throw lastError;
+    }
+
+    // The same action on the policy's fallback tool and/or model
+    getFallbackAction(action, policy) {
+        const toolType = policy.fallbackTool || action.toolType;
+        return {
+            ...action,
+            toolType,
+            toolSystemPrompt: toolType === action.toolType ? action.toolSystemPrompt : this.getToolSystemPrompt(toolType),
+            model: policy.fallbackModel || action.model || null
+        };
+    }
+
+    // A skipped action passes empty text on, so the actions reading it still run
+    createSkippedResult(action, outcome) {
+        return {
+            success: true,
+            skipped: true,
+            outcome: 'skipped',
+            attempts: outcome.attempts,
+            error: outcome.error,
+            fileName: action.outputFile,
+            toolType: action.toolType,
+            content: '',
+            type: 'text/plain',
+            size: 0,
+            inputFiles: action.inputFiles,
+            outputRequired: action.outputRequired,
+            executedAt: new Date().toISOString()
+        };
+    }
+
+    getOutcomeMessage(action, result) {
+        switch (result.outcome) {
+            case 'skipped':
+                return `⚠️ Skipped (${result.error}) - continuing with empty ${action.outputFile}`;
+            case 'fallback':
+                return `↪️ ${action.outputFile} ready via fallback (${result.error})`;
+            case 'retried':
+                return `✅ ${action.outputFile} ready after ${result.attempts} attempts`;
+        }
+        return result.cached ? `♻️ ${action.outputFile} unchanged` : `✅ ${action.outputFile} ready`;
+    }
+
+    // Same actions on the same files: a cancelled run with this signature can be resumed
+    getRunSignature(actions, files) {
+        return JSON.stringify([
+            actions.map(action => [action.toolType, action.inputFiles, action.outputFile, action.toolUserPrompt || '', action.toolSystemPrompt || '']),
+            files.map(f => [f.label, f.name, f.size, f.file?.lastModified || 0])
+        ]);
+    }
+
+    // Provider an action runs on, for the per-provider concurrency limits in Config.execution
+    getActionProvider(toolType) {
+        const engines = {
+            'image2text': 'ocr',
+            'audio2text': 'transcription',
+            'video2text': 'transcription',
+            'video2audio': 'media',
+            'pdf2text': 'document',
+            'docx2text': 'document',
+            'xlsx2text': 'document'
+        };
+        return engines[toolType] || this.openAIService.provider?.name || 'llm';
+    }
+
+    // Engines installed separately (install-assets.sh) are checked before the first action starts
+    async assertEnginesInstalled(actions) {
+        const toolTypes = new Set(actions.map(action => action.toolType));
+
+        const ocrService = this.fileProcessor?.ocrService;
+        if (ocrService && toolTypes.has('image2text') && !(await ocrService.isInstalled())) {
+            throw new Error(ocrService.getNotInstalledMessage());
+        }
+
+        const transcriptionService = this.openAIService.transcriptionService;
+        if (transcriptionService && (toolTypes.has('audio2text') || toolTypes.has('video2text')) && !(await transcriptionService.isConfigured())) {
+            throw new Error(transcriptionService.getNotConfiguredMessage());
+        }
+    }
+
+    // Model part of the cache key: text tools depend on the LLM, conversions on their engine.
+    // model is set for the fallback model of an error policy.
+    getActionModel(toolType, model = null) {
+        const provider = this.getActionProvider(toolType);
+        const llmProvider = this.openAIService.provider;
+        return llmProvider && provider === llmProvider.name ? `${provider}/${model || this.openAIService.model}` : provider;
+    }
+
+    // LLM tools answer with demo text while no provider is configured (see OpenAIService.processFile)
+    usesMockResponses(toolType) {
+        const llmProvider = this.openAIService.provider;
+        return !!llmProvider && this.getActionProvider(toolType) === llmProvider.name && !llmProvider.isConfigured();
+    }
+
+    // Settings that change a tool's output while its inputs stay the same, for the result cache key
+    getActionSettings(toolType) {
+        switch (toolType) {
+            case 'image2text':
+                return { languages: Config.ocr.languages };
+            case 'xlsx2text':
+                return { spreadsheetFormat: Config.files.spreadsheetFormat };
+            case 'audio2text':
+            case 'video2text':
+                return { provider: Config.transcription.provider, models: [Config.transcription.api.model, Config.transcription.local.model] };
+        }
+        return Config.llm.chunking.tools.includes(toolType) ? { chunking: Config.llm.chunking } : null;
+    }
+
+    // Scheduler steps for canvas nodes: a node waits for its incoming connections and for
+    // the nodes producing any label placed on it
+    getNodeSteps(nodes, workflow) {
+        const connections = workflow.connections || [];
+        const nodeIds = new Set(nodes.map(node => node.id));
+        const producers = new Map();
+        nodes.forEach(node => {
+            (node.outputLabels || node.outputs || []).forEach(label => producers.set(label, node.id));
+        });
+
+        return nodes.map(node => {
+            const upstream = [
+                ...connections.filter(conn => conn.to === node.id).map(conn => conn.from),
+                ...(node.inputLabels || node.inputs || []).filter(label => producers.has(label)).map(label => producers.get(label))
+            ];
+
+            return {
+                id: node.id,
+                name: `${node.type} (${node.id})`,
+                dependsOn: [...new Set(upstream)].filter(id => id !== node.id && nodeIds.has(id)),
+                provider: this.getActionProvider(node.type),
+                run: () => this.executeNode(node, workflow)
+            };
+        });
+    }
+
+    orderActionsByDependencies(actions) {
+        // Canvas order follows node creation, so make sure producers run before consumers
+        const producers = new Map(actions.map(action => [action.outputFile, action]));
+        const ordered = [];
+        const visited = new Set();
+        const temp = new Set();
+
+        const visit = (action) => {
+            if (visited.has(action)) return;
+            if (temp.has(action)) {
+                throw new Error('Circular dependency detected in workflow');
+            }
+
+            temp.add(action);
+            action.inputFiles
+                .filter(label => producers.has(label))
+                .forEach(label => visit(producers.get(label)));
+            temp.delete(action);
+
+            visited.add(action);
+            ordered.push(action);
+        };
+
+        actions.forEach(action => visit(action));
+        return ordered;
+    }
+
+    resolveActionInputs(action, files, producedFiles) {
+        return action.inputFiles.map(label => {
+            // Fill Template reads the .docx behind its text label, not the text docx2text made of it
+            if (this.isTemplateTool(action.toolType)) {
+                const templateFile = files.find(f => `${f.label}.txt` === label && this.isDocxInput(f));
+                if (templateFile) {
+                    return { label, name: templateFile.name, type: templateFile.type, file: templateFile.file };
+                }
+            }
+
+            // Text produced by an earlier action in this run
+            if (producedFiles.has(label)) {
+                const produced = producedFiles.get(label);
+                return { label, name: label, type: produced.type, content: produced.content, pages: produced.pages };
+            }
+
+            // Uploaded input file (A, B, C...)
+            const inputFile = files.find(f => f.label === label);
+            if (inputFile) {
+                return { label, name: inputFile.name, type: inputFile.type, file: inputFile.file };
+            }
+
+            // Text label of an uploaded file that needed no conversion (C.txt for a .txt upload)
+            const sourceFile = files.find(f => `${f.label}.txt` === label);
+            if (sourceFile && !this.getConversionToolForFile(sourceFile)) {
+                return { label, name: sourceFile.name, type: sourceFile.type, file: sourceFile.file };
+            }
+
+            const resolved = this.resolveInputLabel(label);
+            if (resolved) return resolved;
+
+            throw new Error(`Input ${label} is not available`);
+        });
+    }
+
+    /**
+     * Resolve an input label (A, B, A.txt, AB-joi.txt...) to real content
+     *
+     * Returns { label, name, type, file } for uploaded files, { label, name, type, content }
+     * for text (or the Blob of a binary output) produced by an earlier action, or null when the label is unknown.
+     */
+    resolveInputLabel(label) {
+        // Text produced by an upstream action in the current run
+        const executed = this.executionResults.find(result =>
+            result.success !== false && (result.systemName === label || result.fileName === label)
+        );
+        if (executed && (typeof executed.content === 'string' || executed.content instanceof Blob)) {
+            return { label, name: label, type: executed.type || 'text/plain', content: executed.content };
+        }
+
+        // Text kept by TextFilesManager from an earlier run
+        const storedText = this.textFilesManager?.getTextFileContent(label);
+        if (typeof storedText === 'string') {
+            return { label, name: label, type: 'text/plain', content: storedText };
+        }
+        const storedBlob = this.textFilesManager?.getTextFileBlob(label);
+        if (storedBlob) {
+            return { label, name: label, type: storedBlob.type, content: storedBlob };
+        }
+
+        // Uploaded File held by InputFilesManager (A, B, C...)
+        const inputFileLabel = this.inputFilesManager?.getInputFileLabelByLabel(label);
+        if (inputFileLabel?.file) {
+            return { label, name: inputFileLabel.originalName, type: inputFileLabel.fileType, file: inputFileLabel.file };
+        }
+
+        // A.txt of an uploaded file: read the original, extracting text where needed
+        if (label.endsWith('.txt')) {
+            const sourceLabel = this.inputFilesManager?.getInputFileLabelByLabel(label.replace(/\.txt$/, ''));
+            if (sourceLabel?.file) {
+                return { label, name: sourceLabel.originalName, type: sourceLabel.fileType, file: sourceLabel.file };
+            }
+        }
+
+        return null;
+    }
+
+    async runAction(action, inputs) {
+        if (action.toolType === 'video2audio') {
+            return await this.runAudioExtraction(action, inputs);
+        }
+        if (this.isTemplateTool(action.toolType) && inputs.some(input => this.isDocxInput(input))) {
+            return await this.runTemplateFill(action, inputs);
+        }
+
+        const texts = [];
+        for (const input of inputs) {
+            texts.push(await this.readInput(input));
+        }
+        const combinedContent = texts.map(text => text.content).join('\n\n');
+        // Page texts of PDF inputs, so long inputs are chunked on page boundaries; other inputs count as one page
+        const pages = texts.some(text => text.pages) ? texts.flatMap(text => text.pages || [text.content]) : null;
+
+        let content = combinedContent;
+        let usage = null; // Token usage reported by the LLM provider
+        if (!this.isConversionTool(action.toolType)) {
+            // Text processing and document tools go through the LLM
+            const result = await this.processText(
+                { name: action.outputFile, content: combinedContent, pages: pages },
+                action.toolType,
+                action.toolUserPrompt,
+                action.toolSystemPrompt,
+                { model: action.model }
+            );
+
+            if (!result.success) {
+                throw new Error(result.error || `${action.toolType} returned no result`);
+            }
+            content = await this.renderDocument(action.toolType, result.result, action.outputFile);
+            usage = result.usage || null;
+        }
+
+        return {
+            success: true,
+            fileName: action.outputFile,
+            toolType: action.toolType,
+            content: content,
+            type: content instanceof Blob ? content.type : 'text/plain',
+            size: content instanceof Blob ? content.size : content.length,
+            pages: this.isConversionTool(action.toolType) ? pages : null,
+            usage: usage,
+            inputFiles: action.inputFiles,
+            outputRequired: action.outputRequired,
+            executedAt: new Date().toISOString()
+        };
+    }
+
+    // refresh: run the action even when a cached result exists (the new result replaces it)
+    async runCachedAction(action, inputs, refresh = false) {
+        const model = this.getActionModel(action.toolType, action.model);
+        const { result, cachedAt } = await this.withResultCache({
+            toolType: action.toolType,
+            systemPrompt: action.toolSystemPrompt,
+            userPrompt: action.toolUserPrompt,
+            model: model,
+            settings: this.getActionSettings(action.toolType),
+            inputs: inputs.map(input => input.file || input.content)
+        }, () => this.runAction(action, inputs), refresh);
+
+        if (!cachedAt) return { ...result, model };
+
+        console.log(`♻️ WorkflowEngine: ${action.outputFile} unchanged since ${cachedAt} - reusing result`);
+        return {
+            ...result,
+            model,
+            fileName: action.outputFile,
+            inputFiles: action.inputFiles,
+            outputRequired: action.outputRequired,
+            cached: true,
+            cachedAt
+        };
+    }
+
+    // Reuse the stored result when the tool, prompts, model and input contents are unchanged.
+    // Returns { result, cachedAt }; cachedAt is null when run() produced the result.
+    // Demo results are never stored, or they would outlive the API key being set
+    async withResultCache(keyParts, run, refresh = false) {
+        if (!this.actionResultCache || !this.actionResultCache.isAvailable()) {
+            return { result: await run(), cachedAt: null };
+        }
+
+        const cacheKey = await this.actionResultCache.computeKey(keyParts);
+        const cached = refresh ? null : await this.actionResultCache.get(cacheKey);
+        if (cached) {
+            return { result: cached.result, cachedAt: cached.cachedAt };
+        }
+
+        const result = await run();
+        if (result && result.success !== false && !this.usesMockResponses(keyParts.toolType)) {
+            await this.actionResultCache.set(cacheKey, result);
+        }
+        return { result, cachedAt: null };
+    }
+
+    // Document writers turn the formatted text from the LLM into a file; other tools return the text
+    async renderDocument(toolType, text, fileName) {
+        const title = fileName ? fileName.replace(/\.[^.]+$/, '') : '';
+
+        if (toolType === 'text2pdf') {
+            return new PdfWriter({ title }).renderBlob(text);
+        }
+        if (toolType === 'text2docx') {
+            return await new DocxWriter({ title }).renderBlob(text);
+        }
+        return text;
+    }
+
+    async runAudioExtraction(action, inputs) {
+        if (!this.fileProcessor) {
+            throw new Error('FileProcessor not connected to WorkflowEngine');
+        }
+
+        // 1:1 tool - B.wav comes from input B
+        const outputBase = action.outputFile.replace(/\.[^.]+$/, '');
+        const input = inputs.find(candidate => candidate.label === outputBase) || inputs[0];
+        const file = this.getInputFile(input);
+        if (!file) {
+            throw new Error(`No video available for ${input.label}`);
+        }
+
+        const fileData = await this.fileProcessor.readFile(file);
+        const audio = await this.fileProcessor.extractAudio(fileData, {
+            format: action.outputFile.endsWith('.ogg') ? 'opus' : 'wav'
+        });
+
+        if (audio.warnings.length > 0) {
+            this.eventBus.emit('status-update', `⚠️ ${input.label}: ${audio.warnings[0]}`);
+        }
+
+        return {
+            success: true,
+            fileName: action.outputFile,
+            toolType: action.toolType,
+            content: audio.blob,
+            type: audio.type,
+            size: audio.size,
+            inputFiles: action.inputFiles,
+            outputRequired: action.outputRequired,
+            executedAt: new Date().toISOString()
+        };
+    }
+
+    async runTemplateFill(action, inputs) {
+        const templateInput = inputs.find(input => this.isDocxInput(input));
+        const texts = [];
+        for (const input of inputs.filter(input => input !== templateInput)) {
+            texts.push(await this.getInputText(input));
+        }
+
+        const filled = await this.fillTemplate(this.getInputFile(templateInput), texts.join('\n\n'), action.toolUserPrompt);
+
+        return {
+            success: true,
+            fileName: action.outputFile,
+            toolType: action.toolType,
+            content: filled.blob,
+            type: filled.blob.type,
+            size: filled.blob.size,
+            report: filled.report,
+            inputFiles: action.inputFiles,
+            outputRequired: action.outputRequired,
+            executedAt: new Date().toISOString()
+        };
+    }
+
+    // Fill a .docx template with values the LLM extracts from the text; returns { blob, report }
+    async fillTemplate(templateFile, text, userPrompt = '') {
+        if (!templateFile) {
+            throw new Error('No template document available');
+        }
+
+        const template = await new DocxTemplate().load(templateFile);
+        const templateFields = template.getFields();
+        if (templateFields.fields.length === 0 && Object.keys(templateFields.groups).length === 0) {
+            throw new Error(`Template ${templateFile.name} contains no {{placeholders}}`);
+        }
+
+        this.eventBus.emit('status-update', `📋 Extracting template values for ${templateFile.name}...`);
+        const values = await this.openAIService.extractTemplateValues(text, templateFields, userPrompt);
+        const filled = await template.fill(values);
+
+        if (filled.report.missing.length > 0) {
+            const missing = filled.report.missing.map(name => `{{${name}}}`).join(', ');
+            console.warn(`⚠️ WorkflowEngine: template ${templateFile.name} has unfilled placeholders:`, filled.report.missing);
+            this.eventBus.emit('status-update', `⚠️ ${templateFile.name}: no value found for ${missing}`);
+        }
+
+        return filled;
+    }
+
+    isTemplateTool(toolType) {
+        return ['template', 'text2template'].includes(toolType);
+    }
+
+    isDocxInput(input) {
+        return input.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
+            /\.docx$/i.test(input.name || '');
+    }
+
+    // File or Blob behind a resolved input, wrapped as a File so FileProcessor can read it
+    getInputFile(input) {
+        if (input.file) return input.file;
+        if (input.content instanceof Blob) {
+            return new File([input.content], input.name, { type: input.type || input.content.type });
+        }
+        return null;
+    }
+
+    async getInputText(input) {
+        return (await this.readInput(input)).content;
+    }
+
+    // Text of an input as { content, pages }; pages are the page texts of a PDF, otherwise null
+    async readInput(input) {
+        if (typeof input.content === 'string') {
+            return { content: input.content, pages: input.pages || null };
+        }
+
+        const file = this.getInputFile(input);
+        if (!file) {
+            throw new Error(`No content available for ${input.label}`);
+        }
+
+        if (!this.fileProcessor) {
+            throw new Error('FileProcessor not connected to WorkflowEngine');
+        }
+
+        const fileData = await this.fileProcessor.readFile(file);
+        const extracted = await this.fileProcessor.extractText(fileData, input.type || file.type);
+
+        if (extracted.warnings && extracted.warnings.length > 0) {
+            this.eventBus.emit('status-update', `⚠️ ${input.label}: ${extracted.warnings[0]}`);
+        }
+
+        return {
+            content: extracted.text,
+            pages: extracted.pageTexts ? extracted.pageTexts.map(page => page.text) : null
+        };
+    }
+
+    // Long inputs go through map-reduce when the tool supports it; options.model overrides the LLM model
+    async processText(fileContent, toolType, customPrompt = '', toolSystemPrompt = '', options = {}) {
+        if (this.mapReduceService) {
+            return await this.mapReduceService.process(fileContent, toolType, customPrompt, toolSystemPrompt, options);
+        }
+        return await this.openAIService.processFile(fileContent, toolType, customPrompt, toolSystemPrompt, options);
+    }
+
+    isConversionTool(toolType) {
+        return ['audio2text', 'video2text', 'pdf2text', 'docx2text', 'xlsx2text', 'image2text'].includes(toolType);
+    }
+
+    setActionNodeProcessing(action, isProcessing, error = null) {
+        // Auto-conversion actions have no canvas node
+        if (!action.nodeId) return;
+
+        this.eventBus.emit('node:processing:changed', {
+            nodeId: action.nodeId,
+            isProcessing,
+            error
+        });
+    }
+
+    setActionNodeCached(action, cachedAt) {
+        if (!action.nodeId) return;
+
+        this.eventBus.emit('node:cache:hit', {
+            nodeId: action.nodeId,
+            cachedAt
+        });
+    }
+
     topologicalSort(workflow) {
         const nodes = [...workflow.nodes];
         const connections = workflow.connections || [];
@@ -191,18 +1083,52 @@ class WorkflowEngine {
             // Get input data for this node
             const inputData = await this.getNodeInputData(node, workflow);
             
-            // Execute the node
-            const result = await this.processNodeData(node, inputData);
+            // Execute the node, or reuse its result when nothing it depends on changed
+            const runNode = async (toolNode, model = null) => {
+                const run = await this.withResultCache({
+                    toolType: toolNode.type,
+                    systemPrompt: toolNode.systemPrompt,
+                    userPrompt: toolNode.userPrompt || toolNode.customPrompt,
+                    model: this.getActionModel(toolNode.type, model),
+                    settings: this.getActionSettings(toolNode.type),
+                    inputs: inputData.map(input => input.file || input.content)
+                }, () => this.processNodeData(toolNode, inputData, { model }));
+                if (run.result.success === false) {
+                    throw new Error(run.result.error || `${toolNode.type} returned no result`);
+                }
+                return run;
+            };
+
+            const policy = this.getErrorPolicy((node.params || node.parameters || {}).errorPolicy);
+            const outcome = await this.runWithErrorPolicy(policy, `${node.type} (${node.id})`,
+                () => runNode(node),
+                () => runNode({ ...node, type: policy.fallbackTool || node.type }, policy.fallbackModel || null));
+
+            // A skipped node passes empty text on, so the nodes reading it still run
+            const result = outcome.result
+                ? outcome.result.result
+                : { success: true, result: '', fileName: `${node.type}_output.txt` };
+            const cachedAt = outcome.result ? outcome.result.cachedAt : null;
+            if (cachedAt) {
+                this.eventBus.emit('node:cache:hit', { nodeId: node.id, cachedAt });
+            }
             
             // Store result for use by dependent nodes
+            const outputLabels = node.outputLabels || node.outputs || [];
             this.executionResults.push({
                 nodeId: node.id,
                 nodeType: node.type,
-                systemName: result.fileName,
+                systemName: outputLabels[0] || result.fileName,
                 content: result.result,
                 type: this.getOutputContentType(node.type),
-                size: result.result?.length || 0,
+                size: result.result instanceof Blob ? result.result.size : (result.result?.length || 0),
+                report: result.report,
                 success: result.success,
+                cached: !!cachedAt,
+                skipped: outcome.outcome === 'skipped',
+                outcome: outcome.outcome,
+                attempts: outcome.attempts,
+                error: outcome.error,
                 executedAt: new Date().toISOString()
             });
 
@@ -230,18 +1156,26 @@ class WorkflowEngine {
 
     async getNodeInputData(node, workflow) {
         const inputData = [];
+        const resolvedLabels = new Set();
 
         // Handle file inputs (from uploaded files)
         if (node.fileInputs && node.fileInputs.length > 0) {
-            node.fileInputs.forEach(fileInput => {
+            for (const fileInput of node.fileInputs) {
+                const resolved = this.resolveNodeInputLabel(node, fileInput.label);
+                if (!resolved) {
+                    throw new Error(`Input file ${fileInput.label} (${fileInput.name}) is not available`);
+                }
+
                 inputData.push({
                     source: 'file',
-                    name: fileInput.name,
-                    type: fileInput.type,
+                    name: resolved.name,
+                    type: resolved.type,
                     label: fileInput.label,
-                    content: this.getMockFileContent(fileInput)
+                    file: resolved.file,
+                    content: await this.getNodeInputContent(node, resolved)
                 });
-            });
+                resolvedLabels.add(fileInput.label);
+            }
         }
 
         // Handle node inputs (from other nodes)
@@ -255,27 +1189,52 @@ class WorkflowEngine {
                     source: 'node',
                     name: connection.fileName,
                     type: sourceResult.type,
+                    label: connection.fileName,
                     content: sourceResult.content
                 });
+                resolvedLabels.add(connection.fileName);
+            }
+        }
+
+        // Handle remaining input labels (A, A.txt, AB-joi.txt...) placed directly on the node
+        const inputLabels = node.inputLabels || node.inputs || [];
+        for (const label of inputLabels) {
+            if (resolvedLabels.has(label)) continue;
+
+            const resolved = this.resolveNodeInputLabel(node, label);
+            if (!resolved) {
+                throw new Error(`Input ${label} is not available`);
             }
+
+            inputData.push({
+                source: resolved.file ? 'file' : 'node',
+                name: resolved.name,
+                type: resolved.type,
+                label: label,
+                file: resolved.file,
+                content: await this.getNodeInputContent(node, resolved)
+            });
+            resolvedLabels.add(label);
         }
 
         return inputData;
     }
 
-    getMockFileContent(fileInput) {
-        // Mock file content for demo purposes
-        // In production, this would read actual file content
-        const mockContent = {
-            'audio': `[Audio content from ${fileInput.name}] - Mock transcription for demo`,
-            'video': `[Video content from ${fileInput.name}] - Mock video analysis for demo`,
-            'pdf': `[PDF content from ${fileInput.name}] - Mock PDF text extraction for demo`,
-            'image': `[Image content from ${fileInput.name}] - Mock OCR text extraction for demo`,
-            'text': `[Text content from ${fileInput.name}] - Mock text processing for demo`
-        };
+    // Fill Template reads the .docx behind B.txt, not the text docx2text made of it
+    resolveNodeInputLabel(node, label) {
+        if (this.isTemplateTool(node.type) && label.endsWith('.txt')) {
+            const sourceLabel = this.inputFilesManager?.getInputFileLabelByLabel(label.replace(/\.txt$/, ''));
+            if (sourceLabel?.file) {
+                const source = { label, name: sourceLabel.originalName, type: sourceLabel.fileType, file: sourceLabel.file };
+                if (this.isDocxInput(source)) return source;
+            }
+        }
+        return this.resolveInputLabel(label);
+    }
 
-        const category = this.getFileCategory(fileInput.type);
-        return mockContent[category] || `Mock content from ${fileInput.name}`;
+    // Templates are filled as documents, not read as text
+    async getNodeInputContent(node, resolved) {
+        return this.isTemplateTool(node.type) && this.isDocxInput(resolved) ? resolved.content : await this.getInputText(resolved);
     }
 
     getFileCategory(type) {
@@ -287,23 +1246,47 @@ class WorkflowEngine {
         return 'unknown';
     }
 
-    async processNodeData(node, inputData) {
+    async processNodeData(node, inputData, options = {}) {
+        const outputLabels = node.outputLabels || node.outputs || [];
+        const outputName = outputLabels[0] || `${node.type}_output.txt`;
+
+        const templateInput = this.isTemplateTool(node.type) && inputData.find(input => this.isDocxInput(input));
+        if (templateInput) {
+            const text = inputData.filter(input => input !== templateInput).map(input => input.content).join('\n\n');
+            const filled = await this.fillTemplate(this.getInputFile(templateInput), text, node.userPrompt || node.customPrompt);
+            return {
+                success: true,
+                result: filled.blob,
+                fileName: outputName,
+                report: filled.report
+            };
+        }
+
         // Combine all input content
         const combinedContent = inputData.map(input => input.content).join('\n\n');
-        
-        // Create a mock file object for processing
-        const mockFile = {
-            name: node.outputLabels[0] || `${node.type}_output.txt`,
-            content: combinedContent
-        };
+
+        // Conversion tools already produced their text while resolving the inputs
+        if (this.isConversionTool(node.type)) {
+            return {
+                success: true,
+                result: combinedContent,
+                fileName: outputName
+            };
+        }
 
         // Use OpenAI service to process the content
-        const result = await this.openAIService.processFile(
-            mockFile,
+        const result = await this.processText(
+            { name: outputName, content: combinedContent },
             node.type,
-            node.customPrompt
+            node.userPrompt || node.customPrompt,
+            '',
+            options
         );
 
+        if (result.success) {
+            result.result = await this.renderDocument(node.type, result.result, outputName);
+        }
+
         return result;
     }
 
@@ -312,12 +1295,16 @@ class WorkflowEngine {
             'audio2text': 'text/plain',
             'video2audio': 'audio/wav',
             'pdf2text': 'text/plain',
+            'docx2text': 'text/plain',
+            'xlsx2text': 'text/plain',
             'image2text': 'text/plain',
             'webscraper': 'text/plain',
             'summarizer': 'text/plain',
             'translator': 'text/plain',
             'analyzer': 'text/plain',
             'text2pdf': 'application/pdf',
+            'text2docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'template': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
             'text2template': 'text/html'
         };
 
@@ -326,18 +1313,22 @@ class WorkflowEngine {
 
     // Demo method for easter egg scenario
     async executeDemoEasterEggWorkflow(files) {
+        const results = [];
+        let actionCount = 0;
+
         try {
+            const control = this.startExecutionControl();
+
             // Load the demo execution plan
             const demoJSON = await this.loadDemoExecutionJSON();
+            actionCount = demoJSON.actions.length;
             
             // Show progress modal based on demo JSON
             this.showProgressModal(demoJSON.actions);
             
-            // Execute each action with progress updates
-            const results = [];
-            for (let i = 0; i < demoJSON.actions.length; i++) {
-                const action = demoJSON.actions[i];
-                
+            // Execute the actions with progress updates; the file conversions run side by side,
+            // join and analyzer wait until all of their input labels are produced
+            const steps = ActionScheduler.fromActions(demoJSON.actions, action => this.getActionProvider(action.toolType), async (action, i) => {
                 // Update progress to show current action
                 this.updateProgressAction(i, 'processing', `Processing ${action.toolType}...`);
                 
@@ -346,14 +1337,16 @@ class WorkflowEngine {
                 
                 // Get mock result for this action (now async to load real files)
                 const result = await this.getMockActionResult(action, files);
-                results.push(result);
+                if (control.isCancelled) return;
+                results[i] = result;
                 
                 // Update progress to completed
                 this.updateProgressAction(i, 'completed', `✅ ${action.outputFile} ready`);
                 
                 // Route output files to correct UI panels
                 this.routeOutput(action, result);
-            }
+            });
+            await new ActionScheduler().run(steps, control);
             
             // Show final results modal
             this.showResultsModal(results);
@@ -361,9 +1354,15 @@ class WorkflowEngine {
             return results;
 
         } catch (error) {
+            if (ExecutionControl.isCancelError(error)) {
+                this.showCancelledModal(results.filter(Boolean).length, actionCount);
+                throw error;
+            }
             console.error('Error in easter egg demo:', error);
             this.showErrorModal(error.message);
             throw error;
+        } finally {
+            this.finishExecutionControl();
         }
     }
 
@@ -427,7 +1426,7 @@ class WorkflowEngine {
             id: 'final_analyzer',
             type: 'analyzer',
             position: { x: 400, y: 200 },
-            inputs: nodes.map(n => n.outputLabels[0]),
+            inputs: nodes.map(n => n.outputs[0]),
             params: {},
             customPrompt: 'Find easter egg words in each file and extract them with their sequence numbers. Combine them in the correct order to reveal the hidden message.',
             outputs: ['easter_egg_analysis.txt']
@@ -441,7 +1440,7 @@ class WorkflowEngine {
                 id: `conn_${node.id}_to_final`,
                 from: node.id,
                 to: 'final_analyzer',
-                fileName: node.outputLabels[0]
+                fileName: node.outputs[0]
             });
         });
 
@@ -481,11 +1480,35 @@ class WorkflowEngine {
         const progressContent = this.createProgressContent(actions);
         
         // Import UIUtils dynamically
-        import('../utils/UIUtils.js').then(({ UIUtils }) => {
+        return import('../utils/UIUtils.js').then(({ UIUtils }) => {
             this.progressModal = UIUtils.createModal(
                 '🔄 Processing Workflow',
                 progressContent,
-                [] // No buttons during processing
+                [
+                    {
+                        text: 'Pause',
+                        action: 'pause',
+                        className: 'background-color: #f59e0b; color: white;',
+                        handler: (e) => {
+                            if (this.isExecutionPaused()) {
+                                this.resumeExecution();
+                                e.target.textContent = 'Pause';
+                            } else {
+                                this.pauseExecution();
+                                e.target.textContent = 'Resume';
+                            }
+                        }
+                    },
+                    {
+                        text: 'Cancel',
+                        action: 'cancel',
+                        className: 'background-color: #dc2626; color: white;',
+                        handler: (e, modal) => {
+                            this.cancelExecution();
+                            modal.querySelectorAll('[data-action]').forEach(button => { button.disabled = true; });
+                        }
+                    }
+                ]
             );
         });
     }
@@ -535,9 +1558,12 @@ class WorkflowEngine {
             'video2text': `🎬 Extract audio from ${action.inputFiles[0]} and transcribe`,
             'analyzer': `🔍 Analyze ${action.inputFiles[0]}`,
             'pdf2text': `📄 Extract text from ${action.inputFiles[0]}`,
+            'docx2text': `📝 Extract text from ${action.inputFiles[0]}`,
+            'xlsx2text': `📊 Extract sheets from ${action.inputFiles[0]}`,
             'image2text': `🖼️ Extract text from ${action.inputFiles[0]}`,
             'join': `🔗 Join ${action.inputFiles.length} files together`,
-            'text2pdf': `📋 Convert ${action.inputFiles[0]} to PDF`
+            'text2pdf': `📋 Convert ${action.inputFiles[0]} to PDF`,
+            'text2docx': `📝 Convert ${action.inputFiles[0]} to Word`
         };
         
         return descriptions[action.toolType] || `⚙️ Process with ${action.toolType}`;
@@ -552,18 +1578,22 @@ class WorkflowEngine {
                 'waiting': '⏳',
                 'processing': '🔄',
                 'completed': '✅',
+                'skipped': '⚠️',
                 'error': '❌'
             };
+            const colors = {
+                'skipped': '#d97706',
+                'error': '#dc2626'
+            };
             
             iconElement.textContent = icons[status] || '⏳';
             statusElement.textContent = message;
-            statusElement.style.color = status === 'error' ? '#dc2626' : '#6b7280';
+            statusElement.style.color = colors[status] || '#6b7280';
         }
     }
 
-    showResultsModal(results) {
-        const successCount = results.filter(r => r.success !== false).length;
-        const totalCount = results.length;
+    showResultsModal(results, outputFiles = ['ABCDE-joi-anl.pdf']) {
+        const skippedCount = results.filter(r => r.skipped).length;
         
         // Remove progress modal first
         if (this.progressModal) {
@@ -572,17 +1602,15 @@ class WorkflowEngine {
                 
                 // Show results modal
                 UIUtils.createModal(
-                    '✅ Workflow Execution Complete',
+                    skippedCount > 0 ? '⚠️ Workflow Completed with Skipped Actions' : '✅ Workflow Execution Complete',
                     `
                         <div style="margin-bottom: 20px;">
-                            <p style="font-size: 16px; font-weight: 600; color: #059669; margin-bottom: 12px;">
-                                Workflow executed successfully
-                            </p>
-                            <p style="color: #374151; margin-bottom: 8px;">
-                                <strong>Status:</strong> ${successCount} of ${totalCount} actions completed with no errors
+                            <p style="font-size: 16px; font-weight: 600; color: ${skippedCount > 0 ? '#d97706' : '#059669'}; margin-bottom: 12px;">
+                                ${skippedCount > 0 ? `Workflow finished, ${skippedCount} action${skippedCount === 1 ? ' was' : 's were'} skipped` : 'Workflow executed successfully'}
                             </p>
+                            ${this.createResultsSummary(results, UIUtils.sanitizeHtml)}
                             <p style="color: #374151;">
-                                <strong>Output file:</strong> ABCDE-joi-anl.pdf (generated)
+                                <strong>Output file${outputFiles.length === 1 ? '' : 's'}:</strong> ${UIUtils.sanitizeHtml(outputFiles.join(', ')) || 'none'} (generated)
                             </p>
                         </div>
                         
@@ -616,6 +1644,82 @@ class WorkflowEngine {
         }
     }
 
+    // Status line plus the actions that needed their error policy (retried, fallback, skipped);
+    // sanitize escapes the error messages (UIUtils.sanitizeHtml)
+    createResultsSummary(results, sanitize) {
+        const count = outcome => results.filter(r => (r.outcome || 'succeeded') === outcome).length;
+        const cachedCount = results.filter(r => r.cached).length;
+        const parts = [
+            `${count('succeeded')} succeeded${cachedCount > 0 ? ` (${cachedCount} unchanged)` : ''}`,
+            count('retried') > 0 ? `${count('retried')} retried` : '',
+            count('fallback') > 0 ? `${count('fallback')} used a fallback` : '',
+            count('skipped') > 0 ? `${count('skipped')} skipped` : ''
+        ].filter(part => part);
+
+        const labels = {
+            'retried': result => `🔁 ${result.fileName || result.systemName} - retried, ready after ${result.attempts} attempts`,
+            'fallback': result => `↪️ ${result.fileName || result.systemName} - made by fallback ${result.toolType || result.nodeType} after: ${result.error}`,
+            'skipped': result => `⚠️ ${result.fileName || result.systemName} - skipped, passed on empty: ${result.error}`
+        };
+        const details = results
+            .filter(result => labels[result.outcome])
+            .map(result => `<li style="margin-bottom: 4px;">${sanitize(labels[result.outcome](result))}</li>`)
+            .join('');
+
+        return `
+            <p style="color: #374151; margin-bottom: 8px;">
+                <strong>Status:</strong> ${results.length} action${results.length === 1 ? '' : 's'}: ${parts.join(', ')}
+            </p>
+            ${details ? `<ul style="font-size: 14px; color: #374151; margin: 0 0 8px 16px; padding: 0;">${details}</ul>` : ''}
+        `;
+    }
+
+    // interruptedRun: the cancelled visual run to offer resuming; the demo workflow cannot be resumed
+    showCancelledModal(completedCount, totalCount, interruptedRun = null) {
+        const canResume = !!interruptedRun;
+        const runOptions = canResume ? interruptedRun.runOptions : {};
+
+        if (this.progressModal) {
+            import('../utils/UIUtils.js').then(({ UIUtils }) => {
+                UIUtils.removeModal(this.progressModal);
+
+                const buttons = [
+                    {
+                        text: 'Close',
+                        action: 'close',
+                        className: 'background-color: #6b7280; color: white;',
+                        handler: (e, modal) => UIUtils.removeModal(modal)
+                    }
+                ];
+                if (canResume) {
+                    buttons.push({
+                        text: 'Resume',
+                        action: 'resume',
+                        className: 'background-color: #059669; color: white; font-weight: 500;',
+                        handler: (e, modal) => {
+                            UIUtils.removeModal(modal);
+                            this.eventBus.emit('workflow-resume-requested', runOptions);
+                        }
+                    });
+                }
+
+                UIUtils.createModal(
+                    '⏹️ Workflow Cancelled',
+                    `
+                        <p style="margin-bottom: 12px;">
+                            <strong>${completedCount} of ${totalCount}</strong> actions finished before the workflow was cancelled.
+                        </p>
+                        ${canResume ? `
+                        <p style="color: #6b7280;">
+                            Finished results are kept. Resume to run only the remaining actions, as long as the workflow and input files stay the same.
+                        </p>` : ''}
+                    `,
+                    buttons
+                );
+            });
+        }
+    }
+
     showErrorModal(errorMessage) {
         if (this.progressModal) {
             import('../utils/UIUtils.js').then(({ UIUtils }) => {
@@ -626,7 +1730,7 @@ class WorkflowEngine {
                     `
                         <p>An error occurred during workflow execution:</p>
                         <div style="background-color: #fef2f2; border: 1px solid #fecaca; padding: 12px; border-radius: 6px; margin: 12px 0;">
-                            <code style="color: #dc2626;">${errorMessage}</code>
+                            <code style="color: #dc2626;">${UIUtils.sanitizeHtml(errorMessage)}</code>
                         </div>
                         <p>Please check your workflow configuration and try again.</p>
                     `,
@@ -649,10 +1753,13 @@ class WorkflowEngine {
             'audio2text': 2000,
             'video2text': 2500, 
             'pdf2text': 1500,
+            'docx2text': 800,
+            'xlsx2text': 800,
             'image2text': 1800,
             'analyzer': 2200,
             'join': 800,
-            'text2pdf': 1200
+            'text2pdf': 1200,
+            'text2docx': 1200
         };
         
         const delay = delays[toolType] || 1500;
@@ -744,14 +1851,21 @@ class WorkflowEngine {
                 content: result.content,
                 type: result.type || 'text/plain',
                 size: result.size || 0,
-                sourceNodeId: 'demo',
+                sourceNodeId: action.nodeId || 'demo',
                 nodeType: action.toolType,
                 success: result.success !== false,
                 isWorkflowOutput: true // 100% definitive marker for actual workflow execution outputs
             });
         } else {
-            // Temporary file -> Text Files Manager (optional - not needed for demo)
-            // this.eventBus.emit('add-text-file', {...});
+            // Temporary file -> Text Files Manager (keeps the produced text, or the Blob of a binary output, with its label)
+            this.eventBus.emit('text-file-content-ready', {
+                label: action.outputFile,
+                content: result.content,
+                type: result.type || 'text/plain',
+                sourceNodeId: action.nodeId || 'upload',
+                nodeType: action.toolType,
+                sourceLabels: action.inputFiles || []
+            });
         }
     }
 
@@ -787,6 +1901,11 @@ class WorkflowEngine {
      * Risk Level: ZERO - New method, no existing code modification
      */
     convertVisualToActionJSON(visualWorkflow, files) {
+        // Older documents, such as the nodes shape of generated workflows, are upgraded to V4 first
+        if (WorkflowMigrations.needsMigration(visualWorkflow)) {
+            visualWorkflow = WorkflowMigrations.migrate(visualWorkflow).workflow;
+        }
+
         // Handle V4 Visual JSON format (from exportWorkflow)
         if (!visualWorkflow || !visualWorkflow.actions || visualWorkflow.actions.length === 0) {
             return {
@@ -809,12 +1928,14 @@ class WorkflowEngine {
         // Then, get manual workflow nodes
         const nodes = visualWorkflow.actions;
         const manualActions = nodes.map((node, index) => ({
+            nodeId: node.id,
             toolType: node.type,
             toolSystemPrompt: this.getToolSystemPrompt(node.type),
             toolUserPrompt: node.parameters?.userPrompt || "",
             inputFiles: this.mapVisualInputsToFileLabels(node, files),
             outputFile: node.outputs && node.outputs[0] ? node.outputs[0] : this.generateOutputLabel(node, index),
-            outputRequired: this.isInOutputFilesPanel(node, visualWorkflow)
+            outputRequired: this.isInOutputFilesPanel(node, visualWorkflow),
+            errorPolicy: node.parameters?.errorPolicy || null
         }));
 
         return {
@@ -877,6 +1998,14 @@ class WorkflowEngine {
             return 'pdf2text';
         }
         
+        // Office documents
+        if (type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || name.endsWith('.docx')) {
+            return 'docx2text';
+        }
+        if (type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' || name.endsWith('.xlsx')) {
+            return 'xlsx2text';
+        }
+        
         // Image files
         if (type.startsWith('image/') || name.endsWith('.png') || name.endsWith('.jpg') || name.endsWith('.jpeg')) {
             return 'image2text';
@@ -908,10 +2037,13 @@ class WorkflowEngine {
             'audio2text': 'Transcribe audio content to accurate text',
             'video2text': 'Extract audio from video and transcribe to text', 
             'pdf2text': 'Extract all text content from PDF documents accurately',
+            'docx2text': 'Extract text, tables, headers, footers and comments from Word documents',
+            'xlsx2text': 'Extract every sheet of Excel workbooks as a table',
             'image2text': 'Extract all visible text from images using OCR technology',
             'analyzer': 'Analyze text content for patterns, keywords, and insights',
             'join': 'Combine multiple text files into a single unified document',
-            'text2pdf': 'Format text content into professional PDF documents with proper structure'
+            'text2pdf': 'Format text content into professional PDF documents with proper structure',
+            'text2docx': 'Format text content into Word documents with headings, lists and tables'
         };
         
         return systemPrompts[toolType] || `Process ${toolType} content`;
@@ -952,10 +2084,14 @@ class WorkflowEngine {
             'audio2text': '.txt',
             'video2text': '.txt',
             'pdf2text': '.txt', 
+            'docx2text': '.txt',
+            'xlsx2text': '.txt',
             'image2text': '.txt',
+            'video2audio': '.wav',
             'analyzer': '.txt',
             'join': '.txt',
-            'text2pdf': '.pdf'
+            'text2pdf': '.pdf',
+            'text2docx': '.docx'
         };
         
         const ext = extensions[node.type] || '.txt';
@@ -0,0 +1,239 @@
+// WorkflowImporter - Loads an exported toolflowbuilder-v4 JSON file back onto the canvas
+// Nodes are replayed through the same events as dropping labels by hand, so text files, outputs and connections follow
+
+import { WorkflowMigrations } from '../utils/WorkflowMigrations.js';
+import { UIUtils } from '../utils/UIUtils.js';
+
+class WorkflowImporter {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.nodeDataManager = null;
+        this.inputFilesManager = null;
+        this.textFilesManager = null;
+        this.outputZone = null;
+        this.workflowValidator = null;
+    }
+
+    setNodeDataManager(nodeDataManager) {
+        this.nodeDataManager = nodeDataManager;
+    }
+
+    setInputFilesManager(inputFilesManager) {
+        this.inputFilesManager = inputFilesManager;
+    }
+
+    setTextFilesManager(textFilesManager) {
+        this.textFilesManager = textFilesManager;
+    }
+
+    setOutputZone(outputZone) {
+        this.outputZone = outputZone;
+    }
+
+    setWorkflowValidator(workflowValidator) {
+        this.workflowValidator = workflowValidator;
+    }
+
+    // Parse, upgrade and validate the file contents; throws with every problem found
+    parse(text) {
+        let workflow;
+        try {
+            workflow = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a JSON file: ${error.message}`);
+        }
+        return this.prepare(workflow);
+    }
+
+    // Current-version copy of a workflow document (file, library version or autosave)
+    prepare(workflow) {
+        const { workflow: migrated } = WorkflowMigrations.migrate(workflow);
+        this.workflowValidator.assertValidVisual(migrated);
+        return migrated;
+    }
+
+    // Input placeholders (A, B, C) whose file is not uploaded under the same label and name
+    getUnboundInputs(workflow) {
+        return (workflow.inputFiles || []).filter(input => {
+            const uploaded = this.inputFilesManager?.getInputFileLabelByLabel(input.label);
+            return !uploaded || (input.originalName && uploaded.originalName !== input.originalName);
+        });
+    }
+
+    /**
+     * Files to upload for the workflow's placeholders, in A, B, C order
+     *
+     * Resolves to null when every placeholder is already bound, to the chosen files after the user
+     * rebinds them, or to false when the user cancels.
+     */
+    async resolveInputFiles(workflow) {
+        const placeholders = [...(workflow.inputFiles || [])].sort((a, b) =>
+            this.getLabelIndex(a.label) - this.getLabelIndex(b.label)
+        );
+        if (this.getUnboundInputs(workflow).length === 0) return null;
+
+        // Labels are handed out in upload order, so the placeholders have to run A, B, C without gaps
+        const gap = placeholders.find((placeholder, index) => this.getLabelIndex(placeholder.label) !== index);
+        if (gap) {
+            throw new Error(`Input placeholders must run A, B, C without gaps; ${gap.label} is out of sequence`);
+        }
+
+        return await this.promptInputRebinding(placeholders);
+    }
+
+    promptInputRebinding(placeholders) {
+        const uploaded = this.inputFilesManager?.getInputFileLabels() || [];
+
+        return new Promise(resolve => {
+            const rows = placeholders.map(placeholder => {
+                const match = uploaded.find(item => item.originalName === placeholder.originalName);
+                const options = uploaded.map(item => `
+                    <option value="${item.label}" ${item === match ? 'selected' : ''}>${UIUtils.sanitizeHtml(item.originalName)}</option>
+                `).join('');
+
+                return `
+                    <div style="display: flex; align-items: center; gap: 8px; padding: 6px 0; border-bottom: 1px solid #e5e7eb;">
+                        <strong style="min-width: 28px;">${placeholder.label}</strong>
+                        <span style="flex: 1; font-size: 13px; color: #6b7280;">${UIUtils.sanitizeHtml(placeholder.originalName || 'unknown file')}</span>
+                        <select data-placeholder="${placeholder.label}" style="max-width: 160px; padding: 4px; border: 1px solid #d1d5db; border-radius: 4px;">
+                            <option value="">Choose a file...</option>
+                            ${options}
+                        </select>
+                        <input type="file" data-placeholder-file="${placeholder.label}" style="max-width: 150px; font-size: 12px;">
+                    </div>
+                `;
+            }).join('');
+
+            const content = `
+                <p style="font-size: 14px; color: #374151; margin-bottom: 12px;">
+                    This workflow refers to input files that are not uploaded. Pick an uploaded file or choose a new one for every placeholder.
+                </p>
+                ${rows}
+            `;
+
+            UIUtils.createModal('📂 Bind Input Files', content, [
+                {
+                    text: 'Cancel',
+                    action: 'cancel',
+                    className: 'background-color: #6b7280; color: white;',
+                    handler: (e, modal) => {
+                        UIUtils.removeModal(modal);
+                        resolve(false);
+                    }
+                },
+                {
+                    text: 'Import',
+                    action: 'import',
+                    className: 'background-color: #3b82f6; color: white;',
+                    handler: (e, modal) => {
+                        const files = placeholders.map(placeholder => {
+                            const chosen = modal.querySelector(`[data-placeholder-file="${placeholder.label}"]`).files[0];
+                            if (chosen) return chosen;
+                            const selected = modal.querySelector(`[data-placeholder="${placeholder.label}"]`).value;
+                            return selected ? this.inputFilesManager.getInputFileLabelByLabel(selected).file : null;
+                        });
+
+                        const missing = placeholders.filter((placeholder, index) => !files[index]);
+                        if (missing.length > 0) {
+                            UIUtils.showError(`Choose a file for ${missing.map(placeholder => placeholder.label).join(', ')}`);
+                            return;
+                        }
+                        UIUtils.removeModal(modal);
+                        resolve(files);
+                    }
+                }
+            ]);
+        });
+    }
+
+    /**
+     * Recreate the workflow on an empty canvas, with the input files already bound
+     *
+     * Returns { nodes, warnings } where warnings lists what could not be recreated as exported.
+     */
+    importWorkflow(workflow) {
+        const actions = this.workflowValidator.orderActions(workflow.actions);
+        const warnings = [];
+
+        this.nodeDataManager.importNodes(actions.map(action => {
+            const { userPrompt, ...params } = action.parameters || {};
+            return {
+                id: action.id,
+                type: action.type,
+                position: { x: action.position?.x || 0, y: action.position?.y || 0 },
+                inputLabels: [],
+                outputLabels: [],
+                userPrompt: userPrompt || '',
+                params: params,
+                isManuallyCreated: true
+            };
+        }));
+
+        // Drop every input label on its node, as the user would, in dependency order
+        actions.forEach(action => {
+            (action.inputs || []).forEach(label => {
+                if (!this.isLabelAvailable(label)) {
+                    warnings.push(`${label} for ${action.id} is not available`);
+                    return;
+                }
+
+                const node = this.nodeDataManager.getNodeById(action.id);
+                const validation = this.nodeDataManager.validateNodeInput(node, label);
+                if (!validation.canAccept) {
+                    warnings.push(`${label} for ${action.id}: ${validation.message}`);
+                    return;
+                }
+
+                const sourceData = this.textFilesManager?.getTextFileLabelByLabel(label);
+                this.eventBus.emit('node:label:add', { nodeId: action.id, label });
+                if (sourceData) {
+                    this.eventBus.emit('create-connection-from-label', { label, targetNodeId: action.id, sourceData });
+                }
+            });
+
+            const node = this.nodeDataManager.getNodeById(action.id);
+            const missingOutputs = (action.outputs || []).filter(label => !node.outputLabels.includes(label));
+            if (missingOutputs.length > 0) {
+                warnings.push(`${action.id} now produces ${node.outputLabels.join(', ') || 'nothing'} instead of ${missingOutputs.join(', ')}`);
+            }
+        });
+
+        this.restoreOutputFiles(workflow.outputFiles || [], warnings);
+
+        (workflow.textFiles || [])
+            .filter(textFile => !this.textFilesManager?.getTextFileLabelByLabel(textFile.label))
+            .forEach(textFile => warnings.push(`Text file ${textFile.label} was not recreated`));
+
+        console.log(`📥 WorkflowImporter: Imported ${actions.length} nodes with ${warnings.length} warning(s)`, warnings);
+        return { nodes: actions.length, warnings };
+    }
+
+    // Text files dropped on the output panel by hand, and business names given to outputs
+    restoreOutputFiles(outputFiles, warnings) {
+        outputFiles.forEach(outputFile => {
+            const systemName = outputFile.systemName || outputFile.filename;
+
+            if (!this.outputZone.hasLabel(systemName)) {
+                if (!this.textFilesManager?.getTextFileLabelByLabel(systemName)) {
+                    warnings.push(`Output ${systemName} was not recreated`);
+                    return;
+                }
+                this.outputZone.addTextFileToOutput(systemName);
+            }
+
+            if (outputFile.filename !== systemName) {
+                this.outputZone.setBusinessName(systemName, outputFile.filename);
+            }
+        });
+    }
+
+    isLabelAvailable(label) {
+        return !!(this.inputFilesManager?.hasLabel(label) || this.textFilesManager?.getTextFileLabelByLabel(label));
+    }
+
+    getLabelIndex(label) {
+        return this.inputFilesManager ? this.inputFilesManager.labelSequence.indexOf(label) : label.charCodeAt(0) - 65;
+    }
+}
+
+export { WorkflowImporter };
@@ -0,0 +1,154 @@
+// WorkflowLibrary - Named workflows saved in IndexedDB, each with its own version history
+// Every save adds a version; reverting copies an older version forward, so no version is ever overwritten
+
+import { Config } from '../config/config.js';
+import { IndexedDbStore } from '../utils/IndexedDbStore.js';
+
+const DB_NAME = 'toolflowbuilder-library';
+const DB_VERSION = 1;
+const WORKFLOWS_STORE = 'workflows';
+const VERSIONS_STORE = 'versions';
+
+class WorkflowLibrary {
+    constructor(settings = Config.library) {
+        this.settings = settings;
+    }
+
+    isAvailable() {
+        return !!this.settings.enabled && IndexedDbStore.isAvailable();
+    }
+
+    openDatabase() {
+        return IndexedDbStore.open(DB_NAME, DB_VERSION, db => {
+            db.createObjectStore(WORKFLOWS_STORE, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+            db.createObjectStore(VERSIONS_STORE, { keyPath: ['workflowId', 'version'] }).createIndex('workflowId', 'workflowId');
+        });
+    }
+
+    /**
+     * Save a workflow JSON as the next version of the library entry with the same name,
+     * or as version 1 of a new entry
+     *
+     * details: { name, description, author, tags, note } where note describes this version
+     * Returns { entry, version }
+     */
+    async save(details, workflow) {
+        const name = (details.name || '').trim();
+        if (!name) {
+            throw new Error('A workflow in the library needs a name');
+        }
+
+        const existing = await this.findByName(name);
+        const now = new Date().toISOString();
+        const entry = {
+            id: existing ? existing.id : `wf_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            name: name,
+            description: (details.description || '').trim(),
+            author: (details.author || '').trim(),
+            tags: this.normalizeTags(details.tags),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            latestVersion: existing ? existing.latestVersion + 1 : 1,
+            nodeCount: workflow.actions.length
+        };
+        const version = {
+            workflowId: entry.id,
+            version: entry.latestVersion,
+            savedAt: now,
+            note: (details.note || '').trim(),
+            nodeCount: workflow.actions.length,
+            workflow: JSON.parse(JSON.stringify(workflow))
+        };
+
+        const db = await this.openDatabase();
+        const transaction = db.transaction([WORKFLOWS_STORE, VERSIONS_STORE], 'readwrite');
+        transaction.objectStore(WORKFLOWS_STORE).put(entry);
+        transaction.objectStore(VERSIONS_STORE).put(version);
+        await IndexedDbStore.complete(transaction);
+        await this.pruneVersions(db, entry.id);
+
+        console.log(`📚 WorkflowLibrary: Saved "${name}" version ${version.version}`);
+        return { entry, version };
+    }
+
+    // Newest change first; every search term has to match the name, description, author or a tag
+    async list(query = '') {
+        const db = await this.openDatabase();
+        const entries = await IndexedDbStore.request(IndexedDbStore.store(db, WORKFLOWS_STORE).index('updatedAt').getAll());
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return entries.reverse().filter(entry => {
+            const haystack = [entry.name, entry.description, entry.author, ...entry.tags].join(' ').toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+
+    async get(id) {
+        const db = await this.openDatabase();
+        return await IndexedDbStore.request(IndexedDbStore.store(db, WORKFLOWS_STORE).get(id)) || null;
+    }
+
+    async findByName(name) {
+        const entries = await this.list();
+        return entries.find(entry => entry.name.toLowerCase() === name.toLowerCase()) || null;
+    }
+
+    // Newest first
+    async getVersions(id) {
+        const db = await this.openDatabase();
+        const versions = await IndexedDbStore.request(IndexedDbStore.store(db, VERSIONS_STORE).index('workflowId').getAll(id));
+        return versions.sort((a, b) => b.version - a.version);
+    }
+
+    async getVersion(id, version) {
+        const db = await this.openDatabase();
+        return await IndexedDbStore.request(IndexedDbStore.store(db, VERSIONS_STORE).get([id, version])) || null;
+    }
+
+    // Make an older version the latest again by saving a copy of it
+    async revert(id, version) {
+        const entry = await this.get(id);
+        const old = await this.getVersion(id, version);
+        if (!entry || !old) {
+            throw new Error(`Version ${version} is no longer in the library`);
+        }
+
+        return await this.save({
+            name: entry.name,
+            description: entry.description,
+            author: entry.author,
+            tags: entry.tags,
+            note: `Reverted to version ${version}`
+        }, old.workflow);
+    }
+
+    async delete(id) {
+        const versions = await this.getVersions(id);
+        const db = await this.openDatabase();
+        const transaction = db.transaction([WORKFLOWS_STORE, VERSIONS_STORE], 'readwrite');
+        transaction.objectStore(WORKFLOWS_STORE).delete(id);
+        versions.forEach(version => transaction.objectStore(VERSIONS_STORE).delete([id, version.version]));
+        await IndexedDbStore.complete(transaction);
+    }
+
+    // Keep the newest maxVersions versions of a workflow
+    async pruneVersions(db, id) {
+        if (!this.settings.maxVersions) return;
+
+        const versions = await this.getVersions(id);
+        const excess = versions.slice(this.settings.maxVersions);
+        if (excess.length === 0) return;
+
+        const transaction = db.transaction(VERSIONS_STORE, 'readwrite');
+        excess.forEach(version => transaction.objectStore(VERSIONS_STORE).delete([id, version.version]));
+        await IndexedDbStore.complete(transaction);
+    }
+
+    // "claims, DORA review" or an array -> ['claims', 'dora review']
+    normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    }
+}
+
+export { WorkflowLibrary };
@@ -0,0 +1,116 @@
+// WorkflowValidator - Checks Visual JSON before import and Action JSON before execution
+// Schema errors come from WorkflowSchemas; the checks a schema cannot express (ids, references, cycles) are done here
+
+import { JsonSchemaValidator } from '../utils/JsonSchemaValidator.js';
+import { WorkflowSchemas } from '../utils/WorkflowSchemas.js';
+
+class WorkflowValidator {
+    constructor() {
+        this.toolPalette = null; // Will be set by main app; without it any tool type is accepted
+    }
+
+    setToolPalette(toolPalette) {
+        this.toolPalette = toolPalette;
+    }
+
+    getToolIds() {
+        return this.toolPalette ? this.toolPalette.getAllTools().map(tool => tool.id) : null;
+    }
+
+    // Visual JSON (json1) of the current version; returns a list of { path, message } errors
+    validateVisual(workflow) {
+        const errors = JsonSchemaValidator.validate(workflow, WorkflowSchemas.visual(this.getToolIds()));
+        if (errors.length > 0) return errors;
+
+        const ids = new Set();
+        workflow.actions.forEach((action, index) => {
+            if (ids.has(action.id)) {
+                errors.push({ path: `$.actions[${index}].id`, message: `duplicate node id ${action.id}` });
+            }
+            ids.add(action.id);
+        });
+
+        (workflow.connections || []).forEach((connection, index) => {
+            [connection.from, connection.to].forEach(end => {
+                if (end && end.startsWith('node_') && !ids.has(end)) {
+                    errors.push({ path: `$.connections[${index}]`, message: `refers to missing node ${end}` });
+                }
+            });
+        });
+
+        try {
+            this.orderActions(workflow.actions);
+        } catch (error) {
+            errors.push({ path: '$.actions', message: error.message });
+        }
+        return errors;
+    }
+
+    // Action JSON (json2); every input has to be an upload, the text of an upload or the output of an action
+    validateAction(actionJSON) {
+        const errors = JsonSchemaValidator.validate(actionJSON, WorkflowSchemas.action(this.getToolIds()));
+        if (errors.length > 0) return errors;
+
+        const uploads = Object.keys(actionJSON.fileMapping || {});
+        const outputs = new Set();
+        actionJSON.actions.forEach((action, index) => {
+            if (outputs.has(action.outputFile)) {
+                errors.push({ path: `$.actions[${index}].outputFile`, message: `${action.outputFile} is produced by more than one action` });
+            }
+            outputs.add(action.outputFile);
+        });
+
+        actionJSON.actions.forEach((action, index) => {
+            action.inputFiles
+                .filter(label => !outputs.has(label) && !uploads.some(upload => label === upload || label === `${upload}.txt`))
+                .forEach(label => {
+                    errors.push({ path: `$.actions[${index}].inputFiles`, message: `${label} is neither an uploaded file nor produced by an action` });
+                });
+        });
+        return errors;
+    }
+
+    assertValidVisual(workflow) {
+        const errors = this.validateVisual(workflow);
+        if (errors.length > 0) {
+            throw new Error(`Invalid workflow file:\n${JsonSchemaValidator.formatErrors(errors)}`);
+        }
+    }
+
+    assertValidAction(actionJSON) {
+        const errors = this.validateAction(actionJSON);
+        if (errors.length > 0) {
+            throw new Error(`The workflow cannot run:\n${JsonSchemaValidator.formatErrors(errors)}`);
+        }
+    }
+
+    // Producers before consumers, so every label exists by the time it is dropped on a node
+    orderActions(actions) {
+        const producers = new Map();
+        actions.forEach(action => (action.outputs || []).forEach(label => producers.set(label, action)));
+        const ordered = [];
+        const visited = new Set();
+        const temp = new Set();
+
+        const visit = (action) => {
+            if (visited.has(action)) return;
+            if (temp.has(action)) {
+                throw new Error('Circular dependency detected in workflow');
+            }
+
+            temp.add(action);
+            (action.inputs || [])
+                .filter(label => producers.has(label) && producers.get(label) !== action)
+                .forEach(label => visit(producers.get(label)));
+            temp.delete(action);
+
+            visited.add(action);
+            ordered.push(action);
+        };
+
+        actions.forEach(action => visit(action));
+        return ordered;
+    }
+}
+
+export { WorkflowValidator };
@@ -0,0 +1,95 @@
+// Audio utility helpers for transcription and audio extraction
+// Decodes media to mono PCM, slices long recordings and encodes WAV files
+
+class AudioUtils {
+    // Decode an audio (or video) Blob to mono Float32 samples at the given sample rate
+    static async decodeToMono(blob, sampleRate = 16000) {
+        const arrayBuffer = await blob.arrayBuffer();
+
+        // decodeAudioData resamples to the context's sample rate
+        const context = new OfflineAudioContext(1, 1, sampleRate);
+        let audioBuffer;
+        try {
+            audioBuffer = await context.decodeAudioData(arrayBuffer);
+        } catch (error) {
+            throw new Error(`Could not decode audio: ${error.message || 'unsupported format'}`);
+        }
+
+        const length = audioBuffer.length;
+        const samples = new Float32Array(length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                samples[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+
+        return {
+            samples: samples,
+            sampleRate: audioBuffer.sampleRate,
+            duration: length / audioBuffer.sampleRate
+        };
+    }
+
+    // Split samples into chunks of chunkSeconds, each with its start time in seconds
+    static splitSamples(samples, sampleRate, chunkSeconds) {
+        const chunkLength = Math.max(1, Math.floor(chunkSeconds * sampleRate));
+        const chunks = [];
+
+        for (let start = 0; start < samples.length; start += chunkLength) {
+            chunks.push({
+                samples: samples.subarray(start, Math.min(start + chunkLength, samples.length)),
+                sampleRate: sampleRate,
+                startTime: start / sampleRate
+            });
+        }
+
+        return chunks;
+    }
+
+    // Encode mono Float32 samples as a 16-bit PCM WAV Blob
+    static encodeWav(samples, sampleRate) {
+        const dataLength = samples.length * 2;
+        const buffer = new ArrayBuffer(44 + dataLength);
+        const view = new DataView(buffer);
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataLength, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);           // fmt chunk size
+        view.setUint16(20, 1, true);            // PCM
+        view.setUint16(22, 1, true);            // Mono
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * 2, true); // Byte rate
+        view.setUint16(32, 2, true);            // Block align
+        view.setUint16(34, 16, true);           // Bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, dataLength, true);
+
+        let offset = 44;
+        for (let i = 0; i < samples.length; i++, offset += 2) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+        }
+
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+
+    // Format seconds as mm:ss or hh:mm:ss
+    static formatTimestamp(seconds) {
+        const totalSeconds = Math.max(0, Math.floor(seconds || 0));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const secs = totalSeconds % 60;
+        const pad = (value) => String(value).padStart(2, '0');
+
+        return hours > 0 ? `${pad(hours)}:${pad(minutes)}:${pad(secs)}` : `${pad(minutes)}:${pad(secs)}`;
+    }
+}
+
+export { AudioUtils };
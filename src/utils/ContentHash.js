@@ -0,0 +1,29 @@
+// ContentHash - SHA-256 hex digests of text and files
+// Shared by ActionResultCache and ExecutionHistory so an upload is read and hashed once per session
+
+const blobHashes = new WeakMap(); // Blob/File -> hash
+
+class ContentHash {
+    // SubtleCrypto is missing on file:// pages and other insecure origins
+    static isAvailable() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    // content: string or Blob
+    static async hash(content) {
+        if (content instanceof Blob) {
+            if (!blobHashes.has(content)) {
+                blobHashes.set(content, await ContentHash.hashBytes(new Uint8Array(await content.arrayBuffer())));
+            }
+            return blobHashes.get(content);
+        }
+        return ContentHash.hashBytes(new TextEncoder().encode(String(content)));
+    }
+
+    static async hashBytes(bytes) {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+        return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+export { ContentHash };
@@ -0,0 +1,235 @@
+// DocxTemplate - Fills {{placeholders}} in a Word template while keeping its formatting
+// A table row with {{group.field}} placeholders is repeated once per item of the group's list
+
+import { ZipArchive } from './ZipArchive.js';
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Parts of the package that can hold placeholders
+const TEXT_PARTS = /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/;
+
+// Paragraphs, rows and text nodes; self-closing elements are skipped. Nested tables are not supported.
+const PARAGRAPH = /<w:p(?:\s[^>]*)?(?<!\/)>[\s\S]*?<\/w:p>/g;
+const TABLE_ROW = /<w:tr(?:\s[^>]*)?(?<!\/)>[\s\S]*?<\/w:tr>/g;
+const TEXT_NODE = /(<w:t(?:\s[^>]*)?(?<!\/)>)([^<]*)(<\/w:t>)/g;
+
+class DocxTemplate {
+    constructor() {
+        this.entries = null; // Package entries: name -> Uint8Array
+        this.parts = new Map(); // Text parts with placeholders merged into single text nodes: name -> xml
+    }
+
+    // Load a template from a File, Blob, ArrayBuffer or Uint8Array
+    async load(data) {
+        this.entries = await ZipArchive.read(data);
+        if (!this.entries.has('word/document.xml')) {
+            throw new Error('File is not a Word document');
+        }
+
+        const decoder = new TextDecoder();
+        this.parts = new Map();
+        this.entries.forEach((bytes, name) => {
+            if (TEXT_PARTS.test(name)) {
+                this.parts.set(name, this.mergeSplitPlaceholders(decoder.decode(bytes)));
+            }
+        });
+
+        return this;
+    }
+
+    // Returns { fields: [name], groups: { group: [field] } }
+    getFields() {
+        const fields = new Set();
+        const groups = {};
+
+        this.parts.forEach(xml => {
+            const rowPlaceholders = new Set();
+
+            (xml.match(TABLE_ROW) || []).forEach(row => {
+                const group = this.getRowGroup(row);
+                if (!group) return;
+
+                groups[group] = groups[group] || [];
+                this.getPlaceholders(row).forEach(name => {
+                    rowPlaceholders.add(name);
+                    const field = name.slice(group.length + 1);
+                    if (name.startsWith(`${group}.`) && !groups[group].includes(field)) {
+                        groups[group].push(field);
+                    }
+                });
+            });
+
+            this.getPlaceholders(xml)
+                .filter(name => !rowPlaceholders.has(name))
+                .forEach(name => fields.add(name));
+        });
+
+        return { fields: [...fields], groups };
+    }
+
+    // Fill the template; returns { blob, report: { filled: [name], missing: [name] } }
+    async fill(values) {
+        const filled = new Set();
+        const missing = new Set();
+        const encoder = new TextEncoder();
+
+        const entries = [];
+        this.entries.forEach((bytes, name) => {
+            if (!this.parts.has(name)) {
+                entries.push({ name, data: bytes });
+                return;
+            }
+
+            let xml = this.parts.get(name).replace(TABLE_ROW, row => {
+                const group = this.getRowGroup(row);
+                return group ? this.fillRow(row, group, values[group], filled, missing) : row;
+            });
+
+            xml = this.replaceInText(xml, (placeholder, name) => {
+                const value = values[name];
+                if (value === undefined || value === null || value === '') {
+                    // Left in place so the gap is visible in the document
+                    missing.add(name);
+                    return null;
+                }
+                filled.add(name);
+                return String(value);
+            });
+
+            entries.push({ name, data: encoder.encode(xml) });
+        });
+
+        return {
+            blob: await ZipArchive.create(entries, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'),
+            report: {
+                filled: [...filled],
+                missing: [...missing].filter(name => !filled.has(name))
+            }
+        };
+    }
+
+    fillRow(row, group, items, filled, missing) {
+        if (!Array.isArray(items) || items.length === 0) {
+            missing.add(group);
+            return '';
+        }
+
+        filled.add(group);
+        return items.map(item => this.replaceInText(row, (placeholder, name) => {
+            if (!name.startsWith(`${group}.`)) return null;
+
+            const value = item ? item[name.slice(group.length + 1)] : undefined;
+            if (value === undefined || value === null) {
+                missing.add(name);
+                return '';
+            }
+            return String(value);
+        })).join('');
+    }
+
+    // A row repeats when its placeholders name fields of one group ({{items.name}}, {{items.price}})
+    getRowGroup(row) {
+        const groups = new Set(this.getPlaceholders(row)
+            .filter(name => name.includes('.'))
+            .map(name => name.split('.')[0]));
+        return groups.size === 1 ? [...groups][0] : null;
+    }
+
+    getPlaceholders(xml) {
+        const names = [];
+        xml.replace(TEXT_NODE, (match, open, text) => {
+            for (const placeholder of this.decodeXml(text).matchAll(PLACEHOLDER)) {
+                if (!names.includes(placeholder[1])) names.push(placeholder[1]);
+            }
+            return match;
+        });
+        return names;
+    }
+
+    // Replace placeholders inside text nodes; resolve(placeholder, name) returns the value or null to keep it
+    replaceInText(xml, resolve) {
+        return xml.replace(TEXT_NODE, (match, open, text, close) => {
+            const decoded = this.decodeXml(text);
+            if (!decoded.includes('{{')) return match;
+
+            const replaced = decoded.replace(PLACEHOLDER, (placeholder, name) => {
+                const value = resolve(placeholder, name);
+                return value === null ? placeholder : value;
+            });
+
+            // Line breaks in values become breaks inside the same run
+            const content = replaced.split(/\r?\n/).map(line => this.escapeXml(line))
+                .join(`${close}<w:br/><w:t xml:space="preserve">`);
+            return `${this.preserveSpace(open)}${content}${close}`;
+        });
+    }
+
+    // Word often splits "{{name}}" over several runs (spell check, edits); move each placeholder
+    // into the text node where it starts so it can be replaced with that run's formatting
+    mergeSplitPlaceholders(xml) {
+        return xml.replace(PARAGRAPH, paragraph => {
+            const nodes = [];
+            paragraph.replace(TEXT_NODE, (match, open, text) => {
+                nodes.push(this.decodeXml(text));
+                return match;
+            });
+
+            const fullText = nodes.join('');
+            if (!fullText.includes('{{')) return paragraph;
+
+            // Owner text node of every character
+            const owners = [];
+            nodes.forEach((text, index) => {
+                for (let i = 0; i < text.length; i++) owners.push(index);
+            });
+
+            let split = false;
+            for (const placeholder of fullText.matchAll(PLACEHOLDER)) {
+                const start = placeholder.index;
+                const end = start + placeholder[0].length;
+                for (let i = start + 1; i < end; i++) {
+                    if (owners[i] !== owners[start]) {
+                        owners[i] = owners[start];
+                        split = true;
+                    }
+                }
+            }
+            if (!split) return paragraph;
+
+            const texts = nodes.map(() => '');
+            owners.forEach((owner, i) => {
+                texts[owner] += fullText[i];
+            });
+
+            let index = 0;
+            return paragraph.replace(TEXT_NODE, (match, open, text, close) => {
+                return `${this.preserveSpace(open)}${this.escapeXml(texts[index++])}${close}`;
+            });
+        });
+    }
+
+    preserveSpace(open) {
+        return open.includes('xml:space') ? open : open.replace('<w:t', '<w:t xml:space="preserve"');
+    }
+
+    decodeXml(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&#x([0-9a-fA-F]+);/g, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+            .replace(/&amp;/g, '&');
+    }
+
+    escapeXml(text) {
+        return text
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '') // Not allowed in XML 1.0
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+export { DocxTemplate };
@@ -0,0 +1,360 @@
+// DocxTextExtractor - Offline text extraction from Word documents
+// Reads paragraphs, lists and tables (as markdown), headers, footers and comments straight from the .docx package
+
+import { ZipArchive } from './ZipArchive.js';
+import { OfficeXml } from './OfficeXml.js';
+
+// Content Word keeps for other renderers or tracked changes; its text would be duplicated or already deleted
+const SKIPPED_ELEMENTS = new Set(['mc:Fallback', 'w:del', 'w:moveFrom']);
+
+class DocxTextExtractor {
+    constructor() {
+        this.styles = new Map();
+        this.numbering = new Map();
+        this.listCounters = new Map();
+        this.commentNumbers = new Map();
+        this.tableCount = 0;
+    }
+
+    // Returns { text, body, headers: [text], footers: [text], comments: [{ number, author, date, text }], tables, warnings }
+    async extract(data) {
+        const entries = await ZipArchive.read(data);
+        if (!entries.has('word/document.xml')) {
+            throw new Error('File is not a Word document');
+        }
+
+        const warnings = [];
+        this.styles = this.parseStyles(OfficeXml.readPart(entries, 'word/styles.xml'));
+        this.numbering = this.parseNumbering(OfficeXml.readPart(entries, 'word/numbering.xml'));
+        this.listCounters = new Map();
+        this.commentNumbers = new Map();
+        this.tableCount = 0;
+
+        const documentXml = OfficeXml.readPart(entries, 'word/document.xml');
+        const relationships = OfficeXml.parseRelationships(OfficeXml.readPart(entries, 'word/_rels/document.xml.rels'), 'word');
+
+        const body = this.extractPart(documentXml);
+        const headers = this.extractSectionParts(documentXml, 'w:headerReference', relationships, entries);
+        const footers = this.extractSectionParts(documentXml, 'w:footerReference', relationships, entries);
+        const comments = this.extractComments(OfficeXml.readPart(entries, 'word/comments.xml'));
+
+        if (!body && headers.length === 0 && footers.length === 0) {
+            warnings.push('Document contains no text');
+        }
+        if (entries.has('word/vbaProject.bin')) {
+            warnings.push('Document contains macros - they were not run');
+        }
+
+        const sections = [];
+        if (headers.length > 0) sections.push(`[Header]\n${headers.join('\n\n')}`);
+        if (body) sections.push(body);
+        if (footers.length > 0) sections.push(`[Footer]\n${footers.join('\n\n')}`);
+        if (comments.length > 0) {
+            sections.push(`[Comments]\n${comments.map(comment =>
+                `[comment ${comment.number}] ${comment.author ? `${comment.author}: ` : ''}${comment.text}`
+            ).join('\n')}`);
+        }
+
+        return {
+            text: sections.join('\n\n'),
+            body,
+            headers,
+            footers,
+            comments,
+            tables: this.tableCount,
+            warnings
+        };
+    }
+
+    // Text of one part (document, header, footer or comment): paragraphs and tables separated by blank lines
+    extractPart(xml) {
+        const blocks = [];
+        const paragraphs = [];
+        const tables = [];
+        let skipDepth = 0;
+        let inText = false;
+        let inParagraphProperties = false;
+
+        const addBlock = (text, isListItem) => {
+            const table = tables[tables.length - 1];
+            if (table && table.cell) {
+                table.cell.push(text);
+            } else {
+                blocks.push({ text, isListItem });
+            }
+        };
+
+        for (const token of OfficeXml.tokens(xml)) {
+            if (SKIPPED_ELEMENTS.has(token.name)) {
+                skipDepth += token.type === 'open' ? 1 : token.type === 'close' ? -1 : 0;
+                continue;
+            }
+            if (skipDepth > 0) continue;
+
+            const paragraph = paragraphs[paragraphs.length - 1];
+            const table = tables[tables.length - 1];
+
+            if (token.type === 'text') {
+                if (inText && paragraph) paragraph.text += token.text;
+                continue;
+            }
+
+            if (token.type === 'close') {
+                switch (token.name) {
+                    case 'w:t':
+                        inText = false;
+                        break;
+                    case 'w:pPr':
+                        inParagraphProperties = false;
+                        break;
+                    case 'w:p': {
+                        const finished = paragraphs.pop();
+                        const text = this.formatParagraph(finished);
+                        if (text) addBlock(text, this.getListNumId(finished) !== null);
+                        break;
+                    }
+                    case 'w:tc':
+                        if (table && table.cell) {
+                            table.row.push(table.cell.join(' '));
+                            // Merged cells keep the columns of the rows around them aligned
+                            for (let i = 1; i < table.span; i++) table.row.push('');
+                            table.cell = null;
+                        }
+                        break;
+                    case 'w:tr':
+                        if (table && table.row) {
+                            table.rows.push(table.row);
+                            table.row = null;
+                        }
+                        break;
+                    case 'w:tbl': {
+                        const finished = tables.pop();
+                        if (finished.rows.length === 0) break;
+                        this.tableCount++;
+
+                        const parent = tables[tables.length - 1];
+                        if (parent && parent.cell) {
+                            // Nested tables are flattened into the cell that holds them
+                            parent.cell.push(finished.rows.map(row => row.filter(cell => cell).join(' | ')).join(' / '));
+                        } else {
+                            blocks.push({ text: OfficeXml.markdownTable(finished.rows), isListItem: false });
+                        }
+                        break;
+                    }
+                }
+                continue;
+            }
+
+            switch (token.name) {
+                case 'w:p':
+                    paragraphs.push({ text: '', style: null, numId: null, level: 0 });
+                    break;
+                case 'w:pPr':
+                    inParagraphProperties = !token.selfClosing;
+                    break;
+                case 'w:pStyle':
+                    if (paragraph) paragraph.style = token.attrs['w:val'];
+                    break;
+                case 'w:numId':
+                    if (paragraph) paragraph.numId = token.attrs['w:val'] === '0' ? null : token.attrs['w:val'];
+                    break;
+                case 'w:ilvl':
+                    if (paragraph) paragraph.level = parseInt(token.attrs['w:val'], 10) || 0;
+                    break;
+                case 'w:t':
+                    inText = !token.selfClosing;
+                    break;
+                case 'w:tab':
+                    // Tab stops in paragraph properties are not characters
+                    if (paragraph && !inParagraphProperties) paragraph.text += '\t';
+                    break;
+                case 'w:br':
+                case 'w:cr':
+                    if (paragraph) paragraph.text += '\n';
+                    break;
+                case 'w:noBreakHyphen':
+                    if (paragraph) paragraph.text += '-';
+                    break;
+                case 'w:commentReference':
+                    if (paragraph) paragraph.text += ` [comment ${this.getCommentNumber(token.attrs['w:id'])}]`;
+                    break;
+                case 'w:tbl':
+                    tables.push({ rows: [], row: null, cell: null, span: 1 });
+                    break;
+                case 'w:tr':
+                    if (table) table.row = [];
+                    break;
+                case 'w:tc':
+                    if (table) {
+                        table.cell = [];
+                        table.span = 1;
+                    }
+                    break;
+                case 'w:gridSpan':
+                    if (table) table.span = parseInt(token.attrs['w:val'], 10) || 1;
+                    break;
+            }
+        }
+
+        // List items stay on consecutive lines; other blocks are separated by a blank line
+        return blocks.reduce((text, block, index) => {
+            if (index === 0) return block.text;
+            const separator = block.isListItem && blocks[index - 1].isListItem ? '\n' : '\n\n';
+            return text + separator + block.text;
+        }, '');
+    }
+
+    formatParagraph(paragraph) {
+        const text = paragraph.text.replace(/[ \t]+$/gm, '').trim();
+        if (!text) return '';
+
+        const style = this.styles.get(paragraph.style) || {};
+        const numId = this.getListNumId(paragraph);
+
+        if (numId !== null) {
+            const level = paragraph.numId !== null ? paragraph.level : 0;
+            const indent = '  '.repeat(level);
+            const format = this.numbering.get(numId)[level] || 'bullet';
+            if (format === 'bullet' || format === 'none') {
+                return `${indent}- ${text}`;
+            }
+            return `${indent}${this.nextListNumber(numId, level)}. ${text}`;
+        }
+
+        if (style.heading) {
+            return `${'#'.repeat(style.heading)} ${text}`;
+        }
+        return text;
+    }
+
+    // List of the paragraph itself or of its style (List Bullet, List Number); null for other paragraphs
+    getListNumId(paragraph) {
+        const style = this.styles.get(paragraph.style) || {};
+        const numId = paragraph.numId !== null ? paragraph.numId : style.numId;
+        return numId && this.numbering.has(numId) ? numId : null;
+    }
+
+    // Numbered lists count per list and level; a higher level restarts the levels below it
+    nextListNumber(numId, level) {
+        const counters = this.listCounters.get(numId) || [];
+        counters[level] = (counters[level] || 0) + 1;
+        counters.length = level + 1;
+        this.listCounters.set(numId, counters);
+        return counters[level];
+    }
+
+    // Comments are numbered in the order they are referenced from the text
+    getCommentNumber(id) {
+        if (!this.commentNumbers.has(id)) {
+            this.commentNumbers.set(id, this.commentNumbers.size + 1);
+        }
+        return this.commentNumbers.get(id);
+    }
+
+    // Header or footer parts in the order the sections reference them; first-page and even-page
+    // variants with the same text are listed once
+    extractSectionParts(documentXml, referenceName, relationships, entries) {
+        const texts = [];
+        const seenParts = new Set();
+
+        for (const token of OfficeXml.tokens(documentXml)) {
+            if (token.type !== 'open' || token.name !== referenceName) continue;
+
+            const partName = relationships.get(token.attrs['r:id']);
+            if (!partName || seenParts.has(partName)) continue;
+            seenParts.add(partName);
+
+            const text = this.extractPart(OfficeXml.readPart(entries, partName));
+            if (text && !texts.includes(text)) texts.push(text);
+        }
+        return texts;
+    }
+
+    extractComments(xml) {
+        const comments = [];
+        for (const match of xml.matchAll(/<w:comment\b([^>]*)>([\s\S]*?)<\/w:comment>/g)) {
+            const attrs = OfficeXml.parseAttributes(match[1]);
+            const text = this.extractPart(match[2]).replace(/\n+/g, ' ');
+            if (!text) continue;
+
+            comments.push({
+                number: this.getCommentNumber(attrs['w:id']),
+                author: attrs['w:author'] || '',
+                date: attrs['w:date'] || null,
+                text
+            });
+        }
+        return comments.sort((a, b) => a.number - b.number);
+    }
+
+    // Style id -> { heading, numId }; heading levels come from the style name or its outline level
+    parseStyles(xml) {
+        const styles = new Map();
+        let style = null;
+
+        for (const token of OfficeXml.tokens(xml)) {
+            if (token.type === 'open' && token.name === 'w:style') {
+                style = { id: token.attrs['w:styleId'], name: '', outlineLevel: null, numId: null };
+            } else if (token.type === 'close' && token.name === 'w:style' && style) {
+                const headingMatch = style.name.match(/^heading\s*(\d)$/i);
+                let heading = null;
+                if (headingMatch) heading = parseInt(headingMatch[1], 10);
+                else if (/^title$/i.test(style.name)) heading = 1;
+                else if (style.outlineLevel !== null && style.outlineLevel < 9) heading = style.outlineLevel + 1;
+
+                styles.set(style.id, { heading: heading ? Math.min(heading, 6) : null, numId: style.numId });
+                style = null;
+            } else if (token.type === 'open' && style) {
+                if (token.name === 'w:name') style.name = token.attrs['w:val'] || '';
+                if (token.name === 'w:outlineLvl') style.outlineLevel = parseInt(token.attrs['w:val'], 10);
+                if (token.name === 'w:numId') style.numId = token.attrs['w:val'] === '0' ? null : token.attrs['w:val'];
+            }
+        }
+        return styles;
+    }
+
+    // numId -> [number format per level] ('bullet', 'decimal', 'lowerLetter'...)
+    parseNumbering(xml) {
+        const abstractFormats = new Map();
+        const numbering = new Map();
+        let abstractId = null;
+        let level = null;
+        let numId = null;
+
+        for (const token of OfficeXml.tokens(xml)) {
+            if (token.type === 'close') {
+                if (token.name === 'w:abstractNum') abstractId = null;
+                if (token.name === 'w:lvl') level = null;
+                if (token.name === 'w:num') numId = null;
+                continue;
+            }
+            if (token.type !== 'open') continue;
+
+            switch (token.name) {
+                case 'w:abstractNum':
+                    abstractId = token.attrs['w:abstractNumId'];
+                    abstractFormats.set(abstractId, []);
+                    break;
+                case 'w:lvl':
+                    level = parseInt(token.attrs['w:ilvl'], 10) || 0;
+                    break;
+                case 'w:numFmt':
+                    if (abstractId !== null && level !== null) {
+                        abstractFormats.get(abstractId)[level] = token.attrs['w:val'];
+                    }
+                    break;
+                case 'w:num':
+                    numId = token.attrs['w:numId'];
+                    break;
+                case 'w:abstractNumId':
+                    if (numId !== null) numbering.set(numId, token.attrs['w:val']);
+                    break;
+            }
+        }
+
+        numbering.forEach((id, key) => numbering.set(key, abstractFormats.get(id) || []));
+        return numbering;
+    }
+}
+
+export { DocxTextExtractor };
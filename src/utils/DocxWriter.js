@@ -0,0 +1,298 @@
+// DocxWriter - Renders markdown-style text into a Word (OOXML) document
+// Builds document.xml, styles, numbering and a page-number footer, zipped with ZipArchive
+
+import { MarkdownParser } from './MarkdownParser.js';
+import { ZipArchive } from './ZipArchive.js';
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// A4 with 2 cm margins, in twentieths of a point
+const PAGE = { width: 11906, height: 16838, margin: 1134 };
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+
+// Heading font sizes in half-points, matching the PDF writer
+const HEADING_SIZES = [40, 32, 27, 24, 22, 22];
+
+const BULLET_SYMBOLS = ['•', '◦', '▪', '•', '◦'];
+const BULLET_NUM_ID = 1;
+
+const NAMESPACES = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+class DocxWriter {
+    constructor(options = {}) {
+        this.title = options.title || '';
+        this.author = options.author || '';
+    }
+
+    // Render text to a .docx Blob
+    async renderBlob(text) {
+        const body = this.buildBody(MarkdownParser.parseBlocks(text));
+
+        return await ZipArchive.create([
+            { name: '[Content_Types].xml', data: this.buildContentTypes() },
+            { name: '_rels/.rels', data: this.buildPackageRelationships() },
+            { name: 'docProps/core.xml', data: this.buildCoreProperties() },
+            { name: 'docProps/app.xml', data: this.buildAppProperties() },
+            { name: 'word/document.xml', data: this.buildDocument(body) },
+            { name: 'word/styles.xml', data: this.buildStyles() },
+            { name: 'word/numbering.xml', data: this.buildNumbering() },
+            { name: 'word/footer1.xml', data: this.buildFooter() },
+            { name: 'word/_rels/document.xml.rels', data: this.buildDocumentRelationships() }
+        ], DOCX_MIME_TYPE);
+    }
+
+    // ============================================================================
+    // DOCUMENT BODY
+    // ============================================================================
+
+    buildBody(blocks) {
+        // Every ordered list gets its own numbering instance, starting at its first item's number.
+        // A list ends at any other block, or at a bullet item on the same or an outer level
+        this.orderedLists = []; // [{ numId, level, start }]
+        let orderedNumId = null;
+
+        return blocks.map((block, index) => {
+            const previous = blocks[index - 1];
+            const startsList = !previous || previous.type !== 'listItem' || !orderedNumId ||
+                (!previous.ordered && previous.level <= block.level);
+            if (block.type === 'listItem' && block.ordered && startsList) {
+                orderedNumId = BULLET_NUM_ID + this.orderedLists.length + 1;
+                this.orderedLists.push({ numId: orderedNumId, level: block.level, start: parseInt(block.marker, 10) || 1 });
+            } else if (block.type !== 'listItem') {
+                orderedNumId = null;
+            }
+
+            switch (block.type) {
+                case 'heading':
+                    return this.paragraph(`<w:pStyle w:val="Heading${block.level}"/>`, this.runs(MarkdownParser.parseInline(block.text)));
+                case 'paragraph':
+                    return this.paragraph('', block.lines.map(line => this.runs(MarkdownParser.parseInline(line))).join('<w:r><w:br/></w:r>'));
+                case 'listItem':
+                    return this.paragraph(
+                        `<w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="${block.level}"/>` +
+                        `<w:numId w:val="${block.ordered ? orderedNumId : BULLET_NUM_ID}"/></w:numPr>`,
+                        this.runs(MarkdownParser.parseInline(block.text))
+                    );
+                case 'table':
+                    return this.table(block);
+                case 'code':
+                    return (block.lines.length > 0 ? block.lines : ['']).map(line =>
+                        this.paragraph('<w:pStyle w:val="Code"/>', this.run(line.replace(/\t/g, '    '), { code: true }))
+                    ).join('');
+                case 'quote':
+                    return this.paragraph('<w:pStyle w:val="Quote"/>', block.lines.map(line => this.runs(MarkdownParser.parseInline(line))).join('<w:r><w:br/></w:r>'));
+                case 'rule':
+                    return this.paragraph('<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="BFBFBF"/></w:pBdr>', '');
+                case 'pageBreak':
+                    return '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    paragraph(properties, content) {
+        return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${content}</w:p>`;
+    }
+
+    runs(inlineRuns, extra = {}) {
+        return inlineRuns.map(run => this.run(run.text, { ...run, ...extra })).join('');
+    }
+
+    run(text, format = {}) {
+        const properties = [
+            format.code ? '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>' : '',
+            format.bold ? '<w:b/>' : '',
+            format.italic ? '<w:i/>' : ''
+        ].join('');
+
+        return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${this.escapeXml(text)}</w:t></w:r>`;
+    }
+
+    table(table) {
+        const columnCount = Math.max(table.header.length, ...table.rows.map(row => row.length));
+        const columnWidth = Math.floor(CONTENT_WIDTH / columnCount);
+        const grid = Array.from({ length: columnCount }, () => `<w:gridCol w:w="${columnWidth}"/>`).join('');
+
+        const row = (cells, isHeader) => {
+            const tableCells = Array.from({ length: columnCount }, (_, column) => {
+                const align = { left: 'left', center: 'center', right: 'right' }[table.align[column]] || 'left';
+                const shading = isHeader ? '<w:shd w:val="clear" w:color="auto" w:fill="E6EBF2"/>' : '';
+                const content = this.runs(MarkdownParser.parseInline(cells[column] || ''), isHeader ? { bold: true } : {});
+                return `<w:tc><w:tcPr><w:tcW w:w="${columnWidth}" w:type="dxa"/>${shading}</w:tcPr>` +
+                    this.paragraph(`<w:spacing w:after="0"/><w:jc w:val="${align}"/>`, content) + '</w:tc>';
+            }).join('');
+
+            // The header row repeats on every page the table spans
+            return `<w:tr>${isHeader ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${tableCells}</w:tr>`;
+        };
+
+        return '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/></w:tblPr>' +
+            `<w:tblGrid>${grid}</w:tblGrid>${row(table.header, true)}${table.rows.map(cells => row(cells, false)).join('')}</w:tbl>` +
+            // Word needs a paragraph between a table and whatever follows
+            '<w:p/>';
+    }
+
+    // Escape markup and drop characters XML 1.0 does not allow
+    escapeXml(text) {
+        let result = '';
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if ((code < 0x20 && code !== 0x09) || (code >= 0xD800 && code <= 0xDFFF) || code === 0xFFFE || code === 0xFFFF) {
+                continue;
+            }
+            result += char;
+        }
+
+        return result
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ============================================================================
+    // PACKAGE PARTS
+    // ============================================================================
+
+    buildDocument(body) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            // Word expects at least one paragraph in the body
+            `<w:document ${NAMESPACES}><w:body>${body || '<w:p/>'}` +
+            '<w:sectPr><w:footerReference w:type="default" r:id="rId3"/>' +
+            `<w:pgSz w:w="${PAGE.width}" w:h="${PAGE.height}"/>` +
+            `<w:pgMar w:top="${PAGE.margin}" w:right="${PAGE.margin}" w:bottom="${PAGE.margin}" w:left="${PAGE.margin}" w:header="567" w:footer="567" w:gutter="0"/>` +
+            '</w:sectPr></w:body></w:document>';
+    }
+
+    buildFooter() {
+        const field = (instruction) => `<w:fldSimple w:instr=" ${instruction} "><w:r><w:t>1</w:t></w:r></w:fldSimple>`;
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<w:ftr ${NAMESPACES}>` +
+            this.paragraph('<w:pStyle w:val="Footer"/><w:jc w:val="center"/>',
+                `${this.run('Page ')}${field('PAGE')}${this.run(' of ')}${field('NUMPAGES')}`) +
+            '</w:ftr>';
+    }
+
+    buildStyles() {
+        const headingStyles = HEADING_SIZES.map((size, index) => {
+            const level = index + 1;
+            const border = level === 1 ? '<w:pBdr><w:bottom w:val="single" w:sz="8" w:space="1" w:color="333333"/></w:pBdr>' : '';
+            return `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/>` +
+                '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/>' +
+                `<w:pPr><w:keepNext/><w:keepLines/>${border}<w:spacing w:before="${level === 1 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${index}"/></w:pPr>` +
+                `<w:rPr><w:b/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr></w:style>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<w:styles ${NAMESPACES}>` +
+            '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/>' +
+            '<w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>' +
+            '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+            '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+            headingStyles +
+            '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/>' +
+            '<w:uiPriority w:val="34"/><w:qFormat/><w:pPr><w:spacing w:after="40"/><w:contextualSpacing/></w:pPr></w:style>' +
+            '<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+            '<w:uiPriority w:val="29"/><w:qFormat/><w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="B3B3B3"/></w:pBdr>' +
+            '<w:ind w:left="284"/></w:pPr><w:rPr><w:i/><w:color w:val="4D4D4D"/></w:rPr></w:style>' +
+            '<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/>' +
+            '<w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr>' +
+            '<w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/><w:sz w:val="19"/><w:szCs w:val="19"/></w:rPr></w:style>' +
+            '<w:style w:type="paragraph" w:styleId="Footer"><w:name w:val="footer"/><w:basedOn w:val="Normal"/>' +
+            '<w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:color w:val="737373"/><w:sz w:val="18"/><w:szCs w:val="18"/></w:rPr></w:style>' +
+            '<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:uiPriority w:val="99"/><w:semiHidden/>' +
+            '<w:tblPr><w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/>' +
+            '<w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+            '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:basedOn w:val="TableNormal"/><w:uiPriority w:val="39"/>' +
+            '<w:tblPr><w:tblBorders>' +
+            ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="B3B3B3"/>`).join('') +
+            '</w:tblBorders><w:tblCellMar><w:top w:w="57" w:type="dxa"/><w:bottom w:w="57" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+            '</w:styles>';
+    }
+
+    buildNumbering() {
+        const levels = (format) => BULLET_SYMBOLS.map((symbol, level) => {
+            const text = format === 'bullet' ? symbol : `%${level + 1}.`;
+            return `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${format === 'bullet' ? 'bullet' : 'decimal'}"/>` +
+                `<w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>` +
+                `<w:pPr><w:ind w:left="${360 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`;
+        }).join('');
+
+        const orderedInstances = this.orderedLists.map(list =>
+            `<w:num w:numId="${list.numId}"><w:abstractNumId w:val="1"/>` +
+            BULLET_SYMBOLS.map((symbol, level) =>
+                `<w:lvlOverride w:ilvl="${level}"><w:startOverride w:val="${level === list.level ? list.start : 1}"/></w:lvlOverride>`
+            ).join('') +
+            '</w:num>'
+        ).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<w:numbering ${NAMESPACES}>` +
+            `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels('bullet')}</w:abstractNum>` +
+            `<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels('decimal')}</w:abstractNum>` +
+            `<w:num w:numId="${BULLET_NUM_ID}"><w:abstractNumId w:val="0"/></w:num>${orderedInstances}` +
+            '</w:numbering>';
+    }
+
+    buildContentTypes() {
+        const override = (part, type) => `<Override PartName="${part}" ContentType="${type}"/>`;
+        const wordType = (name) => `application/vnd.openxmlformats-officedocument.wordprocessingml.${name}+xml`;
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            override('/word/document.xml', wordType('document.main')) +
+            override('/word/styles.xml', wordType('styles')) +
+            override('/word/numbering.xml', wordType('numbering')) +
+            override('/word/footer1.xml', wordType('footer')) +
+            override('/docProps/core.xml', 'application/vnd.openxmlformats-package.core-properties+xml') +
+            override('/docProps/app.xml', 'application/vnd.openxmlformats-officedocument.extended-properties+xml') +
+            '</Types>';
+    }
+
+    buildPackageRelationships() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+            '<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/>' +
+            '</Relationships>';
+    }
+
+    buildDocumentRelationships() {
+        const type = (name) => `http://schemas.openxmlformats.org/officeDocument/2006/relationships/${name}`;
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            `<Relationship Id="rId1" Type="${type('styles')}" Target="styles.xml"/>` +
+            `<Relationship Id="rId2" Type="${type('numbering')}" Target="numbering.xml"/>` +
+            `<Relationship Id="rId3" Type="${type('footer')}" Target="footer1.xml"/>` +
+            '</Relationships>';
+    }
+
+    buildCoreProperties() {
+        const created = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+            'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+            'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+            (this.title ? `<dc:title>${this.escapeXml(this.title)}</dc:title>` : '') +
+            (this.author ? `<dc:creator>${this.escapeXml(this.author)}</dc:creator>` : '') +
+            `<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>` +
+            `<dcterms:modified xsi:type="dcterms:W3CDTF">${created}</dcterms:modified>` +
+            '</cp:coreProperties>';
+    }
+
+    buildAppProperties() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">' +
+            '<Application>ToolFlowBuilder</Application></Properties>';
+    }
+}
+
+export { DocxWriter };
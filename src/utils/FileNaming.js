@@ -6,10 +6,13 @@ class FileNaming {
             'audio2text': '.txt',
             'video2audio': '.wav', 
             'pdf2text': '.txt',
+            'docx2text': '.txt',
+            'xlsx2text': '.txt',
             'summarizer': '-sum',
             'translator': '', // Dynamic based on language (e.g., -en, -nl)
             'analyzer': '-analysis',
             'text2pdf': '.pdf',
+            'text2docx': '.docx',
             'text2template': '_filled'
         };
     }
@@ -0,0 +1,67 @@
+// IndexedDbStore - Promise wrappers around the IndexedDB calls the persisting services share
+// Used by WorkflowLibrary, SessionManager, ExecutionHistory and ActionResultCache, so each only declares its stores
+
+const databases = new Map(); // database name -> Promise<IDBDatabase>
+
+class IndexedDbStore {
+    // Missing on file:// pages in some browsers and in some private windows
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // Opened once per page; upgrade(db) creates the stores when the database is new or older than version
+    static open(name, version, upgrade) {
+        if (!databases.has(name)) {
+            databases.set(name, new Promise((resolve, reject) => {
+                const request = indexedDB.open(name, version);
+                request.onupgradeneeded = () => upgrade(request.result);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }));
+        }
+        return databases.get(name);
+    }
+
+    // One store in a transaction of its own
+    static store(db, storeName, mode = 'readonly') {
+        return db.transaction(storeName, mode).objectStore(storeName);
+    }
+
+    static request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    static complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Delete the records of a readwrite store beyond maxCount, lowest values of indexName first
+    static async deleteOldest(store, indexName, maxCount) {
+        let excess = await IndexedDbStore.request(store.count()) - maxCount;
+        if (excess <= 0) return;
+
+        await new Promise((resolve, reject) => {
+            const cursorRequest = store.index(indexName).openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || excess <= 0) {
+                    resolve();
+                    return;
+                }
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    }
+}
+
+export { IndexedDbStore };
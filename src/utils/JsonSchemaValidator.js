@@ -0,0 +1,125 @@
+// JSON Schema validator for the subset of JSON Schema the app uses
+// Supports type, enum, const, properties, required, additionalProperties, items and basic bounds
+
+class JsonSchemaValidator {
+    // Returns a list of { path, message } errors; an empty list means the value is valid
+    static validate(value, schema, path = '$') {
+        const errors = [];
+        JsonSchemaValidator.validateNode(value, schema, path, errors);
+        return errors;
+    }
+
+    static isValid(value, schema) {
+        return JsonSchemaValidator.validate(value, schema).length === 0;
+    }
+
+    // One readable line per error, e.g. for feeding back to a model
+    static formatErrors(errors) {
+        return errors.map(error => `${error.path}: ${error.message}`).join('\n');
+    }
+
+    static validateNode(value, schema, path, errors) {
+        if (!schema || typeof schema !== 'object') return;
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => JsonSchemaValidator.matchesType(value, type))) {
+                errors.push({ path, message: `expected ${types.join(' or ')}, got ${JsonSchemaValidator.describeType(value)}` });
+                return; // Nested checks make no sense on the wrong type
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => JsonSchemaValidator.isEqual(option, value))) {
+            errors.push({ path, message: `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+        }
+
+        if ('const' in schema && !JsonSchemaValidator.isEqual(schema.const, value)) {
+            errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+        }
+
+        if (typeof value === 'string') {
+            if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+                errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+            }
+            if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+                errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path, message: `must match ${schema.pattern}` });
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (typeof schema.minimum === 'number' && value < schema.minimum) {
+                errors.push({ path, message: `must be >= ${schema.minimum}` });
+            }
+            if (typeof schema.maximum === 'number' && value > schema.maximum) {
+                errors.push({ path, message: `must be <= ${schema.maximum}` });
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+                errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+            }
+            if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+                errors.push({ path, message: `must have at most ${schema.maxItems} item(s)` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    JsonSchemaValidator.validateNode(item, schema.items, `${path}[${index}]`, errors);
+                });
+            }
+        }
+
+        if (JsonSchemaValidator.matchesType(value, 'object')) {
+            const properties = schema.properties || {};
+
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    errors.push({ path, message: `missing required property "${key}"` });
+                }
+            });
+
+            Object.keys(value).forEach(key => {
+                const propertyPath = `${path}.${key}`;
+                if (properties[key]) {
+                    JsonSchemaValidator.validateNode(value[key], properties[key], propertyPath, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: propertyPath, message: 'is not allowed' });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    JsonSchemaValidator.validateNode(value[key], schema.additionalProperties, propertyPath, errors);
+                }
+            });
+        }
+    }
+
+    static matchesType(value, type) {
+        switch (type) {
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && !Number.isNaN(value);
+            case 'null':
+                return value === null;
+            default:
+                return typeof value === type;
+        }
+    }
+
+    static describeType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    static isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+}
+
+export { JsonSchemaValidator };
@@ -0,0 +1,190 @@
+// MarkdownParser - Parses markdown-style node text into blocks and inline runs for the document writers
+// Handles the subset LLM output and plain text use: headings, lists, tables, code, quotes and rules
+
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const LIST_BULLET = /^(\s*)([-*+•])\s+(.*)$/;
+const LIST_NUMBER = /^(\s*)(\d+[.)])\s+(.*)$/;
+const HORIZONTAL_RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+class MarkdownParser {
+    // Returns blocks:
+    //   { type: 'heading', level, text }       { type: 'paragraph', lines: [text] }
+    //   { type: 'listItem', level, ordered, marker, text }
+    //   { type: 'table', header: [text], rows: [[text]], align: ['left'|'center'|'right'] }
+    //   { type: 'code', lines: [text] }        { type: 'quote', lines: [text] }
+    //   { type: 'rule' }                       { type: 'pageBreak' }
+    static parseBlocks(text) {
+        const lines = (text || '').replace(/\r\n?/g, '\n').replace(/\f/g, '\n\f\n').split('\n');
+        const blocks = [];
+        let paragraph = null;
+
+        const flush = () => {
+            if (paragraph) blocks.push(paragraph);
+            paragraph = null;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const trimmed = line.trim();
+
+            if (line === '\f') {
+                flush();
+                blocks.push({ type: 'pageBreak' });
+                continue;
+            }
+
+            if (!trimmed) {
+                flush();
+                continue;
+            }
+
+            // Fenced code block
+            if (trimmed.startsWith('```')) {
+                flush();
+                const codeLines = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith('```')) {
+                    codeLines.push(lines[i]);
+                    i++;
+                }
+                blocks.push({ type: 'code', lines: codeLines });
+                continue;
+            }
+
+            const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+            if (heading) {
+                flush();
+                blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+                continue;
+            }
+
+            // Setext heading: a single text line underlined with === or ---
+            if (paragraph && paragraph.lines.length === 1 && /^(=+|-+)$/.test(trimmed) && trimmed.length >= 3) {
+                blocks.push({ type: 'heading', level: trimmed[0] === '=' ? 1 : 2, text: paragraph.lines[0] });
+                paragraph = null;
+                continue;
+            }
+
+            if (HORIZONTAL_RULE.test(line)) {
+                flush();
+                blocks.push({ type: 'rule' });
+                continue;
+            }
+
+            // Table: a row with pipes followed by a separator row
+            if (line.includes('|') && i + 1 < lines.length && lines[i + 1].includes('|') && TABLE_SEPARATOR.test(lines[i + 1])) {
+                flush();
+                const table = {
+                    type: 'table',
+                    header: MarkdownParser.splitTableRow(line),
+                    align: MarkdownParser.splitTableRow(lines[i + 1]).map(cell => {
+                        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+                        return cell.endsWith(':') ? 'right' : 'left';
+                    }),
+                    rows: []
+                };
+                i += 2;
+                while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                    table.rows.push(MarkdownParser.splitTableRow(lines[i]));
+                    i++;
+                }
+                i--;
+                blocks.push(table);
+                continue;
+            }
+
+            const bullet = line.match(LIST_BULLET);
+            const number = !bullet && line.match(LIST_NUMBER);
+            if (bullet || number) {
+                flush();
+                const match = bullet || number;
+                blocks.push({
+                    type: 'listItem',
+                    level: Math.min(4, Math.floor(match[1].replace(/\t/g, '    ').length / 2)),
+                    ordered: !!number,
+                    marker: number ? match[2] : '•',
+                    text: match[3]
+                });
+                continue;
+            }
+
+            // Indented continuation of the previous list item
+            const previous = blocks[blocks.length - 1];
+            if (!paragraph && previous && previous.type === 'listItem' && /^\s{2,}\S/.test(line)) {
+                previous.text += ' ' + trimmed;
+                continue;
+            }
+
+            const quote = line.match(/^\s*>\s?(.*)$/);
+            if (quote) {
+                if (!paragraph || paragraph.type !== 'quote') {
+                    flush();
+                    paragraph = { type: 'quote', lines: [] };
+                }
+                paragraph.lines.push(quote[1]);
+                continue;
+            }
+
+            // Plain text keeps its line breaks; many inputs are not real markdown
+            if (!paragraph || paragraph.type !== 'paragraph') {
+                flush();
+                paragraph = { type: 'paragraph', lines: [] };
+            }
+            paragraph.lines.push(trimmed);
+        }
+
+        flush();
+        return blocks;
+    }
+
+    static splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|')) row = row.slice(0, -1);
+        return row.split('|').map(cell => cell.trim());
+    }
+
+    // Split text into runs of { text, bold, italic, code }
+    static parseInline(text) {
+        const runs = [];
+        // Triple delimiters come first, or ***text*** would match as bold around a stray *
+        const pattern = /(\*\*\*|___)(.+?)\1|(\*\*|__)(.+?)\3|`([^`]+)`|(?<![\w*])\*(?!\s)([^*]+?)\*(?!\w)|(?<![\w_])_(?!\s)([^_]+?)_(?!\w)|\[([^\]]+)\]\([^)]*\)/g;
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match.index > last) {
+                runs.push({ text: text.slice(last, match.index), bold: false, italic: false, code: false });
+            }
+
+            if (match[2] !== undefined) {
+                MarkdownParser.parseInline(match[2]).forEach(run => runs.push({ ...run, bold: true, italic: true }));
+            } else if (match[4] !== undefined) {
+                // Bold text can itself contain italics
+                MarkdownParser.parseInline(match[4]).forEach(run => runs.push({ ...run, bold: true }));
+            } else if (match[5] !== undefined) {
+                runs.push({ text: match[5], bold: false, italic: false, code: true });
+            } else if (match[6] !== undefined || match[7] !== undefined) {
+                runs.push({ text: match[6] !== undefined ? match[6] : match[7], bold: false, italic: true, code: false });
+            } else {
+                // Links keep their text only
+                runs.push({ text: match[8], bold: false, italic: false, code: false });
+            }
+
+            last = pattern.lastIndex;
+        }
+
+        if (last < text.length) {
+            runs.push({ text: text.slice(last), bold: false, italic: false, code: false });
+        }
+
+        return runs;
+    }
+
+    // Inline text without markup, e.g. for headings and document titles
+    static plainText(text) {
+        return MarkdownParser.parseInline(text).map(run => run.text).join('');
+    }
+}
+
+export { MarkdownParser };
@@ -0,0 +1,98 @@
+// OfficeXml - Lightweight XML scanning for OOXML package parts (docx, xlsx)
+// Parts are read as a flat stream of tags and text, which keeps the extractors free of DOMParser
+
+// Declarations, comments and CDATA are skipped; everything else is a tag or text
+const TOKEN = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+class OfficeXml {
+    // Yields { type: 'open' | 'close' | 'text', name, attrs, selfClosing, text }
+    static *tokens(xml) {
+        // Own regex state, so parts can be scanned while another scan is in progress
+        const pattern = new RegExp(TOKEN.source, 'g');
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            const [, cdata, closing, name, attrs, selfClosing, text] = match;
+            if (cdata !== undefined) {
+                yield { type: 'text', text: cdata };
+            } else if (text !== undefined) {
+                yield { type: 'text', text: OfficeXml.decode(text) };
+            } else if (name) {
+                if (closing) {
+                    yield { type: 'close', name };
+                } else {
+                    yield { type: 'open', name, attrs: OfficeXml.parseAttributes(attrs), selfClosing: !!selfClosing };
+                    if (selfClosing) yield { type: 'close', name };
+                }
+            }
+        }
+    }
+
+    static parseAttributes(source) {
+        const attrs = {};
+        if (!source) return attrs;
+        for (const match of source.matchAll(ATTRIBUTE)) {
+            attrs[match[1]] = OfficeXml.decode(match[2] !== undefined ? match[2] : match[3]);
+        }
+        return attrs;
+    }
+
+    // Relationship id -> target path, resolved against the folder of the part that owns the .rels file
+    static parseRelationships(xml, baseFolder = '') {
+        const relationships = new Map();
+        if (!xml) return relationships;
+
+        for (const token of OfficeXml.tokens(xml)) {
+            if (token.type !== 'open' || token.name !== 'Relationship') continue;
+            const target = token.attrs.Target || '';
+            if (token.attrs.TargetMode === 'External') continue;
+            relationships.set(token.attrs.Id, OfficeXml.resolvePath(baseFolder, target));
+        }
+        return relationships;
+    }
+
+    static resolvePath(baseFolder, target) {
+        if (target.startsWith('/')) return target.slice(1);
+
+        const parts = baseFolder ? baseFolder.split('/') : [];
+        target.split('/').forEach(part => {
+            if (part === '..') parts.pop();
+            else if (part && part !== '.') parts.push(part);
+        });
+        return parts.join('/');
+    }
+
+    // Decode a package entry to a string; missing entries give ''
+    static readPart(entries, name) {
+        const bytes = entries.get(name);
+        return bytes ? new TextDecoder().decode(bytes) : '';
+    }
+
+    static decode(text) {
+        if (!text.includes('&')) return text;
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&#x([0-9a-fA-F]+);/g, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+            .replace(/&amp;/g, '&');
+    }
+
+    // Markdown table from rows of cell strings; the first row is the header
+    static markdownTable(rows) {
+        const width = Math.max(...rows.map(row => row.length));
+        const cell = value => String(value).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim();
+        const line = row => {
+            const cells = [];
+            for (let i = 0; i < width; i++) cells.push(cell(row[i] !== undefined ? row[i] : ''));
+            return `| ${cells.join(' | ')} |`;
+        };
+
+        const [header, ...body] = rows;
+        return [line(header), `|${' --- |'.repeat(width)}`, ...body.map(line)].join('\n');
+    }
+}
+
+export { OfficeXml };
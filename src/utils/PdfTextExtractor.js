@@ -0,0 +1,1119 @@
+// PdfTextExtractor - Offline per-page text extraction from PDF documents
+// Parses objects, object streams, fonts (ToUnicode / encodings) and content streams without any network call
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3C, 0x3E, 0x5B, 0x5D, 0x7B, 0x7D, 0x2F, 0x25]);
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+const MAX_FORM_DEPTH = 5;
+
+// Glyph names used in /Differences arrays that are not single letters or uniXXXX names
+const GLYPH_NAMES = {
+    space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+    ampersand: '&', quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*',
+    plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/', zero: '0', one: '1',
+    two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+    colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?', at: '@',
+    bracketleft: '[', backslash: '\\', bracketright: ']', asciicircum: '^', underscore: '_',
+    grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+    quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”',
+    quotesinglbase: '‚', quotedblbase: '„', bullet: '•', endash: '–',
+    emdash: '—', ellipsis: '…', minus: '−', nbspace: ' ', euro: '€',
+    sterling: '£', yen: '¥', section: '§', paragraph: '¶', copyright: '©',
+    registered: '®', trademark: '™', degree: '°', multiply: '×', divide: '÷',
+    germandbls: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', oslash: 'ø',
+    Oslash: 'Ø', dotlessi: 'ı', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl',
+    exclamdown: '¡', questiondown: '¿', guillemotleft: '«', guillemotright: '»',
+    periodcentered: '·', dagger: '†', daggerdbl: '‡', perthousand: '‰'
+};
+
+// Accent suffixes in glyph names (eacute, Udieresis...) mapped to combining marks
+const GLYPH_ACCENTS = {
+    acute: '́', grave: '̀', dieresis: '̈', circumflex: '̂',
+    tilde: '̃', ring: '̊', cedilla: '̧', caron: '̌'
+};
+
+class PdfRef {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+}
+
+class PdfString {
+    constructor(bytes) {
+        this.bytes = bytes;
+    }
+}
+
+class PdfOperator {
+    constructor(op) {
+        this.op = op;
+    }
+}
+
+class PdfStream {
+    constructor(dict, bytes) {
+        this.dict = dict;
+        this.bytes = bytes;
+        this.decoded = null;
+    }
+}
+
+function bytesToLatin1(bytes, start = 0, end = bytes.length) {
+    let result = '';
+    const chunkSize = 8192;
+    for (let i = start; i < end; i += chunkSize) {
+        result += String.fromCharCode.apply(null, bytes.subarray(i, Math.min(i + chunkSize, end)));
+    }
+    return result;
+}
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+class PdfLexer {
+    constructor(bytes, pos = 0) {
+        this.bytes = bytes;
+        this.pos = pos;
+        this.allowRefs = true; // Content streams never contain "num gen R" references
+    }
+
+    skipWhitespace() {
+        const bytes = this.bytes;
+        while (this.pos < bytes.length) {
+            const c = bytes[this.pos];
+            if (WHITESPACE.has(c)) {
+                this.pos++;
+            } else if (c === 0x25) {
+                // Comment runs to end of line
+                while (this.pos < bytes.length && bytes[this.pos] !== 0x0A && bytes[this.pos] !== 0x0D) {
+                    this.pos++;
+                }
+            } else {
+                break;
+            }
+        }
+    }
+
+    nextToken() {
+        this.skipWhitespace();
+        const bytes = this.bytes;
+        if (this.pos >= bytes.length) return { type: 'eof' };
+
+        const c = bytes[this.pos];
+        switch (c) {
+            case 0x2F: // /
+                return { type: 'name', value: this.readName() };
+            case 0x28: // (
+                return { type: 'string', value: this.readLiteralString() };
+            case 0x3C: // < or <<
+                if (bytes[this.pos + 1] === 0x3C) {
+                    this.pos += 2;
+                    return { type: 'dictStart' };
+                }
+                return { type: 'string', value: this.readHexString() };
+            case 0x3E: // >>
+                if (bytes[this.pos + 1] === 0x3E) {
+                    this.pos += 2;
+                    return { type: 'dictEnd' };
+                }
+                this.pos++;
+                return { type: 'keyword', value: '>' };
+            case 0x5B: // [
+                this.pos++;
+                return { type: 'arrayStart' };
+            case 0x5D: // ]
+                this.pos++;
+                return { type: 'arrayEnd' };
+            case 0x7B: // { } ) only appear in CMaps or broken files
+            case 0x7D:
+            case 0x29:
+                this.pos++;
+                return { type: 'keyword', value: String.fromCharCode(c) };
+        }
+
+        const start = this.pos;
+        while (this.pos < bytes.length && !WHITESPACE.has(bytes[this.pos]) && !DELIMITERS.has(bytes[this.pos])) {
+            this.pos++;
+        }
+        const word = bytesToLatin1(bytes, start, this.pos);
+
+        if (NUMBER_PATTERN.test(word)) {
+            return { type: 'number', value: parseFloat(word) };
+        }
+        return { type: 'keyword', value: word };
+    }
+
+    readName() {
+        const bytes = this.bytes;
+        this.pos++; // Skip /
+        let name = '';
+        while (this.pos < bytes.length && !WHITESPACE.has(bytes[this.pos]) && !DELIMITERS.has(bytes[this.pos])) {
+            const c = bytes[this.pos];
+            if (c === 0x23 && this.pos + 2 < bytes.length) {
+                // #xx escape
+                const hex = String.fromCharCode(bytes[this.pos + 1], bytes[this.pos + 2]);
+                if (/^[0-9A-Fa-f]{2}$/.test(hex)) {
+                    name += String.fromCharCode(parseInt(hex, 16));
+                    this.pos += 3;
+                    continue;
+                }
+            }
+            name += String.fromCharCode(c);
+            this.pos++;
+        }
+        return name;
+    }
+
+    readLiteralString() {
+        const bytes = this.bytes;
+        const out = [];
+        let depth = 1;
+        this.pos++; // Skip (
+
+        while (this.pos < bytes.length) {
+            let c = bytes[this.pos++];
+
+            if (c === 0x5C) { // Backslash escape
+                c = bytes[this.pos++];
+                const escapes = { 0x6E: 0x0A, 0x72: 0x0D, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0C };
+                if (escapes[c] !== undefined) {
+                    out.push(escapes[c]);
+                } else if (c >= 0x30 && c <= 0x37) {
+                    // Up to three octal digits
+                    let octal = c - 0x30;
+                    for (let i = 0; i < 2 && bytes[this.pos] >= 0x30 && bytes[this.pos] <= 0x37; i++) {
+                        octal = octal * 8 + (bytes[this.pos++] - 0x30);
+                    }
+                    out.push(octal & 0xFF);
+                } else if (c === 0x0D) {
+                    // Line continuation
+                    if (bytes[this.pos] === 0x0A) this.pos++;
+                } else if (c !== 0x0A) {
+                    out.push(c);
+                }
+                continue;
+            }
+
+            if (c === 0x28) {
+                depth++;
+            } else if (c === 0x29) {
+                depth--;
+                if (depth === 0) break;
+            }
+            out.push(c);
+        }
+
+        return new PdfString(Uint8Array.from(out));
+    }
+
+    readHexString() {
+        const bytes = this.bytes;
+        let hex = '';
+        this.pos++; // Skip <
+
+        while (this.pos < bytes.length && bytes[this.pos] !== 0x3E) {
+            const c = bytes[this.pos++];
+            if (!WHITESPACE.has(c)) hex += String.fromCharCode(c);
+        }
+        this.pos++; // Skip >
+
+        if (hex.length % 2 === 1) hex += '0';
+        const out = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < out.length; i++) {
+            out[i] = parseInt(hex.substr(i * 2, 2), 16) || 0;
+        }
+        return new PdfString(out);
+    }
+}
+
+class PdfTextExtractor {
+    constructor() {
+        this.objects = new Map(); // object number -> parsed value
+        this.fontCache = new Map();
+        this.baseEncodings = null;
+    }
+
+    // Extract text per page from an ArrayBuffer or Uint8Array holding a PDF file
+    async extract(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const text = bytesToLatin1(bytes);
+
+        const headerIndex = text.indexOf('%PDF-');
+        if (headerIndex === -1 || headerIndex > 1024) {
+            throw new Error('File is not a PDF document');
+        }
+
+        const version = text.substr(headerIndex + 5, 3);
+        const warnings = [];
+
+        this.objects = new Map();
+        this.fontCache = new Map();
+        this.parseObjects(bytes, text);
+        await this.parseObjectStreams(warnings);
+
+        const trailer = this.findTrailer(bytes, text);
+        const encrypted = !!trailer.Encrypt;
+        const pageDicts = this.collectPages(trailer);
+
+        const pages = [];
+        for (let i = 0; i < pageDicts.length; i++) {
+            const pageNumber = i + 1;
+            const builder = this.createTextBuilder();
+
+            if (!encrypted) {
+                try {
+                    const { page, resources } = pageDicts[i];
+                    const contentBytes = await this.getPageContent(page);
+                    await this.extractContentText(contentBytes, resources, builder, 0);
+                } catch (error) {
+                    warnings.push(`Page ${pageNumber}: ${error.message}`);
+                }
+            }
+
+            const pageText = this.finishText(builder);
+            if (!encrypted && !pageText && builder.hasImages) {
+                warnings.push(`Page ${pageNumber} contains only images (scanned page?) - use OCR to extract its text`);
+            }
+            builder.fontsWithoutUnicode.forEach(fontName => {
+                warnings.push(`Page ${pageNumber}: font ${fontName} has no Unicode mapping, some text may be missing`);
+            });
+
+            pages.push({
+                pageNumber: pageNumber,
+                text: pageText,
+                hasImages: builder.hasImages
+            });
+        }
+
+        if (encrypted) {
+            warnings.unshift('Document is encrypted - page text could not be extracted');
+        }
+        if (pageDicts.length === 0) {
+            warnings.push('No pages found in PDF document');
+        }
+
+        return {
+            version: version,
+            pageCount: pages.length,
+            pages: pages,
+            warnings: warnings,
+            encrypted: encrypted
+        };
+    }
+
+    // ============================================================================
+    // OBJECT PARSING
+    // ============================================================================
+
+    parseObjects(bytes, text) {
+        // Scan for "num gen obj" instead of trusting the xref table, which is often broken
+        const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const lexer = new PdfLexer(bytes, match.index + match[0].length);
+            try {
+                const value = this.readObject(lexer);
+                const stream = this.readStreamBody(lexer, value, bytes, text);
+                if (stream) {
+                    this.objects.set(Number(match[1]), stream.value);
+                    pattern.lastIndex = stream.end; // Don't scan inside stream data
+                } else {
+                    this.objects.set(Number(match[1]), value);
+                }
+            } catch (error) {
+                // Broken object - skip it and keep scanning
+            }
+        }
+    }
+
+    readObject(lexer, token = lexer.nextToken()) {
+        switch (token.type) {
+            case 'number': {
+                if (!lexer.allowRefs) return token.value;
+
+                // Indirect reference "num gen R"
+                const saved = lexer.pos;
+                const gen = lexer.nextToken();
+                if (gen.type === 'number') {
+                    const keyword = lexer.nextToken();
+                    if (keyword.type === 'keyword' && keyword.value === 'R') {
+                        return new PdfRef(token.value, gen.value);
+                    }
+                }
+                lexer.pos = saved;
+                return token.value;
+            }
+            case 'name':
+            case 'string':
+                return token.value;
+            case 'arrayStart': {
+                const array = [];
+                for (let next = lexer.nextToken(); next.type !== 'arrayEnd' && next.type !== 'eof'; next = lexer.nextToken()) {
+                    array.push(this.readObject(lexer, next));
+                }
+                return array;
+            }
+            case 'dictStart': {
+                const dict = {};
+                for (let next = lexer.nextToken(); next.type !== 'dictEnd' && next.type !== 'eof'; next = lexer.nextToken()) {
+                    if (next.type !== 'name') continue; // Malformed key
+                    dict[next.value] = this.readObject(lexer);
+                }
+                return dict;
+            }
+            case 'keyword':
+                if (token.value === 'true') return true;
+                if (token.value === 'false') return false;
+                if (token.value === 'null') return null;
+                return new PdfOperator(token.value);
+            default:
+                return null;
+        }
+    }
+
+    readStreamBody(lexer, dict, bytes, text) {
+        if (!dict || typeof dict !== 'object' || Array.isArray(dict)) return null;
+
+        const saved = lexer.pos;
+        const token = lexer.nextToken();
+        if (token.type !== 'keyword' || token.value !== 'stream') {
+            lexer.pos = saved;
+            return null;
+        }
+
+        // Data starts after the EOL following "stream"
+        let start = lexer.pos;
+        if (bytes[start] === 0x0D) start++;
+        if (bytes[start] === 0x0A) start++;
+
+        let end = -1;
+        const length = dict.Length;
+        if (typeof length === 'number' && start + length <= bytes.length) {
+            const after = text.substr(start + length, 12).replace(/^\s+/, '');
+            if (after.startsWith('endstream')) end = start + length;
+        }
+
+        if (end === -1) {
+            // Length missing or indirect - fall back to the endstream keyword
+            const endIndex = text.indexOf('endstream', start);
+            end = endIndex === -1 ? bytes.length : endIndex;
+            if (bytes[end - 1] === 0x0A) end--;
+            if (bytes[end - 1] === 0x0D) end--;
+        }
+
+        return {
+            value: new PdfStream(dict, bytes.subarray(start, end)),
+            end: end
+        };
+    }
+
+    async parseObjectStreams(warnings) {
+        const objectStreams = [...this.objects.values()].filter(value =>
+            value instanceof PdfStream && value.dict.Type === 'ObjStm'
+        );
+
+        for (const stream of objectStreams) {
+            try {
+                const data = await this.decodeStream(stream);
+                const count = this.resolve(stream.dict.N) || 0;
+                const first = this.resolve(stream.dict.First) || 0;
+                const lexer = new PdfLexer(data);
+                lexer.allowRefs = false;
+
+                const entries = [];
+                for (let i = 0; i < count; i++) {
+                    const objectNumber = lexer.nextToken().value;
+                    const offset = lexer.nextToken().value;
+                    entries.push([objectNumber, offset]);
+                }
+
+                lexer.allowRefs = true;
+                entries.forEach(([objectNumber, offset]) => {
+                    if (this.objects.has(objectNumber)) return;
+                    lexer.pos = first + offset;
+                    this.objects.set(objectNumber, this.readObject(lexer));
+                });
+            } catch (error) {
+                warnings.push(`Could not read object stream: ${error.message}`);
+            }
+        }
+    }
+
+    findTrailer(bytes, text) {
+        let trailer = {};
+
+        // Classic trailers - the last one wins for incremental updates
+        const pattern = /trailer\s*<</g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            try {
+                const lexer = new PdfLexer(bytes, match.index + 7);
+                const dict = this.readObject(lexer);
+                if (dict && dict.Root) trailer = { ...trailer, ...dict };
+            } catch (error) {
+                // Ignore broken trailer
+            }
+        }
+
+        // Cross-reference streams (PDF 1.5+) carry the trailer entries in their dictionary
+        this.objects.forEach(value => {
+            if (value instanceof PdfStream && value.dict.Type === 'XRef' && value.dict.Root) {
+                trailer = { ...trailer, ...value.dict };
+            }
+        });
+
+        return trailer;
+    }
+
+    resolve(value, depth = 0) {
+        while (value instanceof PdfRef && depth < 16) {
+            value = this.objects.has(value.num) ? this.objects.get(value.num) : null;
+            depth++;
+        }
+        return value;
+    }
+
+    dictOf(value) {
+        const resolved = this.resolve(value);
+        if (resolved instanceof PdfStream) return resolved.dict;
+        return resolved && typeof resolved === 'object' && !Array.isArray(resolved) ? resolved : null;
+    }
+
+    // ============================================================================
+    // PAGES
+    // ============================================================================
+
+    collectPages(trailer) {
+        const pages = [];
+        const visited = new Set();
+
+        const walk = (nodeValue, inheritedResources) => {
+            const node = this.dictOf(nodeValue);
+            if (!node || visited.has(node)) return;
+            visited.add(node);
+
+            const resources = this.dictOf(node.Resources) || inheritedResources;
+            const kids = this.resolve(node.Kids);
+
+            if (node.Type === 'Pages' || Array.isArray(kids)) {
+                toArray(kids).forEach(kid => walk(kid, resources));
+            } else {
+                pages.push({ page: node, resources: resources || {} });
+            }
+        };
+
+        const catalog = this.dictOf(trailer.Root) || this.findObjectByType('Catalog');
+        if (catalog && catalog.Pages) {
+            walk(catalog.Pages, null);
+        }
+
+        if (pages.length === 0) {
+            // No usable page tree - fall back to page objects in file order
+            [...this.objects.keys()].sort((a, b) => a - b).forEach(objectNumber => {
+                const dict = this.dictOf(this.objects.get(objectNumber));
+                if (dict && dict.Type === 'Page') {
+                    pages.push({ page: dict, resources: this.dictOf(dict.Resources) || {} });
+                }
+            });
+        }
+
+        return pages;
+    }
+
+    findObjectByType(type) {
+        for (const value of this.objects.values()) {
+            const dict = this.dictOf(value);
+            if (dict && dict.Type === type) return dict;
+        }
+        return null;
+    }
+
+    async getPageContent(page) {
+        const contents = toArray(this.resolve(page.Contents));
+        const parts = [];
+
+        for (const part of contents) {
+            const stream = this.resolve(part);
+            if (stream instanceof PdfStream) {
+                parts.push(await this.decodeStream(stream));
+            }
+        }
+
+        // Content arrays are concatenated with whitespace between the parts
+        const total = parts.reduce((sum, part) => sum + part.length + 1, 0);
+        const content = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach(part => {
+            content.set(part, offset);
+            content[offset + part.length] = 0x0A;
+            offset += part.length + 1;
+        });
+        return content;
+    }
+
+    // ============================================================================
+    // STREAM DECODING
+    // ============================================================================
+
+    async decodeStream(stream) {
+        if (stream.decoded) return stream.decoded;
+
+        let data = stream.bytes;
+        const filters = toArray(this.resolve(stream.dict.Filter)).map(filter => this.resolve(filter));
+
+        for (const filter of filters) {
+            switch (filter) {
+                case 'FlateDecode':
+                case 'Fl':
+                    data = await this.inflate(data);
+                    break;
+                case 'ASCIIHexDecode':
+                case 'AHx':
+                    data = this.decodeAsciiHex(data);
+                    break;
+                case 'ASCII85Decode':
+                case 'A85':
+                    data = this.decodeAscii85(data);
+                    break;
+                default:
+                    throw new Error(`Unsupported stream filter ${filter}`);
+            }
+        }
+
+        stream.decoded = data;
+        return data;
+    }
+
+    async inflate(bytes) {
+        const inflated = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        const reader = inflated.getReader();
+        const chunks = [];
+        let total = 0;
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                total += value.length;
+            }
+        } catch (error) {
+            // Many PDF writers leave trailing bytes after the deflate data - keep what was inflated
+            if (total === 0) {
+                throw new Error(`Could not inflate stream: ${error.message}`);
+            }
+        }
+
+        const result = new Uint8Array(total);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return result;
+    }
+
+    decodeAsciiHex(bytes) {
+        const hex = bytesToLatin1(bytes).replace(/>.*$/s, '').replace(/[^0-9A-Fa-f]/g, '');
+        const padded = hex.length % 2 === 1 ? `${hex}0` : hex;
+        const out = new Uint8Array(padded.length / 2);
+        for (let i = 0; i < out.length; i++) {
+            out[i] = parseInt(padded.substr(i * 2, 2), 16);
+        }
+        return out;
+    }
+
+    decodeAscii85(bytes) {
+        const text = bytesToLatin1(bytes).replace(/^\s*<~/, '').replace(/~>.*$/s, '').replace(/\s+/g, '');
+        const out = [];
+        let group = [];
+
+        const flush = (values, length) => {
+            let value = 0;
+            for (let i = 0; i < 5; i++) {
+                value = value * 85 + (i < values.length ? values[i] : 84);
+            }
+            for (let i = 0; i < length; i++) {
+                out.push((value >>> (24 - i * 8)) & 0xFF);
+            }
+        };
+
+        for (const char of text) {
+            if (char === 'z' && group.length === 0) {
+                out.push(0, 0, 0, 0);
+                continue;
+            }
+            group.push(char.charCodeAt(0) - 33);
+            if (group.length === 5) {
+                flush(group, 4);
+                group = [];
+            }
+        }
+        if (group.length > 1) {
+            flush(group, group.length - 1);
+        }
+
+        return Uint8Array.from(out);
+    }
+
+    // ============================================================================
+    // FONTS
+    // ============================================================================
+
+    async getFontInfo(fontValue, fontName) {
+        const fontDict = this.dictOf(fontValue);
+        if (!fontDict) return null;
+
+        const cacheKey = fontValue instanceof PdfRef ? fontValue.num : fontDict;
+        if (this.fontCache.has(cacheKey)) return this.fontCache.get(cacheKey);
+
+        const isComposite = fontDict.Subtype === 'Type0';
+        const font = {
+            name: fontName,
+            isComposite: isComposite,
+            codeLength: isComposite ? 2 : 1,
+            toUnicode: null,
+            encoding: null,
+            widths: new Map(),
+            defaultWidth: isComposite ? 1000 : 500,
+            widthScale: 1
+        };
+
+        const toUnicode = this.resolve(fontDict.ToUnicode);
+        if (toUnicode instanceof PdfStream) {
+            try {
+                const cmap = this.parseCMap(await this.decodeStream(toUnicode));
+                font.toUnicode = cmap.map;
+                if (cmap.codeLength) font.codeLength = cmap.codeLength;
+            } catch (error) {
+                console.warn(`PdfTextExtractor: Could not read ToUnicode map for ${fontName}:`, error);
+            }
+        }
+
+        if (!isComposite) {
+            font.encoding = this.buildSimpleEncoding(fontDict.Encoding);
+        }
+
+        this.readFontWidths(fontDict, font);
+        this.fontCache.set(cacheKey, font);
+        return font;
+    }
+
+    readFontWidths(fontDict, font) {
+        if (font.isComposite) {
+            const descendant = this.dictOf(toArray(this.resolve(fontDict.DescendantFonts))[0]);
+            if (!descendant) return;
+
+            if (typeof this.resolve(descendant.DW) === 'number') {
+                font.defaultWidth = this.resolve(descendant.DW);
+            }
+
+            // W array: "c [w1 w2 ...]" or "cFirst cLast w"
+            const w = toArray(this.resolve(descendant.W)).map(item => this.resolve(item));
+            for (let i = 0; i < w.length;) {
+                const first = w[i];
+                const next = w[i + 1];
+                if (Array.isArray(next)) {
+                    next.forEach((width, index) => font.widths.set(first + index, this.resolve(width)));
+                    i += 2;
+                } else {
+                    for (let code = first; code <= next; code++) font.widths.set(code, w[i + 2]);
+                    i += 3;
+                }
+            }
+            return;
+        }
+
+        const firstChar = this.resolve(fontDict.FirstChar) || 0;
+        toArray(this.resolve(fontDict.Widths)).forEach((width, index) => {
+            font.widths.set(firstChar + index, this.resolve(width));
+        });
+
+        const descriptor = this.dictOf(fontDict.FontDescriptor);
+        if (descriptor && typeof this.resolve(descriptor.MissingWidth) === 'number' && font.widths.size > 0) {
+            font.defaultWidth = this.resolve(descriptor.MissingWidth);
+        }
+
+        if (fontDict.Subtype === 'Type3') {
+            // Type3 widths are in glyph space
+            const fontMatrix = toArray(this.resolve(fontDict.FontMatrix));
+            font.widthScale = typeof fontMatrix[0] === 'number' ? fontMatrix[0] * 1000 : 1;
+        }
+    }
+
+    parseCMap(data) {
+        const lexer = new PdfLexer(data);
+        lexer.allowRefs = false;
+        const map = new Map();
+        let codeLength = 0;
+
+        const readHex = () => {
+            const token = lexer.nextToken();
+            return token.type === 'string' ? token.value.bytes : null;
+        };
+        const bytesToCode = (bytes) => bytes.reduce((code, byte) => code * 256 + byte, 0);
+        const bytesToUnicode = (bytes) => {
+            let result = '';
+            for (let i = 0; i + 1 < bytes.length; i += 2) {
+                result += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+            }
+            return bytes.length === 1 ? String.fromCharCode(bytes[0]) : result;
+        };
+
+        for (let token = lexer.nextToken(); token.type !== 'eof'; token = lexer.nextToken()) {
+            if (token.type !== 'keyword') continue;
+
+            if (token.value === 'begincodespacerange') {
+                const low = readHex();
+                readHex();
+                if (low && !codeLength) codeLength = low.length;
+            } else if (token.value === 'beginbfchar') {
+                for (let source = lexer.nextToken(); source.type === 'string'; source = lexer.nextToken()) {
+                    const target = readHex();
+                    if (target) map.set(bytesToCode(source.value.bytes), bytesToUnicode(target));
+                }
+            } else if (token.value === 'beginbfrange') {
+                for (let lowToken = lexer.nextToken(); lowToken.type === 'string'; lowToken = lexer.nextToken()) {
+                    const low = bytesToCode(lowToken.value.bytes);
+                    const high = bytesToCode(readHex() || []);
+                    const target = this.readObject(lexer);
+
+                    if (Array.isArray(target)) {
+                        target.forEach((item, index) => {
+                            if (item instanceof PdfString) map.set(low + index, bytesToUnicode(item.bytes));
+                        });
+                    } else if (target instanceof PdfString) {
+                        // Increment the last character across the range
+                        const base = bytesToUnicode(target.bytes);
+                        const prefix = base.slice(0, -1);
+                        const lastChar = base.charCodeAt(base.length - 1);
+                        for (let code = low; code <= high && code - low < 65536; code++) {
+                            map.set(code, prefix + String.fromCharCode(lastChar + (code - low)));
+                        }
+                    }
+                }
+            }
+        }
+
+        return { map, codeLength };
+    }
+
+    buildSimpleEncoding(encodingValue) {
+        const encoding = this.resolve(encodingValue);
+        const encodingDict = this.dictOf(encoding);
+        const baseName = typeof encoding === 'string' ? encoding : encodingDict?.BaseEncoding;
+        const table = [...this.getBaseEncoding(baseName)];
+
+        const differences = encodingDict ? toArray(this.resolve(encodingDict.Differences)) : [];
+        let code = 0;
+        differences.forEach(item => {
+            const value = this.resolve(item);
+            if (typeof value === 'number') {
+                code = value;
+            } else if (typeof value === 'string') {
+                table[code] = this.glyphNameToUnicode(value);
+                code++;
+            }
+        });
+
+        return table;
+    }
+
+    getBaseEncoding(name) {
+        if (!this.baseEncodings) {
+            const decodeTable = (label) => {
+                const decoder = new TextDecoder(label);
+                return Array.from({ length: 256 }, (_, code) =>
+                    code < 0x20 ? '' : decoder.decode(Uint8Array.of(code))
+                );
+            };
+
+            const winAnsi = decodeTable('windows-1252');
+            let macRoman = winAnsi;
+            try {
+                macRoman = decodeTable('macintosh');
+            } catch (error) {
+                // Older browsers without the macintosh decoder
+            }
+
+            const standard = [...winAnsi];
+            standard[0x27] = '’';
+            standard[0x60] = '‘';
+
+            this.baseEncodings = {
+                WinAnsiEncoding: winAnsi,
+                MacRomanEncoding: macRoman,
+                StandardEncoding: standard
+            };
+        }
+
+        return this.baseEncodings[name] || this.baseEncodings.StandardEncoding;
+    }
+
+    glyphNameToUnicode(glyphName) {
+        // Drop variant suffixes (a.sc, one.oldstyle) and split ligature names (f_f_i)
+        const name = glyphName.split('.')[0];
+        if (name.includes('_')) {
+            return name.split('_').map(part => this.glyphNameToUnicode(part)).join('');
+        }
+
+        if (GLYPH_NAMES[name] !== undefined) return GLYPH_NAMES[name];
+        if (/^[A-Za-z]$/.test(name)) return name;
+
+        const uniMatch = name.match(/^uni((?:[0-9A-Fa-f]{4})+)$/);
+        if (uniMatch) {
+            return uniMatch[1].match(/.{4}/g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+        }
+
+        const uMatch = name.match(/^u([0-9A-Fa-f]{4,6})$/);
+        if (uMatch) return String.fromCodePoint(parseInt(uMatch[1], 16));
+
+        const accentMatch = name.match(/^([A-Za-z])(acute|grave|dieresis|circumflex|tilde|ring|cedilla|caron)$/);
+        if (accentMatch) {
+            return (accentMatch[1] + GLYPH_ACCENTS[accentMatch[2]]).normalize('NFC');
+        }
+
+        return '';
+    }
+
+    decodeText(bytes, state) {
+        const font = state.font;
+        if (!font) {
+            return { text: bytesToLatin1(bytes), width: bytes.length * 0.5 * state.fontSize };
+        }
+
+        let text = '';
+        let width = 0;
+        for (let i = 0; i + font.codeLength <= bytes.length; i += font.codeLength) {
+            let code = 0;
+            for (let j = 0; j < font.codeLength; j++) code = code * 256 + bytes[i + j];
+
+            let chars = font.toUnicode ? font.toUnicode.get(code) : undefined;
+            if (chars === undefined) {
+                chars = font.isComposite ? '' : (font.encoding[code] || '');
+                if (font.isComposite) state.missingUnicode = true;
+            }
+            text += chars;
+
+            const glyphWidth = font.widths.has(code) ? font.widths.get(code) : font.defaultWidth;
+            width += (glyphWidth * font.widthScale / 1000) * state.fontSize + state.charSpacing;
+            if (code === 32 && font.codeLength === 1) width += state.wordSpacing;
+        }
+
+        return { text, width: width * state.horizontalScale };
+    }
+
+    // ============================================================================
+    // CONTENT STREAMS
+    // ============================================================================
+
+    createTextBuilder() {
+        return {
+            parts: [],
+            lastX: null,
+            lastY: null,
+            lastEndX: null,
+            hasImages: false,
+            fontsWithoutUnicode: new Set()
+        };
+    }
+
+    async extractContentText(contentBytes, resources, builder, depth) {
+        const lexer = new PdfLexer(contentBytes);
+        lexer.allowRefs = false;
+
+        const operands = [];
+        const stateStack = [];
+        let state = {
+            font: null,
+            fontName: '',
+            fontSize: 0,
+            charSpacing: 0,
+            wordSpacing: 0,
+            horizontalScale: 1,
+            leading: 0,
+            missingUnicode: false
+        };
+        let textMatrix = IDENTITY_MATRIX;
+        let lineMatrix = IDENTITY_MATRIX;
+
+        const moveText = (tx, ty) => {
+            const [a, b, c, d, e, f] = lineMatrix;
+            lineMatrix = [a, b, c, d, tx * a + ty * c + e, tx * b + ty * d + f];
+            textMatrix = lineMatrix;
+        };
+
+        const advance = (tx) => {
+            const [a, b, c, d, e, f] = textMatrix;
+            textMatrix = [a, b, c, d, e + tx * a, f + tx * b];
+        };
+
+        const showText = (pdfString) => {
+            if (!(pdfString instanceof PdfString)) return;
+            const { text, width } = this.decodeText(pdfString.bytes, state);
+            const scale = Math.hypot(textMatrix[2], textMatrix[3]) || 1;
+            const startX = textMatrix[4];
+            advance(width);
+            this.appendText(builder, text, startX, textMatrix[5], textMatrix[4], state.fontSize * scale);
+            if (state.missingUnicode) builder.fontsWithoutUnicode.add(state.fontName);
+        };
+
+        for (let token = lexer.nextToken(); token.type !== 'eof'; token = lexer.nextToken()) {
+            const value = this.readObject(lexer, token);
+            if (!(value instanceof PdfOperator)) {
+                operands.push(value);
+                continue;
+            }
+
+            switch (value.op) {
+                case 'q':
+                    stateStack.push({ ...state });
+                    break;
+                case 'Q':
+                    if (stateStack.length > 0) state = stateStack.pop();
+                    break;
+                case 'BT':
+                    textMatrix = IDENTITY_MATRIX;
+                    lineMatrix = IDENTITY_MATRIX;
+                    break;
+                case 'Tf': {
+                    const fonts = this.dictOf(resources.Font) || {};
+                    state.fontName = operands[0];
+                    state.fontSize = typeof operands[1] === 'number' ? operands[1] : 0;
+                    state.font = await this.getFontInfo(fonts[operands[0]], operands[0]);
+                    state.missingUnicode = false;
+                    break;
+                }
+                case 'Tc':
+                    state.charSpacing = operands[0] || 0;
+                    break;
+                case 'Tw':
+                    state.wordSpacing = operands[0] || 0;
+                    break;
+                case 'Tz':
+                    state.horizontalScale = (operands[0] || 100) / 100;
+                    break;
+                case 'TL':
+                    state.leading = operands[0] || 0;
+                    break;
+                case 'Td':
+                    moveText(operands[0] || 0, operands[1] || 0);
+                    break;
+                case 'TD':
+                    state.leading = -(operands[1] || 0);
+                    moveText(operands[0] || 0, operands[1] || 0);
+                    break;
+                case 'Tm':
+                    if (operands.length >= 6) {
+                        lineMatrix = operands.slice(0, 6);
+                        textMatrix = lineMatrix;
+                    }
+                    break;
+                case 'T*':
+                    moveText(0, -state.leading);
+                    break;
+                case 'Tj':
+                    showText(operands[0]);
+                    break;
+                case "'":
+                    moveText(0, -state.leading);
+                    showText(operands[0]);
+                    break;
+                case '"':
+                    state.wordSpacing = operands[0] || 0;
+                    state.charSpacing = operands[1] || 0;
+                    moveText(0, -state.leading);
+                    showText(operands[2]);
+                    break;
+                case 'TJ':
+                    toArray(operands[0]).forEach(item => {
+                        if (typeof item === 'number') {
+                            advance(-item / 1000 * state.fontSize * state.horizontalScale);
+                        } else {
+                            showText(item);
+                        }
+                    });
+                    break;
+                case 'Do':
+                    await this.handleXObject(operands[0], resources, builder, depth);
+                    break;
+                case 'BI':
+                    builder.hasImages = true;
+                    break;
+                case 'ID':
+                    this.skipInlineImage(lexer);
+                    break;
+            }
+
+            operands.length = 0;
+        }
+    }
+
+    async handleXObject(name, resources, builder, depth) {
+        const xObjects = this.dictOf(resources.XObject) || {};
+        const xObject = this.resolve(xObjects[name]);
+        if (!(xObject instanceof PdfStream)) return;
+
+        if (xObject.dict.Subtype === 'Image') {
+            builder.hasImages = true;
+        } else if (xObject.dict.Subtype === 'Form' && depth < MAX_FORM_DEPTH) {
+            const formResources = this.dictOf(xObject.dict.Resources) || resources;
+            const content = await this.decodeStream(xObject);
+            await this.extractContentText(content, formResources, builder, depth + 1);
+        }
+    }
+
+    skipInlineImage(lexer) {
+        // Binary image data runs until whitespace + "EI" + whitespace
+        const bytes = lexer.bytes;
+        let pos = lexer.pos + 1;
+        while (pos < bytes.length - 2) {
+            if (WHITESPACE.has(bytes[pos]) && bytes[pos + 1] === 0x45 && bytes[pos + 2] === 0x49 &&
+                (pos + 3 >= bytes.length || WHITESPACE.has(bytes[pos + 3]))) {
+                lexer.pos = pos + 3;
+                return;
+            }
+            pos++;
+        }
+        lexer.pos = bytes.length;
+    }
+
+    appendText(builder, text, x, y, endX, fontSize) {
+        if (!text) return;
+
+        if (builder.lastY !== null) {
+            const size = fontSize || 10;
+            const verticalGap = Math.abs(y - builder.lastY);
+
+            if (verticalGap > size * 0.5) {
+                // New line, with a blank line when the gap looks like a paragraph break
+                builder.parts.push(verticalGap > size * 2 ? '\n\n' : '\n');
+            } else {
+                const gap = x - builder.lastEndX;
+                const lastPart = builder.parts[builder.parts.length - 1] || '';
+                if ((gap > size * 0.2 || gap < -size) && !lastPart.endsWith(' ') && !text.startsWith(' ')) {
+                    builder.parts.push(' ');
+                }
+            }
+        }
+
+        builder.parts.push(text);
+        builder.lastX = x;
+        builder.lastY = y;
+        builder.lastEndX = endX;
+    }
+
+    finishText(builder) {
+        return builder.parts.join('')
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+}
+
+export { PdfTextExtractor };
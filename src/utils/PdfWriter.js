@@ -0,0 +1,602 @@
+// PdfWriter - Renders markdown-style text into a PDF document
+// Offline writer on the standard Helvetica/Courier fonts: headings, lists, tables, code and page numbers
+
+import { MarkdownParser } from './MarkdownParser.js';
+
+const PAGE_SIZES = {
+    A4: [595.28, 841.89],
+    Letter: [612, 792]
+};
+
+// Glyph widths (1/1000 em) for WinAnsi codes 32-255, from the Adobe core font metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584, 0,
+    556, 0, 222, 556, 333, 1000, 556, 556, 333, 1000, 667, 333, 1000, 0, 611, 0,
+    0, 222, 222, 333, 333, 350, 556, 1000, 333, 1000, 500, 333, 944, 0, 500, 500,
+    278, 333, 556, 556, 556, 556, 260, 556, 333, 737, 370, 556, 584, 333, 737, 333,
+    400, 584, 333, 333, 333, 556, 537, 278, 333, 333, 365, 556, 834, 834, 834, 611,
+    667, 667, 667, 667, 667, 667, 1000, 722, 667, 667, 667, 667, 278, 278, 278, 278,
+    722, 722, 778, 778, 778, 778, 778, 584, 778, 722, 722, 722, 722, 667, 667, 611,
+    556, 556, 556, 556, 556, 556, 889, 500, 556, 556, 556, 556, 278, 278, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 584, 611, 556, 556, 556, 556, 500, 556, 500
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584, 0,
+    556, 0, 278, 556, 500, 1000, 556, 556, 333, 1000, 667, 333, 1000, 0, 611, 0,
+    0, 278, 278, 500, 500, 350, 556, 1000, 333, 1000, 556, 333, 944, 0, 500, 556,
+    278, 333, 556, 556, 556, 556, 280, 556, 333, 737, 370, 556, 584, 333, 737, 333,
+    400, 584, 333, 333, 333, 611, 556, 278, 333, 333, 365, 556, 834, 834, 834, 611,
+    722, 722, 722, 722, 722, 722, 1000, 722, 667, 667, 667, 667, 278, 278, 278, 278,
+    722, 722, 778, 778, 778, 778, 778, 584, 778, 722, 722, 722, 722, 667, 667, 611,
+    556, 556, 556, 556, 556, 556, 889, 556, 556, 556, 556, 556, 278, 278, 278, 278,
+    611, 611, 611, 611, 611, 611, 611, 584, 611, 611, 611, 611, 611, 556, 611, 556
+];
+
+const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+    italic: { resource: 'F3', baseFont: 'Helvetica-Oblique', widths: HELVETICA_WIDTHS },
+    boldItalic: { resource: 'F4', baseFont: 'Helvetica-BoldOblique', widths: HELVETICA_BOLD_WIDTHS },
+    code: { resource: 'F5', baseFont: 'Courier', widths: null } // Monospaced, 600 units per glyph
+};
+
+const HEADING_SIZES = [20, 16, 13.5, 12, 11, 11];
+
+// Characters outside WinAnsi that have a readable ASCII stand-in
+const SUBSTITUTIONS = {
+    '→': '->', '←': '<-', '⇒': '=>', '↔': '<->',
+    '≥': '>=', '≤': '<=', '≠': '!=', '✓': 'v', '✔': 'v', '✅': '[x]', '❌': '[ ]', '✗': 'x',
+    '\u00A0': ' ', '\u2009': ' ', '\u200B': ''
+};
+
+// Unicode code points of WinAnsi bytes 0x80-0x9F (0 = unused); the rest matches Latin-1
+const WIN_ANSI_HIGH = [
+    0x20AC, 0, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021,
+    0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0, 0x017D, 0,
+    0, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+    0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0, 0x017E, 0x0178
+];
+
+// Unicode character -> WinAnsi byte
+const WIN_ANSI_CODES = (() => {
+    const codes = new Map();
+    for (let code = 32; code < 256; code++) {
+        if (code >= 0x80 && code <= 0x9F) {
+            const unicode = WIN_ANSI_HIGH[code - 0x80];
+            if (unicode) codes.set(String.fromCharCode(unicode), code);
+        } else if (code !== 127) {
+            codes.set(String.fromCharCode(code), code);
+        }
+    }
+    return codes;
+})();
+
+class PdfWriter {
+    constructor(options = {}) {
+        const [width, height] = PAGE_SIZES[options.pageSize] || PAGE_SIZES.A4;
+        this.pageWidth = width;
+        this.pageHeight = height;
+        this.margin = options.margin || 56; // ~2 cm
+        this.fontSize = options.fontSize || 11;
+        this.lineHeight = this.fontSize * 1.4;
+        this.title = options.title || '';
+        this.author = options.author || '';
+        this.contentWidth = this.pageWidth - this.margin * 2;
+    }
+
+    // Render text to a PDF Blob
+    renderBlob(text) {
+        return new Blob([this.render(text)], { type: 'application/pdf' });
+    }
+
+    // Render text to the bytes of a PDF document
+    render(text) {
+        this.pages = [];
+        this.newPage();
+
+        const blocks = MarkdownParser.parseBlocks(text);
+        blocks.forEach((block, index) => this.layoutBlock(block, blocks[index + 1]));
+
+        this.addPageNumbers();
+        return this.serialize();
+    }
+
+    // ============================================================================
+    // LAYOUT
+    // ============================================================================
+
+    newPage() {
+        this.page = { ops: [] };
+        this.pages.push(this.page);
+        this.y = this.margin; // Distance from the top of the page
+    }
+
+    ensureSpace(height) {
+        if (this.y + height > this.pageHeight - this.margin && this.page.ops.length > 0) {
+            this.newPage();
+        }
+    }
+
+    isAtPageTop() {
+        return this.page.ops.length === 0;
+    }
+
+    layoutBlock(block, next) {
+        switch (block.type) {
+            case 'heading':
+                this.layoutHeading(block);
+                break;
+            case 'paragraph':
+                block.lines.forEach(line => {
+                    this.wrapRuns(MarkdownParser.parseInline(line), this.contentWidth, this.fontSize)
+                        .forEach(wrapped => this.drawLine(wrapped, this.margin, this.fontSize, this.lineHeight));
+                });
+                this.y += this.fontSize * 0.6;
+                break;
+            case 'listItem':
+                this.layoutListItem(block, next);
+                break;
+            case 'table':
+                this.layoutTable(block);
+                break;
+            case 'code':
+                this.layoutCode(block);
+                break;
+            case 'quote':
+                this.layoutQuote(block);
+                break;
+            case 'rule':
+                this.ensureSpace(this.fontSize);
+                this.y += this.fontSize * 0.5;
+                this.addLine(this.margin, this.y, this.margin + this.contentWidth, this.y, 0.75, [0.75, 0.75, 0.75]);
+                this.y += this.fontSize * 0.5;
+                break;
+            case 'pageBreak':
+                if (!this.isAtPageTop()) this.newPage();
+                break;
+        }
+    }
+
+    layoutHeading(block) {
+        const size = HEADING_SIZES[block.level - 1];
+        const lineHeight = size * 1.3;
+        const runs = MarkdownParser.parseInline(block.text).map(run => ({ ...run, bold: true }));
+        const lines = this.wrapRuns(runs, this.contentWidth, size);
+
+        // Keep the heading together with the first lines of the next block
+        this.ensureSpace(lines.length * lineHeight + this.lineHeight * 3);
+        if (!this.isAtPageTop()) this.y += size * 0.7;
+
+        lines.forEach(line => {
+            this.drawLine(line, this.margin, size, lineHeight);
+        });
+
+        if (block.level === 1) {
+            this.y += 3;
+            this.addLine(this.margin, this.y, this.margin + this.contentWidth, this.y, 1, [0.2, 0.2, 0.2]);
+            this.y += 3;
+        }
+        this.y += size * 0.4;
+    }
+
+    layoutListItem(block, next) {
+        const indent = this.margin + 18 * (block.level + 1);
+        const markerRuns = [{ text: block.marker, bold: false, italic: false, code: false }];
+        const markerWidth = this.measureRuns(markerRuns, this.fontSize);
+        const lines = this.wrapRuns(MarkdownParser.parseInline(block.text), this.margin + this.contentWidth - indent, this.fontSize);
+
+        lines.forEach((line, index) => {
+            this.ensureSpace(this.lineHeight);
+            if (index === 0) {
+                // Marker right-aligned just before the text column
+                this.drawRunsAt(markerRuns, indent - 6 - markerWidth, this.y, this.fontSize);
+            }
+            this.drawLine(line, indent, this.fontSize, this.lineHeight);
+        });
+
+        this.y += next && next.type === 'listItem' ? 2 : this.fontSize * 0.6;
+    }
+
+    layoutCode(block) {
+        const size = this.fontSize * 0.85;
+        const lineHeight = size * 1.35;
+        const maxChars = Math.max(1, Math.floor((this.contentWidth - 12) / (size * 0.6)));
+
+        const lines = [];
+        block.lines.forEach(line => {
+            const expanded = line.replace(/\t/g, '    ');
+            if (!expanded) lines.push('');
+            for (let start = 0; start < expanded.length; start += maxChars) {
+                lines.push(expanded.slice(start, start + maxChars));
+            }
+        });
+
+        this.y += 2;
+        lines.forEach(line => {
+            this.ensureSpace(lineHeight);
+            this.addRect(this.margin, this.y, this.contentWidth, lineHeight, [0.95, 0.95, 0.95]);
+            this.drawRunsAt([{ text: line, bold: false, italic: false, code: true }], this.margin + 6, this.y + (lineHeight - size) / 2, size);
+            this.y += lineHeight;
+        });
+        this.y += this.fontSize * 0.6;
+    }
+
+    layoutQuote(block) {
+        const indent = this.margin + 14;
+        block.lines.forEach(text => {
+            const runs = MarkdownParser.parseInline(text).map(run => ({ ...run, italic: true }));
+            this.wrapRuns(runs, this.margin + this.contentWidth - indent, this.fontSize).forEach(line => {
+                this.ensureSpace(this.lineHeight);
+                this.addLine(this.margin + 4, this.y, this.margin + 4, this.y + this.lineHeight, 2, [0.7, 0.7, 0.7]);
+                this.drawLine(line, indent, this.fontSize, this.lineHeight, [0.3, 0.3, 0.3]);
+            });
+        });
+        this.y += this.fontSize * 0.6;
+    }
+
+    layoutTable(table) {
+        const size = this.fontSize * 0.9;
+        const lineHeight = size * 1.3;
+        const padding = 4;
+        const columnCount = Math.max(table.header.length, ...table.rows.map(row => row.length));
+        const widths = this.getColumnWidths(table, columnCount, size, padding);
+
+        const layoutRow = (cells, isHeader) => {
+            const wrapped = widths.map((width, column) => {
+                const runs = MarkdownParser.parseInline(cells[column] || '')
+                    .map(run => (isHeader ? { ...run, bold: true } : run));
+                return this.wrapRuns(runs, width - padding * 2, size);
+            });
+            const height = Math.max(1, ...wrapped.map(lines => lines.length)) * lineHeight + padding * 2;
+            return { wrapped, height, isHeader };
+        };
+
+        const header = layoutRow(table.header, true);
+        const drawRow = (row) => {
+            let x = this.margin;
+            if (row.isHeader) {
+                this.addRect(this.margin, this.y, widths.reduce((sum, width) => sum + width, 0), row.height, [0.9, 0.92, 0.95]);
+            }
+
+            row.wrapped.forEach((lines, column) => {
+                const align = table.align[column] || 'left';
+                lines.forEach((line, index) => {
+                    const lineWidth = line.reduce((sum, part) => sum + part.width, 0);
+                    let textX = x + padding;
+                    if (align === 'right') textX = x + widths[column] - padding - lineWidth;
+                    if (align === 'center') textX = x + (widths[column] - lineWidth) / 2;
+                    this.drawRunsAt(line, textX, this.y + padding + index * lineHeight + (lineHeight - size) / 2, size);
+                });
+                x += widths[column];
+            });
+
+            // Cell borders
+            const color = [0.7, 0.7, 0.7];
+            const right = this.margin + widths.reduce((sum, width) => sum + width, 0);
+            this.addLine(this.margin, this.y, right, this.y, 0.5, color);
+            this.addLine(this.margin, this.y + row.height, right, this.y + row.height, 0.5, color);
+            let borderX = this.margin;
+            [0, ...widths].forEach(width => {
+                borderX += width;
+                this.addLine(borderX, this.y, borderX, this.y + row.height, 0.5, color);
+            });
+
+            this.y += row.height;
+        };
+
+        this.ensureSpace(header.height + lineHeight + padding * 2);
+        this.y += 2;
+        drawRow(header);
+
+        table.rows.forEach(cells => {
+            const row = layoutRow(cells, false);
+            if (this.y + row.height > this.pageHeight - this.margin) {
+                // Repeat the header on the next page
+                this.newPage();
+                drawRow(header);
+            }
+            drawRow(row);
+        });
+
+        this.y += this.fontSize * 0.8;
+    }
+
+    getColumnWidths(table, columnCount, size, padding) {
+        const natural = [];
+        for (let column = 0; column < columnCount; column++) {
+            const cells = [table.header[column] || '', ...table.rows.map(row => row[column] || '')];
+            natural.push(Math.max(...cells.map(cell => {
+                const runs = MarkdownParser.parseInline(cell).map(run => (cell === table.header[column] ? { ...run, bold: true } : run));
+                return this.measureRuns(runs, size);
+            })) + padding * 2);
+        }
+
+        const total = natural.reduce((sum, width) => sum + width, 0);
+        if (total <= this.contentWidth) {
+            return natural;
+        }
+
+        // Share the page width in proportion to the content, with a minimum per column
+        const minimum = Math.min(48, this.contentWidth / columnCount);
+        const widths = natural.map(width => Math.max(minimum, width / total * this.contentWidth));
+        const scale = this.contentWidth / widths.reduce((sum, width) => sum + width, 0);
+        return widths.map(width => width * scale);
+    }
+
+    // ============================================================================
+    // TEXT MEASUREMENT AND WRAPPING
+    // ============================================================================
+
+    getFont(run) {
+        if (run.code) return FONTS.code;
+        if (run.bold && run.italic) return FONTS.boldItalic;
+        if (run.bold) return FONTS.bold;
+        if (run.italic) return FONTS.italic;
+        return FONTS.regular;
+    }
+
+    measureText(text, font, size) {
+        let units = 0;
+        for (const char of this.toWinAnsi(text)) {
+            const code = char.charCodeAt(0);
+            units += font.widths ? (font.widths[code - 32] || 0) : 600;
+        }
+        return units / 1000 * size;
+    }
+
+    measureRuns(runs, size) {
+        return runs.reduce((sum, run) => sum + this.measureText(run.text, this.getFont(run), size), 0);
+    }
+
+    // Greedy word wrap; returns lines of { text, font, width } parts
+    wrapRuns(runs, maxWidth, size) {
+        const tokens = [];
+        runs.forEach(run => {
+            const font = this.getFont(run);
+            run.text.split(/(\s+)/).filter(part => part).forEach(part => {
+                tokens.push({ text: /^\s+$/.test(part) ? ' ' : part, font, isSpace: /^\s+$/.test(part) });
+            });
+        });
+
+        const lines = [];
+        let line = [];
+        let lineWidth = 0;
+
+        const pushLine = () => {
+            while (line.length > 0 && line[line.length - 1].isSpace) {
+                lineWidth -= line.pop().width;
+            }
+            lines.push(line);
+            line = [];
+            lineWidth = 0;
+        };
+
+        tokens.forEach(token => {
+            if (token.isSpace && line.length === 0) return;
+
+            let width = this.measureText(token.text, token.font, size);
+            if (lineWidth + width <= maxWidth || token.isSpace) {
+                line.push({ ...token, width });
+                lineWidth += width;
+                return;
+            }
+
+            if (line.length > 0) pushLine();
+
+            // Words wider than the line are broken by character
+            let text = token.text;
+            while (width > maxWidth && text.length > 1) {
+                let fit = 1;
+                while (fit < text.length && this.measureText(text.slice(0, fit + 1), token.font, size) <= maxWidth) fit++;
+                line.push({ ...token, text: text.slice(0, fit), width: this.measureText(text.slice(0, fit), token.font, size) });
+                pushLine();
+                text = text.slice(fit);
+                width = this.measureText(text, token.font, size);
+            }
+            line.push({ ...token, text, width });
+            lineWidth = width;
+        });
+
+        if (line.length > 0 || lines.length === 0) pushLine();
+        return lines;
+    }
+
+    drawLine(line, x, size, lineHeight, color = [0, 0, 0]) {
+        this.ensureSpace(lineHeight);
+        this.drawRunsAt(line, x, this.y + (lineHeight - size) / 2, size, color);
+        this.y += lineHeight;
+    }
+
+    // Draw parts (or runs) left to right; top is the top of the text line
+    drawRunsAt(parts, x, top, size, color = [0, 0, 0]) {
+        let cursor = x;
+        let group = null;
+
+        // Parts in the same font share one text operation, so viewers copy words with their spaces
+        const flush = () => {
+            if (group && group.text.trim()) {
+                this.page.ops.push({ type: 'text', x: group.x, y: top + size * 0.8, font: group.font, size, text: group.text, color });
+            }
+            group = null;
+        };
+
+        parts.forEach(part => {
+            const font = part.font || this.getFont(part);
+            const width = typeof part.width === 'number' ? part.width : this.measureText(part.text, font, size);
+            if (!group || group.font !== font) {
+                flush();
+                group = { x: cursor, font, text: '' };
+            }
+            group.text += part.text;
+            cursor += width;
+        });
+        flush();
+    }
+
+    addLine(x1, y1, x2, y2, width, color) {
+        this.page.ops.push({ type: 'line', x1, y1, x2, y2, width, color });
+    }
+
+    addRect(x, y, width, height, color) {
+        this.page.ops.push({ type: 'rect', x, y, width, height, color });
+    }
+
+    addPageNumbers() {
+        const size = 9;
+        const total = this.pages.length;
+        this.pages.forEach((page, index) => {
+            const label = `Page ${index + 1} of ${total}`;
+            const width = this.measureText(label, FONTS.regular, size);
+            page.ops.push({
+                type: 'text',
+                x: (this.pageWidth - width) / 2,
+                y: this.pageHeight - this.margin / 2,
+                font: FONTS.regular,
+                size,
+                text: label,
+                color: [0.45, 0.45, 0.45]
+            });
+        });
+    }
+
+    // ============================================================================
+    // PDF SERIALIZATION
+    // ============================================================================
+
+    toWinAnsi(text) {
+        let result = '';
+        for (const char of text) {
+            if (WIN_ANSI_CODES.has(char)) {
+                result += String.fromCharCode(WIN_ANSI_CODES.get(char));
+            } else if (char in SUBSTITUTIONS) {
+                result += SUBSTITUTIONS[char];
+            } else if (/[\p{Extended_Pictographic}\u{FE0F}\u{200D}]/u.test(char)) {
+                // Emoji have no glyph in the core fonts
+                continue;
+            } else if (char === '\t') {
+                result += '    ';
+            } else {
+                result += '?';
+            }
+        }
+        return result;
+    }
+
+    // PDF literal string with everything outside printable ASCII escaped
+    pdfString(text) {
+        let result = '(';
+        for (const char of this.toWinAnsi(text)) {
+            const code = char.charCodeAt(0);
+            if (char === '(' || char === ')' || char === '\\') {
+                result += '\\' + char;
+            } else if (code < 32 || code > 126) {
+                result += '\\' + code.toString(8).padStart(3, '0');
+            } else {
+                result += char;
+            }
+        }
+        return result + ')';
+    }
+
+    formatNumber(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    buildContentStream(page) {
+        const n = (value) => this.formatNumber(value);
+        const flipY = (y) => this.pageHeight - y;
+        const commands = [];
+
+        page.ops.forEach(op => {
+            const color = op.color.map(n).join(' ');
+            switch (op.type) {
+                case 'text':
+                    commands.push(`BT /${op.font.resource} ${n(op.size)} Tf ${color} rg ${n(op.x)} ${n(flipY(op.y))} Td ${this.pdfString(op.text)} Tj ET`);
+                    break;
+                case 'line':
+                    commands.push(`${n(op.width)} w ${color} RG ${n(op.x1)} ${n(flipY(op.y1))} m ${n(op.x2)} ${n(flipY(op.y2))} l S`);
+                    break;
+                case 'rect':
+                    commands.push(`${color} rg ${n(op.x)} ${n(flipY(op.y + op.height))} ${n(op.width)} ${n(op.height)} re f`);
+                    break;
+            }
+        });
+
+        return commands.join('\n');
+    }
+
+    formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+
+    serialize() {
+        const objects = []; // Object bodies; object number = index + 1
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+
+        const fontIds = {};
+        Object.values(FONTS).forEach(font => {
+            fontIds[font.resource] = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+        });
+        const fontResources = Object.entries(fontIds).map(([resource, id]) => `/${resource} ${id} 0 R`).join(' ');
+
+        const pageIds = this.pages.map(page => {
+            const content = this.buildContentStream(page);
+            const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+            return addObject(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.formatNumber(this.pageWidth)} ${this.formatNumber(this.pageHeight)}] ` +
+                `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+            );
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        const info = [`/Producer ${this.pdfString('ToolFlowBuilder')}`, `/CreationDate ${this.pdfString(this.formatDate(new Date()))}`];
+        if (this.title) info.push(`/Title ${this.pdfString(this.title)}`);
+        if (this.author) info.push(`/Author ${this.pdfString(this.author)}`);
+        const infoId = addObject(`<< ${info.join(' ')} >>`);
+
+        // One byte per character, so string offsets are byte offsets
+        let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+        const offsets = [];
+        objects.forEach((body, index) => {
+            offsets.push(output.length);
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        });
+
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(offset => {
+            output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+        });
+        output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        // Latin-1 bytes so the binary marker comment stays one byte per character
+        const bytes = new Uint8Array(output.length);
+        for (let i = 0; i < output.length; i++) {
+            bytes[i] = output.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    }
+}
+
+export { PdfWriter };
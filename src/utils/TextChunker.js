@@ -0,0 +1,132 @@
+// Text chunker for long LLM inputs
+// Splits on the largest natural boundary that fits: page, paragraph, line, sentence, then word
+
+import { TokenEstimator } from './TokenEstimator.js';
+
+// Boundaries from coarse to fine; pages come first when the page texts are known (options.pages)
+const PAGE_JOIN = '\n\n';
+const BOUNDARIES = [
+    { name: 'paragraph', split: /\n\s*\n/, join: '\n\n' },
+    { name: 'line', split: /\n/, join: '\n' },
+    { name: 'sentence', split: /(?<=[.!?])\s+/, join: ' ' },
+    // Chinese and Japanese sentences end in full-width punctuation without a following space
+    { name: 'cjk-sentence', split: /(?<=[。！？])/, join: '' },
+    { name: 'word', split: /\s+/, join: ' ' }
+];
+
+class TextChunker {
+    // Split text into chunks of at most maxTokens; overlapTokens of the previous chunk are repeated for context.
+    // options.pages holds the page texts the text was joined from (pdf2text pageTexts)
+    static split(text, options = {}) {
+        const maxTokens = options.maxTokens || 4000;
+        const overlapTokens = options.overlapTokens || 0;
+
+        if (TokenEstimator.estimate(text) <= maxTokens) {
+            return [text];
+        }
+
+        const pages = (options.pages || []).filter(page => page.trim());
+        const chunks = (pages.length > 1
+            ? TextChunker.packPieces(pages, PAGE_JOIN, maxTokens, 0)
+            : TextChunker.splitRecursive(text, maxTokens, 0))
+            .map(chunk => chunk.trim())
+            .filter(chunk => chunk);
+
+        return overlapTokens > 0 ? TextChunker.addOverlap(chunks, overlapTokens) : chunks;
+    }
+
+    static splitRecursive(text, maxTokens, boundaryIndex) {
+        if (TokenEstimator.estimate(text) <= maxTokens) {
+            return [text];
+        }
+
+        if (boundaryIndex >= BOUNDARIES.length) {
+            return TextChunker.splitByCharacters(text, maxTokens);
+        }
+
+        const boundary = BOUNDARIES[boundaryIndex];
+        const pieces = text.split(boundary.split).filter(piece => piece.trim());
+        if (pieces.length <= 1) {
+            return TextChunker.splitRecursive(text, maxTokens, boundaryIndex + 1);
+        }
+
+        return TextChunker.packPieces(pieces, boundary.join, maxTokens, boundaryIndex + 1);
+    }
+
+    // Greedily pack pieces; pieces that are too large on their own are split from BOUNDARIES[nextBoundaryIndex] on
+    static packPieces(pieces, join, maxTokens, nextBoundaryIndex) {
+        const chunks = [];
+        let current = '';
+        pieces.forEach(piece => {
+            if (TokenEstimator.estimate(piece) > maxTokens) {
+                if (current) chunks.push(current);
+                current = '';
+                chunks.push(...TextChunker.splitRecursive(piece, maxTokens, nextBoundaryIndex));
+                return;
+            }
+
+            const candidate = current ? current + join + piece : piece;
+            if (TokenEstimator.estimate(candidate) <= maxTokens) {
+                current = candidate;
+            } else {
+                chunks.push(current);
+                current = piece;
+            }
+        });
+        if (current) chunks.push(current);
+
+        return chunks;
+    }
+
+    // Last resort for text without any whitespace. Slices start at the Latin character budget and shrink
+    // until they fit, since CJK text takes about one token per character
+    static splitByCharacters(text, maxTokens) {
+        const size = Math.max(1, TokenEstimator.charactersForTokens(maxTokens));
+        const chunks = [];
+        let start = 0;
+        while (start < text.length) {
+            let end = Math.min(text.length, start + size);
+            if (TokenEstimator.estimate(text.slice(start, end)) > maxTokens) {
+                // Longest slice that fits: low always fits, high never does
+                let low = start + 1;
+                let high = end;
+                while (high - low > 1) {
+                    const middle = Math.floor((low + high) / 2);
+                    if (TokenEstimator.estimate(text.slice(start, middle)) <= maxTokens) {
+                        low = middle;
+                    } else {
+                        high = middle;
+                    }
+                }
+                end = low;
+            }
+            chunks.push(text.slice(start, end));
+            start = end;
+        }
+        return chunks;
+    }
+
+    static addOverlap(chunks, overlapTokens) {
+        const overlapCharacters = TokenEstimator.charactersForTokens(overlapTokens);
+
+        return chunks.map((chunk, index) => {
+            if (index === 0) return chunk;
+
+            // Start the overlap at a word boundary
+            const previous = chunks[index - 1];
+            let overlap = previous.slice(-overlapCharacters);
+            if (TokenEstimator.estimate(overlap) > overlapTokens) {
+                // CJK text: at most one token per character
+                overlap = overlap.slice(-overlapTokens);
+            }
+            const firstSpace = overlap.search(/\s/);
+            if (firstSpace > 0 && overlap.length === overlapCharacters) {
+                overlap = overlap.slice(firstSpace + 1);
+            }
+
+            return `${overlap.trim()}\n\n${chunk}`;
+        });
+    }
+}
+
+export { TextChunker };
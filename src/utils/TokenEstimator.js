@@ -0,0 +1,45 @@
+// Token estimator for LLM requests
+// Offline heuristic close to BPE tokenizers: ~4 characters per token for Latin text, one per CJK character
+
+const CHARS_PER_TOKEN = 4;
+
+class TokenEstimator {
+    // Estimate the number of tokens in a string
+    static estimate(text) {
+        if (!text) return 0;
+
+        // CJK and similar scripts tokenize to roughly one token per character
+        const wideCharacters = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length;
+        const otherCharacters = text.length - wideCharacters;
+
+        return wideCharacters + Math.ceil(otherCharacters / CHARS_PER_TOKEN);
+    }
+
+    // Estimate the tokens of a chat-completions message list, including per-message overhead
+    static estimateMessages(messages) {
+        return messages.reduce((total, message) => {
+            const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content || '');
+            return total + 4 + TokenEstimator.estimate(content);
+        }, 3);
+    }
+
+    // Approximate character budget for a token budget
+    static charactersForTokens(tokens) {
+        return tokens * CHARS_PER_TOKEN;
+    }
+
+    // Add up the usage the providers reported ({ prompt_tokens, completion_tokens, total_tokens });
+    // null when none of the requests reported any
+    static sumUsage(usages) {
+        const reported = usages.filter(usage => usage);
+        if (reported.length === 0) return null;
+
+        return reported.reduce((total, usage) => ({
+            prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+            completion_tokens: total.completion_tokens + (usage.completion_tokens || 0),
+            total_tokens: total.total_tokens + (usage.total_tokens || 0)
+        }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+    }
+}
+
+export { TokenEstimator };
@@ -0,0 +1,142 @@
+// WorkflowDiff - Differences between two toolflowbuilder-v4 documents
+// Actions are matched by node id, which survives export, import and the library; positions are layout only
+
+const MAX_DIFF_WORDS = 2000; // Longer prompts are shown as replaced instead of diffed word by word
+
+class WorkflowDiff {
+    /**
+     * Compare two V4 workflows
+     *
+     * Returns { actions: { added, removed, changed: [{ id, type, changes: [{ field, before, after }], promptDiff }] },
+     * connections: { added, removed }, outputs: { added, removed, renamed: [{ systemName, before, after }] }, changeCount }
+     * where promptDiff is a diffText result, or null when the user prompt is unchanged
+     */
+    static compare(before, after) {
+        const beforeActions = new Map((before.actions || []).map(action => [action.id, action]));
+        const afterActions = new Map((after.actions || []).map(action => [action.id, action]));
+
+        const actions = {
+            added: (after.actions || []).filter(action => !beforeActions.has(action.id)),
+            removed: (before.actions || []).filter(action => !afterActions.has(action.id)),
+            changed: []
+        };
+        (after.actions || []).filter(action => beforeActions.has(action.id)).forEach(action => {
+            const changed = WorkflowDiff.compareAction(beforeActions.get(action.id), action);
+            if (changed) actions.changed.push(changed);
+        });
+
+        const connections = WorkflowDiff.compareBy(before.connections, after.connections, WorkflowDiff.connectionKey);
+        const outputs = WorkflowDiff.compareBy(before.outputFiles, after.outputFiles, output => output.systemName || output.filename);
+        outputs.renamed = (after.outputFiles || [])
+            .map(output => {
+                const previous = (before.outputFiles || []).find(o => (o.systemName || o.filename) === (output.systemName || output.filename));
+                return previous && previous.filename !== output.filename
+                    ? { systemName: output.systemName || output.filename, before: previous.filename, after: output.filename }
+                    : null;
+            })
+            .filter(Boolean);
+
+        return {
+            actions,
+            connections: { added: connections.added, removed: connections.removed },
+            outputs,
+            changeCount: actions.added.length + actions.removed.length + actions.changed.length +
+                connections.added.length + connections.removed.length +
+                outputs.added.length + outputs.removed.length + outputs.renamed.length
+        };
+    }
+
+    // Field-level changes of one node, or null when only its position differs
+    static compareAction(before, after) {
+        const changes = [];
+        ['type', 'inputs', 'outputs'].forEach(field => {
+            if (!WorkflowDiff.isEqual(before[field], after[field])) {
+                changes.push({ field, before: before[field], after: after[field] });
+            }
+        });
+
+        const { userPrompt: beforePrompt = '', ...beforeParams } = before.parameters || {};
+        const { userPrompt: afterPrompt = '', ...afterParams } = after.parameters || {};
+        [...new Set([...Object.keys(beforeParams), ...Object.keys(afterParams)])].forEach(key => {
+            if (!WorkflowDiff.isEqual(beforeParams[key], afterParams[key])) {
+                changes.push({ field: key, before: beforeParams[key], after: afterParams[key] });
+            }
+        });
+
+        const promptDiff = beforePrompt !== afterPrompt ? WorkflowDiff.diffText(beforePrompt, afterPrompt) : null;
+        if (changes.length === 0 && !promptDiff) return null;
+
+        return { id: after.id, type: after.type, changes, promptDiff };
+    }
+
+    // Items only in before (removed) and only in after (added), matched by key
+    static compareBy(beforeItems = [], afterItems = [], keyOf) {
+        const beforeKeys = new Set(beforeItems.map(keyOf));
+        const afterKeys = new Set(afterItems.map(keyOf));
+        return {
+            added: afterItems.filter(item => !beforeKeys.has(keyOf(item))),
+            removed: beforeItems.filter(item => !afterKeys.has(keyOf(item)))
+        };
+    }
+
+    // Connection ids are regenerated on every export, so connections match by their ends
+    static connectionKey(connection) {
+        return `${connection.from}→${connection.to}:${connection.label || ''}`;
+    }
+
+    /**
+     * Word-level diff: a list of { type: 'same' | 'added' | 'removed', text } parts
+     * that rebuild before from the same and removed parts and after from the same and added parts
+     */
+    static diffText(before, after) {
+        const a = before.split(/(\s+)/).filter(Boolean);
+        const b = after.split(/(\s+)/).filter(Boolean);
+        if (a.length > MAX_DIFF_WORDS || b.length > MAX_DIFF_WORDS) {
+            return WorkflowDiff.mergeParts([{ type: 'removed', text: before }, { type: 'added', text: after }]);
+        }
+
+        // Longest common subsequence, filled from the end so the walk below goes forward
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const parts = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                parts.push({ type: 'same', text: a[i++] });
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                parts.push({ type: 'removed', text: a[i++] });
+            } else {
+                parts.push({ type: 'added', text: b[j++] });
+            }
+        }
+        a.slice(i).forEach(text => parts.push({ type: 'removed', text }));
+        b.slice(j).forEach(text => parts.push({ type: 'added', text }));
+        return WorkflowDiff.mergeParts(parts);
+    }
+
+    // Join neighbouring parts of the same type
+    static mergeParts(parts) {
+        return parts.filter(part => part.text).reduce((merged, part) => {
+            const last = merged[merged.length - 1];
+            if (last && last.type === part.type) {
+                last.text += part.text;
+            } else {
+                merged.push({ ...part });
+            }
+            return merged;
+        }, []);
+    }
+
+    static isEqual(a, b) {
+        return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+    }
+}
+
+export { WorkflowDiff };
@@ -0,0 +1,151 @@
+// WorkflowMigrations - Upgrades older workflow documents step by step to the current Visual JSON version
+// Each step takes the document of one version to the next; add a step whenever WorkflowSchemas.visualVersion() changes
+
+import { WorkflowSchemas } from './WorkflowSchemas.js';
+
+const LEGACY_VERSION = 'legacy';
+
+// In order; every step's `from` is the previous step's `to`
+const MIGRATIONS = [
+    {
+        from: LEGACY_VERSION,
+        to: '4.0.0',
+        description: 'nodes with customPrompt and params became V4 actions with parameters',
+        migrate: (workflow) => WorkflowMigrations.migrateLegacyNodes(workflow)
+    },
+    {
+        from: '4.0.0',
+        to: '4.1.0',
+        description: 'input files got their A, B, C labels and output files their system names',
+        migrate: (workflow) => WorkflowMigrations.migrateFileLabels(workflow)
+    }
+];
+
+class WorkflowMigrations {
+    /**
+     * Version of a workflow document: the V4 version, 'legacy' for the { nodes, connections } shape
+     * of generated workflows and createEasterEggWorkflow, or null when it is no workflow at all
+     */
+    static detectVersion(workflow) {
+        if (!workflow || typeof workflow !== 'object') return null;
+        if (workflow.format === WorkflowSchemas.visualFormat()) return workflow.version || '4.0.0';
+        if (Array.isArray(workflow.nodes)) return LEGACY_VERSION;
+        return null;
+    }
+
+    // False for current documents and for anything that is no workflow
+    static needsMigration(workflow) {
+        const version = WorkflowMigrations.detectVersion(workflow);
+        return version !== null && version !== WorkflowSchemas.visualVersion();
+    }
+
+    /**
+     * Upgrade a copy of the document to the current version
+     *
+     * Returns { workflow, fromVersion, applied } where applied describes every step that ran.
+     * Throws for documents that are not workflows or come from a newer version of the app.
+     */
+    static migrate(workflow) {
+        const fromVersion = WorkflowMigrations.detectVersion(workflow);
+        if (!fromVersion) {
+            throw new Error(`Not a ToolFlowBuilder workflow: expected format "${WorkflowSchemas.visualFormat()}" or a nodes list`);
+        }
+
+        let current = JSON.parse(JSON.stringify(workflow));
+        let version = fromVersion;
+        const applied = [];
+
+        while (version !== WorkflowSchemas.visualVersion()) {
+            const step = MIGRATIONS.find(migration => migration.from === version);
+            if (!step) {
+                throw new Error(`Workflow version ${version} is not supported; this app reads up to ${WorkflowSchemas.visualVersion()}`);
+            }
+
+            // The JSON round trip drops fields a step left undefined, as an export would
+            current = JSON.parse(JSON.stringify(step.migrate(current)));
+            current.version = step.to;
+            applied.push(`${step.from} → ${step.to}: ${step.description}`);
+            version = step.to;
+        }
+
+        if (applied.length > 0) {
+            console.log(`🔄 WorkflowMigrations: Upgraded workflow from ${fromVersion} to ${version}`, applied);
+        }
+        return { workflow: current, fromVersion, applied };
+    }
+
+    // { id, name, files, nodes: [{ id, type, inputs | inputLabels | fileInputs, outputs | outputLabels,
+    //   params, customPrompt, position }], connections: [{ from, to, fileName }] } -> V4
+    static migrateLegacyNodes(workflow) {
+        // V4 node ids are node_N; other ids (final_analyzer) get the next free number
+        const ids = new Map();
+        const taken = new Set(workflow.nodes.map(node => node.id).filter(id => /^node_\d+$/.test(id)));
+        let next = 1;
+        workflow.nodes.forEach(node => {
+            if (taken.has(node.id)) {
+                ids.set(node.id, node.id);
+                return;
+            }
+            while (taken.has(`node_${next}`)) next++;
+            taken.add(`node_${next}`);
+            ids.set(node.id, `node_${next}`);
+        });
+
+        const files = workflow.files || [];
+        return {
+            format: WorkflowSchemas.visualFormat(),
+            version: '4.0.0',
+            created: workflow.created || new Date().toISOString(),
+            updated: new Date().toISOString(),
+            metadata: {
+                name: workflow.name || 'Migrated Workflow',
+                description: workflow.description || 'Workflow migrated from the nodes format',
+                author: 'user',
+                tags: ['migrated'],
+                status: workflow.nodes.length > 0 ? 'designed' : 'empty'
+            },
+            inputFiles: files.map((file, index) => ({
+                label: file.label || String.fromCharCode(65 + index),
+                originalName: file.name,
+                type: file.type,
+                size: file.size
+            })),
+            textFiles: [],
+            actions: workflow.nodes.map(node => ({
+                id: ids.get(node.id),
+                type: node.type,
+                inputs: node.inputs || node.inputLabels || (node.fileInputs || []).map(file => file.label),
+                outputs: node.outputs || node.outputLabels || [],
+                parameters: {
+                    userPrompt: node.customPrompt || node.userPrompt || '',
+                    ...(node.params || {})
+                },
+                position: node.position || { x: 0, y: 0 }
+            })),
+            connections: (workflow.connections || []).map(connection => ({
+                from: ids.get(connection.from) || connection.from,
+                to: ids.get(connection.to) || connection.to,
+                label: connection.fileName || connection.label
+            })),
+            outputFiles: []
+        };
+    }
+
+    // 4.0.0 exports wrote raw File objects as inputFiles and business names without the system name
+    static migrateFileLabels(workflow) {
+        return {
+            ...workflow,
+            inputFiles: (workflow.inputFiles || []).map((file, index) => ({
+                ...file,
+                label: file.label || String.fromCharCode(65 + index),
+                originalName: file.originalName || file.name
+            })),
+            outputFiles: (workflow.outputFiles || []).map(output => ({
+                ...output,
+                systemName: output.systemName || output.filename
+            }))
+        };
+    }
+}
+
+export { WorkflowMigrations };
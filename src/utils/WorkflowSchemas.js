@@ -0,0 +1,144 @@
+// WorkflowSchemas - JSON Schemas of the two workflow formats, for JsonSchemaValidator
+// Visual JSON (json1) is what exportWorkflow writes and import reads; Action JSON (json2) is what WorkflowEngine runs
+
+const VISUAL_FORMAT = 'toolflowbuilder-v4';
+const VISUAL_VERSION = '4.1.0'; // Bump together with a new step in WorkflowMigrations
+
+class WorkflowSchemas {
+    static visualFormat() {
+        return VISUAL_FORMAT;
+    }
+
+    static visualVersion() {
+        return VISUAL_VERSION;
+    }
+
+    // toolIds: known tool types; omit to accept any non-empty type
+    static visual(toolIds = null) {
+        const labelList = { type: 'array', items: { type: 'string', minLength: 1 } };
+        return {
+            type: 'object',
+            required: ['format', 'version', 'actions'],
+            properties: {
+                format: { const: VISUAL_FORMAT },
+                version: { const: VISUAL_VERSION },
+                metadata: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        description: { type: 'string' },
+                        author: { type: 'string' },
+                        tags: { type: 'array', items: { type: 'string' } }
+                    }
+                },
+                inputFiles: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['label'],
+                        properties: {
+                            label: { type: 'string', pattern: '^[A-Z]+$' },
+                            originalName: { type: 'string' },
+                            type: { type: 'string' },
+                            size: { type: 'number', minimum: 0 }
+                        }
+                    }
+                },
+                textFiles: {
+                    type: 'array',
+                    items: { type: 'object', required: ['label'], properties: { label: { type: 'string' } } }
+                },
+                actions: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'type'],
+                        properties: {
+                            id: { type: 'string', pattern: '^node_\\d+$' },
+                            type: WorkflowSchemas.toolType(toolIds),
+                            inputs: labelList,
+                            outputs: labelList,
+                            parameters: {
+                                type: 'object',
+                                properties: {
+                                    userPrompt: { type: 'string' },
+                                    errorPolicy: WorkflowSchemas.errorPolicy()
+                                }
+                            },
+                            position: {
+                                type: 'object',
+                                required: ['x', 'y'],
+                                properties: { x: { type: 'number' }, y: { type: 'number' } }
+                            }
+                        }
+                    }
+                },
+                connections: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['from', 'to'],
+                        properties: { from: { type: 'string' }, to: { type: 'string' }, label: { type: 'string' } }
+                    }
+                },
+                outputFiles: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['filename', 'systemName'],
+                        properties: { filename: { type: 'string', minLength: 1 }, systemName: { type: 'string', minLength: 1 } }
+                    }
+                }
+            }
+        };
+    }
+
+    // Output of WorkflowEngine.convertVisualToActionJSON
+    static action(toolIds = null) {
+        return {
+            type: 'object',
+            required: ['actions'],
+            properties: {
+                systemPrompt: { type: 'string' },
+                fileMapping: { type: 'object', additionalProperties: { type: 'string' } },
+                actions: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['toolType', 'inputFiles', 'outputFile'],
+                        properties: {
+                            nodeId: { type: 'string' },
+                            toolType: WorkflowSchemas.toolType(toolIds),
+                            toolSystemPrompt: { type: 'string' },
+                            toolUserPrompt: { type: 'string' },
+                            inputFiles: { type: 'array', items: { type: 'string', minLength: 1 } },
+                            outputFile: { type: 'string', minLength: 1 },
+                            outputRequired: { type: 'boolean' },
+                            errorPolicy: { ...WorkflowSchemas.errorPolicy(), type: ['object', 'null'] }
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    static toolType(toolIds) {
+        return toolIds ? { type: 'string', enum: toolIds } : { type: 'string', minLength: 1 };
+    }
+
+    // Node override of Config.execution.errorPolicy; every field is optional
+    static errorPolicy() {
+        return {
+            type: 'object',
+            properties: {
+                mode: { enum: ['stop', 'retry', 'skip', 'fallback'] },
+                retries: { type: 'integer', minimum: 0 },
+                retryDelay: { type: 'number', minimum: 0 },
+                fallbackTool: { type: 'string' },
+                fallbackModel: { type: 'string' }
+            }
+        };
+    }
+}
+
+export { WorkflowSchemas };
@@ -0,0 +1,276 @@
+// XlsxTextExtractor - Offline text extraction from Excel workbooks
+// Every sheet becomes a markdown table or CSV block built from the cells' stored values (cached results for formulas)
+
+import { ZipArchive } from './ZipArchive.js';
+import { OfficeXml } from './OfficeXml.js';
+
+// Built-in number formats that show dates or times
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// Days between Excel's 1900 epoch (counted from 1899-12-30) and 1970-01-01
+const EXCEL_EPOCH_OFFSET = 25569;
+const DATE_1904_OFFSET = 1462;
+
+class XlsxTextExtractor {
+    // options.format: 'markdown' or 'csv'
+    // Returns { text, sheets: [{ name, hidden, rows: [[cell]] }], warnings }
+    async extract(data, options = {}) {
+        const format = options.format || 'markdown';
+        const entries = await ZipArchive.read(data);
+        if (!entries.has('xl/workbook.xml')) {
+            throw new Error('File is not an Excel workbook');
+        }
+
+        const warnings = [];
+        const workbookXml = OfficeXml.readPart(entries, 'xl/workbook.xml');
+        const relationships = OfficeXml.parseRelationships(OfficeXml.readPart(entries, 'xl/_rels/workbook.xml.rels'), 'xl');
+        const context = {
+            sharedStrings: this.parseSharedStrings(OfficeXml.readPart(entries, 'xl/sharedStrings.xml')),
+            dateStyles: this.parseDateStyles(OfficeXml.readPart(entries, 'xl/styles.xml')),
+            date1904: false
+        };
+
+        const sheets = [];
+        for (const token of OfficeXml.tokens(workbookXml)) {
+            if (token.type !== 'open') continue;
+            const name = this.localName(token.name);
+
+            if (name === 'workbookPr') {
+                context.date1904 = ['1', 'true'].includes(token.attrs.date1904);
+            } else if (name === 'sheet') {
+                const partName = relationships.get(token.attrs['r:id']);
+                // Chart sheets have no cells
+                if (partName && partName.includes('/chartsheets/')) continue;
+
+                const sheetXml = partName ? OfficeXml.readPart(entries, partName) : '';
+                if (!sheetXml) {
+                    warnings.push(`Sheet "${token.attrs.name}" could not be read`);
+                    continue;
+                }
+
+                sheets.push({
+                    name: token.attrs.name,
+                    hidden: ['hidden', 'veryHidden'].includes(token.attrs.state),
+                    rows: this.parseSheet(sheetXml, context)
+                });
+            }
+        }
+
+        const filledSheets = sheets.filter(sheet => sheet.rows.length > 0);
+        if (filledSheets.length === 0) {
+            warnings.push('Workbook contains no data');
+        }
+
+        return {
+            text: filledSheets.map(sheet => {
+                const heading = `## ${sheet.name}${sheet.hidden ? ' (hidden)' : ''}`;
+                const table = format === 'csv' ? this.toCsv(sheet.rows) : OfficeXml.markdownTable(sheet.rows);
+                return `${heading}\n\n${table}`;
+            }).join('\n\n'),
+            sheets,
+            warnings
+        };
+    }
+
+    // Rows of cell strings, trimmed to the used range so empty margins don't become empty columns
+    parseSheet(xml, context) {
+        const cells = new Map(); // Row index -> Map of column index -> value
+        let rowIndex = -1;
+        let nextColumn = 0;
+        let cell = null;
+        let inValue = false;
+        let inText = false;
+        let phoneticDepth = 0;
+
+        for (const token of OfficeXml.tokens(xml)) {
+            const name = token.name ? this.localName(token.name) : null;
+
+            if (token.type === 'text') {
+                if (cell && (inValue || (inText && phoneticDepth === 0))) cell.value += token.text;
+                continue;
+            }
+
+            if (token.type === 'close') {
+                if (name === 'v') inValue = false;
+                if (name === 't') inText = false;
+                if (name === 'rPh') phoneticDepth--;
+                if (name === 'c' && cell) {
+                    const value = this.formatCell(cell, context);
+                    if (value !== '') {
+                        if (!cells.has(rowIndex)) cells.set(rowIndex, new Map());
+                        cells.get(rowIndex).set(cell.column, value);
+                    }
+                    nextColumn = cell.column + 1;
+                    cell = null;
+                }
+                continue;
+            }
+
+            switch (name) {
+                case 'row':
+                    rowIndex = token.attrs.r ? parseInt(token.attrs.r, 10) - 1 : rowIndex + 1;
+                    nextColumn = 0;
+                    break;
+                case 'c':
+                    cell = {
+                        column: token.attrs.r ? this.columnIndex(token.attrs.r) : nextColumn,
+                        type: token.attrs.t || 'n',
+                        style: parseInt(token.attrs.s, 10) || 0,
+                        value: ''
+                    };
+                    break;
+                case 'v':
+                    inValue = !token.selfClosing;
+                    break;
+                case 't':
+                    inText = !token.selfClosing;
+                    break;
+                case 'rPh':
+                    phoneticDepth++;
+                    break;
+            }
+        }
+
+        if (cells.size === 0) return [];
+
+        // Only rows and columns holding a value: a stray cell at XFD1048576 must not
+        // blow the table up to millions of empty cells
+        const columns = new Set();
+        cells.forEach(row => row.forEach((value, column) => columns.add(column)));
+        const columnIndexes = [...columns].sort((a, b) => a - b);
+
+        return [...cells.keys()]
+            .sort((a, b) => a - b)
+            .map(r => columnIndexes.map(c => (cells.get(r).has(c) ? cells.get(r).get(c) : '')));
+    }
+
+    formatCell(cell, context) {
+        const value = cell.value;
+
+        switch (cell.type) {
+            case 's':
+                return context.sharedStrings[parseInt(value, 10)] || '';
+            case 'inlineStr':
+            case 'str':
+                return this.decodeEscapes(value);
+            case 'b':
+                return value === '1' ? 'TRUE' : 'FALSE';
+            case 'e':
+            case 'd':
+                return value;
+        }
+
+        if (value === '') return '';
+        const number = Number(value);
+        if (isNaN(number)) return value;
+
+        if (context.dateStyles.has(cell.style)) {
+            return this.formatDate(number, context.date1904);
+        }
+        // Stored doubles like 0.30000000000000004 show as Excel does, with 15 significant digits
+        return String(parseFloat(number.toPrecision(15)));
+    }
+
+    formatDate(serial, date1904) {
+        const days = date1904 ? serial + DATE_1904_OFFSET : serial;
+        const date = new Date(Math.round((days - EXCEL_EPOCH_OFFSET) * 86400000));
+        if (isNaN(date.getTime())) return String(serial);
+
+        const iso = date.toISOString();
+        const time = iso.slice(11, 19).replace(/:00$/, '');
+        if (serial < 1) return time;
+        return Number.isInteger(serial) ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${time}`;
+    }
+
+    // "AB12" -> 27
+    columnIndex(reference) {
+        const letters = reference.match(/^[A-Z]+/i);
+        if (!letters) return 0;
+        return letters[0].toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    parseSharedStrings(xml) {
+        const strings = [];
+        let current = null;
+        let inText = false;
+        let phoneticDepth = 0;
+
+        for (const token of OfficeXml.tokens(xml)) {
+            const name = token.name ? this.localName(token.name) : null;
+
+            if (token.type === 'text') {
+                if (current !== null && inText && phoneticDepth === 0) current += token.text;
+            } else if (token.type === 'open') {
+                if (name === 'si') current = '';
+                if (name === 't') inText = !token.selfClosing;
+                if (name === 'rPh') phoneticDepth++;
+            } else {
+                if (name === 't') inText = false;
+                if (name === 'rPh') phoneticDepth--;
+                if (name === 'si') {
+                    strings.push(this.decodeEscapes(current));
+                    current = null;
+                }
+            }
+        }
+        return strings;
+    }
+
+    // Indexes of cell formats (the s attribute of a cell) that display dates
+    parseDateStyles(xml) {
+        const customFormats = new Map();
+        const dateStyles = new Set();
+        let inCellFormats = false;
+        let styleIndex = 0;
+
+        for (const token of OfficeXml.tokens(xml)) {
+            const name = token.name ? this.localName(token.name) : null;
+
+            if (token.type === 'close') {
+                if (name === 'cellXfs') inCellFormats = false;
+                continue;
+            }
+            if (token.type !== 'open') continue;
+
+            if (name === 'numFmt') {
+                customFormats.set(parseInt(token.attrs.numFmtId, 10), token.attrs.formatCode || '');
+            } else if (name === 'cellXfs') {
+                inCellFormats = true;
+            } else if (name === 'xf' && inCellFormats) {
+                const formatId = parseInt(token.attrs.numFmtId, 10) || 0;
+                const isDate = customFormats.has(formatId)
+                    ? this.isDateFormat(customFormats.get(formatId))
+                    : BUILTIN_DATE_FORMATS.has(formatId);
+                if (isDate) dateStyles.add(styleIndex);
+                styleIndex++;
+            }
+        }
+        return dateStyles;
+    }
+
+    // A format code shows a date when it has date or time tokens outside quoted text and [colour] sections
+    isDateFormat(code) {
+        const tokens = code.replace(/"[^"]*"/g, '').replace(/\\./g, '').replace(/\[[^\]]*\]/g, '');
+        return /[dmyhs]/i.test(tokens.split(';')[0]);
+    }
+
+    // Excel writes control characters in strings as _xHHHH_
+    decodeEscapes(text) {
+        return text.replace(/_x([0-9A-Fa-f]{4})_/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    // Workbooks written by some tools prefix every element (x:sheet, x:row)
+    localName(name) {
+        const colon = name.indexOf(':');
+        return colon >= 0 ? name.slice(colon + 1) : name;
+    }
+
+    toCsv(rows) {
+        return rows.map(row => row.map(value => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\n');
+    }
+}
+
+export { XlsxTextExtractor };
@@ -0,0 +1,173 @@
+// ZipArchive - Minimal ZIP reading and packaging for OOXML documents
+// Uses the browser's CompressionStream/DecompressionStream; entries are stored when deflate is unavailable
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+
+class ZipArchive {
+    // entries: [{ name, data }] with data as a string (written as UTF-8) or Uint8Array
+    static async create(entries, type = 'application/zip') {
+        const encoder = new TextEncoder();
+        const { time, date } = ZipArchive.dosDateTime(new Date());
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const entry of entries) {
+            const name = encoder.encode(entry.name);
+            const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+            const crc = ZipArchive.crc32(data);
+
+            let method = METHOD_STORE;
+            let stored = data;
+            const deflated = await ZipArchive.deflateRaw(data);
+            if (deflated && deflated.length < data.length) {
+                method = METHOD_DEFLATE;
+                stored = deflated;
+            }
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true); // Version needed: 2.0
+            local.setUint16(6, FLAG_UTF8, true);
+            local.setUint16(8, method, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, stored.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, 20, true); // Version made by
+            header.setUint16(6, 20, true);
+            header.setUint16(8, FLAG_UTF8, true);
+            header.setUint16(10, method, true);
+            header.setUint16(12, time, true);
+            header.setUint16(14, date, true);
+            header.setUint32(16, crc, true);
+            header.setUint32(20, stored.length, true);
+            header.setUint32(24, data.length, true);
+            header.setUint16(28, name.length, true);
+            header.setUint32(42, offset, true);
+
+            parts.push(new Uint8Array(local.buffer), name, stored);
+            central.push(new Uint8Array(header.buffer), name);
+            offset += 30 + name.length + stored.length;
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type });
+    }
+
+    // Returns a Map of entry name -> Uint8Array in archive order
+    static async read(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data instanceof Blob ? await data.arrayBuffer() : data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+
+        // The end of central directory record sits at the end, before an optional comment
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error('File is not a ZIP archive');
+        }
+
+        const entryCount = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const entries = new Map();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue; // Directory entry
+
+            // The local header has its own name and extra field lengths
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const stored = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (method === METHOD_STORE) {
+                entries.set(name, stored.slice());
+            } else if (method === METHOD_DEFLATE) {
+                entries.set(name, await ZipArchive.inflateRaw(stored));
+            } else {
+                throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+            }
+        }
+
+        return entries;
+    }
+
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Returns null when the browser cannot deflate, so the entry is stored instead
+    static async deflateRaw(bytes) {
+        if (typeof CompressionStream === 'undefined') return null;
+
+        try {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (error) {
+            console.warn('⚠️ ZipArchive: deflate-raw not available, storing uncompressed:', error.message);
+            return null;
+        }
+    }
+
+    static async inflateRaw(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static dosDateTime(value) {
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+            date: ((Math.max(1980, value.getFullYear()) - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    }
+}
+
+export { ZipArchive };
@@ -0,0 +1,109 @@
+// Audio extraction worker - Demuxes the audio track of a video with the ffmpeg WASM core from assets/ffmpeg/
+// Runs off the main thread; the core and its .wasm are loaded from local assets only
+
+let coreUrl = null;
+let wasmUrl = null;
+let corePromise = null;
+let activeRequestId = null;
+let logLines = [];
+
+async function getCore() {
+    if (corePromise) return corePromise;
+
+    corePromise = (async () => {
+        const module = await import(coreUrl);
+        const createFFmpegCore = module.default;
+
+        // The core reads its wasm location from the hash of the main script URL
+        const core = await createFFmpegCore({
+            mainScriptUrlOrBlob: `${coreUrl}#${btoa(JSON.stringify({ wasmURL: wasmUrl }))}`
+        });
+
+        core.setLogger(({ message }) => {
+            logLines.push(message);
+        });
+        core.setProgress(({ progress }) => {
+            if (activeRequestId !== null) {
+                self.postMessage({ type: 'progress', id: activeRequestId, progress: Math.max(0, Math.min(1, progress)) });
+            }
+        });
+
+        return core;
+    })();
+
+    // Allow a retry after a failed load
+    corePromise.catch(() => {
+        corePromise = null;
+    });
+
+    return corePromise;
+}
+
+function buildArguments(message, inputName, outputName) {
+    const args = ['-i', inputName, '-vn', '-ac', String(message.channels)];
+
+    if (message.format === 'opus') {
+        args.push('-ar', '48000', '-c:a', 'libopus', '-b:a', message.opusBitrate);
+    } else {
+        args.push('-ar', String(message.sampleRate), '-c:a', 'pcm_s16le');
+    }
+
+    args.push(outputName);
+    return args;
+}
+
+async function extractAudio(message) {
+    const core = await getCore();
+    const extension = message.inputName.includes('.') ? message.inputName.split('.').pop() : 'bin';
+    const inputName = `input_${message.id}.${extension}`;
+    const outputName = `output_${message.id}.${message.format === 'opus' ? 'ogg' : 'wav'}`;
+
+    activeRequestId = message.id;
+    logLines = [];
+
+    try {
+        core.FS.writeFile(inputName, new Uint8Array(message.data));
+
+        core.setTimeout(message.timeout);
+        core.exec(...buildArguments(message, inputName, outputName));
+        const exitCode = core.ret;
+        core.reset();
+
+        if (logLines.some(line => line.includes('does not contain any stream') || line.includes('Output file is empty'))) {
+            throw new Error('Video has no audio track');
+        }
+        if (exitCode !== 0) {
+            const lastLine = logLines.filter(line => line.trim()).pop() || `exit code ${exitCode}`;
+            throw new Error(`ffmpeg failed: ${lastLine}`);
+        }
+
+        const output = core.FS.readFile(outputName);
+        return output.buffer.slice(output.byteOffset, output.byteOffset + output.byteLength);
+    } finally {
+        activeRequestId = null;
+        [inputName, outputName].forEach(name => {
+            try {
+                core.FS.unlink(name);
+            } catch (error) {
+                // File was never written
+            }
+        });
+    }
+}
+
+self.onmessage = async ({ data }) => {
+    if (data.type === 'init') {
+        coreUrl = data.coreUrl;
+        wasmUrl = data.wasmUrl;
+        return;
+    }
+
+    if (data.type === 'extract') {
+        try {
+            const buffer = await extractAudio(data);
+            self.postMessage({ type: 'result', id: data.id, buffer: buffer }, [buffer]);
+        } catch (error) {
+            self.postMessage({ type: 'error', id: data.id, message: error.message });
+        }
+    }
+};
@@ -0,0 +1,71 @@
+// Transcription worker - Runs the installed Whisper model off the main thread
+// Loads transformers.js and the model from local assets only (no network calls)
+
+let libraryUrl = null;
+let settings = null;
+let transcriberPromise = null;
+
+async function getTranscriber(id) {
+    if (transcriberPromise) return transcriberPromise;
+
+    transcriberPromise = (async () => {
+        const { pipeline, env } = await import(libraryUrl);
+
+        env.allowRemoteModels = false;
+        env.allowLocalModels = true;
+        env.localModelPath = settings.modelPath;
+        env.backends.onnx.wasm.wasmPaths = settings.wasmPath;
+
+        return pipeline('automatic-speech-recognition', settings.model, {
+            progress_callback: (progress) => {
+                if (progress.status === 'progress') {
+                    self.postMessage({ type: 'progress', id: id, progress: progress.progress / 100 });
+                }
+            }
+        });
+    })();
+
+    // Allow a retry after a failed load
+    transcriberPromise.catch(() => {
+        transcriberPromise = null;
+    });
+
+    return transcriberPromise;
+}
+
+async function transcribe(message) {
+    const transcriber = await getTranscriber(message.id);
+
+    const options = {
+        return_timestamps: true,
+        chunk_length_s: message.chunkLength,
+        stride_length_s: message.strideLength
+    };
+    if (message.language) {
+        options.language = message.language;
+        options.task = 'transcribe';
+    }
+
+    const output = await transcriber(message.samples, options);
+    return {
+        text: output.text,
+        chunks: output.chunks || []
+    };
+}
+
+self.onmessage = async ({ data }) => {
+    if (data.type === 'init') {
+        libraryUrl = data.libraryUrl;
+        settings = data;
+        return;
+    }
+
+    if (data.type === 'transcribe') {
+        try {
+            const result = await transcribe(data);
+            self.postMessage({ type: 'result', id: data.id, result: result });
+        } catch (error) {
+            self.postMessage({ type: 'error', id: data.id, message: `Local transcription failed: ${error.message}` });
+        }
+    }
+};